@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+/**
+ * city-gen - Command-line city generator
+ * Generates blended cities headlessly and writes the export JSON plus SVG
+ * and PNG renders of each map, and optionally georeferenced GeoJSON and 3D
+ * blockouts (glTF binary / OBJ).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCore } = require('../js/node/core');
+const { RasterContext } = require('../js/node/rasterContext');
+
+const FORMATS = ['json', 'svg', 'png', 'geojson', 'glb', 'obj'];
+const DEFAULT_FORMATS = ['json', 'svg', 'png'];
+
+const USAGE = `Usage: city-gen [options]
+
+Options:
+  --preset <file|name>     Generator config, exported city JSON or named preset
+                           (see --list-presets) to start from
+  --seed <n>               Random seed
+  --algorithms <list>      Algorithms and weights, e.g. gridLayout:0.6,voronoi:0.4
+  --param <alg.name=n>     Set an algorithm parameter, e.g. voronoi.seedPoints=40;
+                           repeatable
+  --plugin <file>          Script registering extra algorithms; repeatable
+  --list-algorithms        List the available algorithms and their parameters
+  --list-presets           List the named presets
+  --topo <mode>            Topography mode: lake, river or bay
+  --water <0-1>            Water coverage
+  --max-slope <n>          Steepest ground buildings may stand on (default 0.35)
+  --blend <mode[:field]>   Blend mode: overlay, mask or priority; mask takes a
+                           field of noise or radial, e.g. mask:radial
+  --size <WxH>             Map size in pixels, e.g. 2000x2000
+  --scale <0.5-3>          Overall scale
+  --randomness <0-1>       Positional randomness
+  --origin <lat,lon>       Georeference of the map's top-left corner (default 0,0)
+  --mpp <n>                Metres per pixel for the scale bar, GeoJSON and 3D (default 1)
+  --floor-height <n>       Storey height in metres for extruded buildings (default 3)
+  --view <mode>            SVG/PNG view: flat, oblique or isometric (default flat)
+  --count <n>              Generate n maps with consecutive seeds (default 1)
+  --format <list>          Outputs to write: json,svg,png,geojson,glb,obj
+                           (default json,svg,png)
+  --out <dir>              Output directory (default .)
+  --name <prefix>          File name prefix (default city)
+  -h, --help               Show this help
+`;
+
+/**
+ * Parse argv into an options object. Throws on unknown flags or bad values.
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+    const options = { count: 1, formats: DEFAULT_FORMATS, out: '.', name: 'city', plugins: [], params: [] };
+    const takesValue = ['--preset', '--seed', '--algorithms', '--param', '--plugin', '--topo', '--water', '--max-slope', '--blend', '--size',
+        '--scale', '--randomness', '--origin', '--mpp', '--floor-height', '--view', '--count', '--format', '--out', '--name'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '-h' || flag === '--help') {
+            options.help = true;
+            continue;
+        }
+        if (flag === '--list-algorithms') {
+            options.listAlgorithms = true;
+            continue;
+        }
+        if (flag === '--list-presets') {
+            options.listPresets = true;
+            continue;
+        }
+        if (!takesValue.includes(flag)) {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+
+        switch (flag) {
+            case '--preset': options.preset = value; break;
+            case '--seed': options.seed = parseNumber(flag, value); break;
+            case '--algorithms': options.algorithms = parseAlgorithms(value); break;
+            case '--param': options.params.push(parseParam(value)); break;
+            case '--plugin': options.plugins.push(value); break;
+            case '--topo': options.topo = parseTopo(value); break;
+            case '--water': options.water = parseFraction(flag, value); break;
+            case '--max-slope': options.maxSlope = parsePositive(flag, value); break;
+            case '--blend': options.blend = parseBlend(value); break;
+            case '--size': Object.assign(options, parseSize(value)); break;
+            case '--scale': options.scale = parsePositive(flag, value); break;
+            case '--randomness': options.randomness = parseFraction(flag, value); break;
+            case '--origin': Object.assign(options, parseOrigin(value)); break;
+            case '--mpp': options.metresPerPixel = parsePositive(flag, value); break;
+            case '--floor-height': options.floorHeight = parsePositive(flag, value); break;
+            case '--view': options.view = parseView(value); break;
+            case '--count': options.count = parseCount(flag, value); break;
+            case '--format': options.formats = parseFormats(value); break;
+            case '--out': options.out = value; break;
+            case '--name': options.name = value; break;
+        }
+    }
+    return options;
+}
+
+function parseNumber(flag, value) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`${flag} expects a number, got "${value}"`);
+    }
+    return number;
+}
+
+function parseAlgorithms(value) {
+    return value.split(',').filter(Boolean).map(item => {
+        const [name, weight = '1'] = item.split(':');
+        return { name, weight: parseNumber(`--algorithms ${name}`, weight), params: {} };
+    });
+}
+
+function parseParam(value) {
+    const match = /^([^.=]+)\.([^.=]+)=(.+)$/.exec(value);
+    if (!match) {
+        throw new Error(`--param expects ALGORITHM.PARAM=VALUE, got "${value}"`);
+    }
+    // The value stays a string; the algorithm's schema coerces and checks it
+    return { algorithm: match[1], param: match[2], value: match[3] };
+}
+
+function parseBlend(value) {
+    const [mode, field] = value.split(':');
+    if (!['overlay', 'mask', 'priority'].includes(mode)) {
+        throw new Error(`Unknown blend mode: ${mode}`);
+    }
+    if (field !== undefined && !['noise', 'radial'].includes(field)) {
+        throw new Error(`Unknown blend field: ${field}`);
+    }
+    return field ? { mode, field } : { mode };
+}
+
+function parseSize(value) {
+    const match = /^(\d+)x(\d+)$/i.exec(value);
+    if (!match || !(parseInt(match[1]) > 0 && parseInt(match[2]) > 0)) {
+        throw new Error(`--size expects WIDTHxHEIGHT in whole pixels, got "${value}"`);
+    }
+    return { width: parseInt(match[1]), height: parseInt(match[2]) };
+}
+
+function parsePositive(flag, value) {
+    const number = parseNumber(flag, value);
+    if (number <= 0) {
+        throw new Error(`${flag} expects a positive number, got "${value}"`);
+    }
+    return number;
+}
+
+function parseFraction(flag, value) {
+    const number = parseNumber(flag, value);
+    if (number < 0 || number > 1) {
+        throw new Error(`${flag} expects a number from 0 to 1, got "${value}"`);
+    }
+    return number;
+}
+
+function parseCount(flag, value) {
+    const number = parseNumber(flag, value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${flag} expects a whole number of at least 1, got "${value}"`);
+    }
+    return number;
+}
+
+function parseTopo(value) {
+    if (!['lake', 'river', 'bay'].includes(value)) {
+        throw new Error(`Unknown topography mode: ${value}`);
+    }
+    return value;
+}
+
+function parseOrigin(value) {
+    const parts = value.split(',');
+    if (parts.length !== 2) {
+        throw new Error(`--origin expects LAT,LON, got "${value}"`);
+    }
+    const originLat = parseNumber('--origin', parts[0]);
+    const originLon = parseNumber('--origin', parts[1]);
+    if (Math.abs(originLat) > 85 || Math.abs(originLon) > 180) {
+        throw new Error(`--origin is out of range: "${value}"`);
+    }
+    return { originLat, originLon };
+}
+
+function parseView(value) {
+    if (!['flat', 'oblique', 'isometric'].includes(value)) {
+        throw new Error(`Unknown view: ${value}`);
+    }
+    return value;
+}
+
+function parseFormats(value) {
+    const formats = value.split(',').filter(Boolean);
+    const unknown = formats.filter(format => !FORMATS.includes(format));
+    if (unknown.length) {
+        throw new Error(`Unknown format(s): ${unknown.join(', ')}`);
+    }
+    return formats;
+}
+
+/**
+ * The starting config for --preset: a config or export file, or else a named
+ * preset from data/presets.json.
+ * @param {string} preset file path or preset id
+ * @param {Object} core
+ * @returns {Promise<Object>}
+ */
+async function loadPreset(preset, core) {
+    if (fs.existsSync(preset)) {
+        const data = JSON.parse(fs.readFileSync(preset, 'utf8'));
+        // Accept either a bare config or a file written by Export
+        return data.parameters ? core.CityGenerator.configFromExport(data) : data;
+    }
+    const presets = await core.CityPresets.load();
+    const named = presets.find(candidate => candidate.id === preset);
+    if (!named) {
+        throw new Error(`No preset file or named preset "${preset}" (named presets: ${presets.map(p => p.id).join(', ')})`);
+    }
+    return core.CityPresets.apply({}, named);
+}
+
+/**
+ * Merge a preset with command-line overrides into a generator config, and
+ * check the result against the settings and algorithm parameter schemas.
+ * @param {Object} options parsed CLI options
+ * @param {Object} core
+ * @throws {Error} listing every invalid setting, algorithm, weight or parameter
+ */
+async function buildConfig(options, core) {
+    const { CityGenerator } = core;
+    const config = options.preset ? await loadPreset(options.preset, core) : {};
+
+    const overrides = {
+        seed: options.seed,
+        width: options.width,
+        height: options.height,
+        scale: options.scale,
+        randomness: options.randomness,
+        algorithms: options.algorithms
+    };
+    Object.keys(overrides).forEach(key => {
+        if (overrides[key] !== undefined) config[key] = overrides[key];
+    });
+
+    config.topography = { ...(config.topography || {}) };
+    if (options.topo !== undefined) config.topography.mode = options.topo;
+    if (options.water !== undefined) config.topography.waterCoverage = options.water;
+    if (options.maxSlope !== undefined) config.topography.maxSlope = options.maxSlope;
+    if (options.blend !== undefined) config.blend = { ...(config.blend || {}), ...options.blend };
+
+    config.geo = { ...(config.geo || {}) };
+    if (options.originLat !== undefined) config.geo.originLat = options.originLat;
+    if (options.originLon !== undefined) config.geo.originLon = options.originLon;
+    if (options.metresPerPixel !== undefined) config.geo.metresPerPixel = options.metresPerPixel;
+
+    if (!config.algorithms || !config.algorithms.length) {
+        config.algorithms = [{ name: 'gridLayout', weight: 1, params: {} }];
+    }
+    options.params.forEach(({ algorithm, param, value }) => {
+        const entry = config.algorithms.find(candidate => candidate?.name === algorithm);
+        if (!entry) {
+            throw new Error(`--param ${algorithm}.${param}: ${algorithm} is not one of the algorithms in use`);
+        }
+        entry.params = { ...entry.params, [param]: value };
+    });
+
+    const errors = CityGenerator.validateConfig(config);
+    if (errors.length) {
+        throw new Error(`invalid config:\n  ${errors.join('\n  ')}`);
+    }
+    return CityGenerator.normalizeConfig(config);
+}
+
+/**
+ * One line per registered algorithm with its parameter ranges and defaults.
+ * @param {Function} AlgorithmRegistry
+ */
+function describeAlgorithms(AlgorithmRegistry) {
+    return AlgorithmRegistry.keys().map(key => {
+        const params = Object.entries(AlgorithmRegistry.params(key))
+            .map(([param, spec]) => `  ${param}: ${spec.type} ${spec.min}-${spec.max}, step ${spec.step} (default ${spec.default})`);
+        return [`${key} - ${AlgorithmRegistry.get(key).name}`, ...params].join('\n');
+    }).join('\n') + '\n';
+}
+
+/**
+ * Draw a city through CityRenderer into any 2D-context implementation.
+ */
+function renderInto(ctx, city, config, core, options) {
+    const canvas = { width: config.width, height: config.height, getContext: () => ctx };
+    const renderer = new core.CityRenderer(canvas);
+    renderer.setRandom(new core.SeededRandom(config.seed));
+    renderer.metresPerPixel = config.geo.metresPerPixel;
+    if (options.floorHeight !== undefined) renderer.floorHeight = options.floorHeight;
+    renderer.setRenderMode(options.view || 'flat');
+    renderer.render(city);
+    return ctx;
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const core = loadCore({ plugins: options.plugins });
+    const { CityGenerator, SvgExporter, GeoJsonExporter, MeshExporter } = core;
+    if (options.listAlgorithms) {
+        process.stdout.write(describeAlgorithms(core.AlgorithmRegistry));
+        return;
+    }
+    if (options.listPresets) {
+        const presets = await core.CityPresets.load();
+        process.stdout.write(presets.map(preset => `${preset.id} - ${preset.name}: ${preset.description}\n`).join(''));
+        return;
+    }
+    const generator = new CityGenerator();
+    const baseConfig = await buildConfig(options, core);
+    fs.mkdirSync(options.out, { recursive: true });
+
+    for (let i = 0; i < options.count; i++) {
+        const config = { ...baseConfig, seed: baseConfig.seed + i };
+        const city = await generator.generate(config);
+        const base = path.join(options.out, `${options.name}-${config.seed}`);
+
+        if (options.formats.includes('json')) {
+            const exportData = generator.createExport(city, config);
+            fs.writeFileSync(`${base}.json`, JSON.stringify(exportData, null, 2));
+        }
+        if (options.formats.includes('svg')) {
+            fs.writeFileSync(`${base}.svg`, new SvgExporter().toSvg(city, config, {
+                renderMode: options.view,
+                floorHeight: options.floorHeight
+            }));
+        }
+        if (options.formats.includes('png')) {
+            const raster = renderInto(new RasterContext(config.width, config.height), city, config, core, options);
+            fs.writeFileSync(`${base}.png`, raster.toPNG());
+        }
+        if (options.formats.includes('geojson')) {
+            fs.writeFileSync(`${base}.geojson`, new GeoJsonExporter(config.geo).stringify(city));
+        }
+        if (options.formats.includes('glb') || options.formats.includes('obj')) {
+            const meshExporter = new MeshExporter({
+                metresPerPixel: config.geo.metresPerPixel,
+                floorHeight: options.floorHeight
+            });
+            if (options.formats.includes('glb')) fs.writeFileSync(`${base}.glb`, meshExporter.toGlb(city));
+            if (options.formats.includes('obj')) {
+                fs.writeFileSync(`${base}.obj`, meshExporter.toObj(city, `${path.basename(base)}.mtl`));
+                fs.writeFileSync(`${base}.mtl`, meshExporter.toMtl());
+            }
+        }
+
+        const fixed = city.collisions
+            ? `, ${city.collisions.nudged + city.collisions.shrunk + city.collisions.removed} collisions fixed`
+            : '';
+        console.log(`${base}: ${city.buildings.length} buildings, ${city.roads.edges.length} roads, ${city.parks.length} parks${fixed}`);
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`city-gen: ${error.message}`);
+    process.exitCode = 1;
+});
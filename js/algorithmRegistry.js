@@ -0,0 +1,212 @@
+/**
+ * Algorithm Registry - The generation algorithms the tool knows about
+ * Every algorithm registers itself under the key configs refer to it by,
+ * with a display name, a description, a schema for its parameters and its
+ * generate() function. The sidebar panels, weight sliders, mask brushes,
+ * randomize ranges and exported parameters are all built from these
+ * definitions, so a new algorithm is just a script that calls
+ * AlgorithmRegistry.register() after this one has loaded.
+ *
+ * A definition is any object (a class instance or a plain object) of the shape
+ *     {
+ *         name: 'Display Name',
+ *         description: 'One line for the sidebar tooltip',
+ *         color: '#rrggbb',            // optional, painted mask colour
+ *         params: {
+ *             paramName: { type: 'integer', label: 'Param Name', min: 1, max: 10, step: 1, default: 5 }
+ *         },
+ *         async generate(params) { return { buildings, roads, parks }; }
+ *     }
+ * A param's type is 'integer' or 'number' (the default). generate() receives
+ * the algorithm's params, checked against this schema and merged over the
+ * global ones (canvasWidth, canvasHeight, scale, randomness, seed, rng,
+ * terrain), exactly like the built-in algorithms.
+ */
+
+class AlgorithmRegistry {
+    // Mask colours for algorithms that don't pick their own, in registration order
+    static get PALETTE() {
+        return ['#667eea', '#e0a040', '#e05a5a', '#40c0a0', '#c060d0', '#d0d040', '#e07040', '#4090e0', '#90c040', '#e060a0'];
+    }
+
+    static get TYPES() {
+        return ['integer', 'number'];
+    }
+
+    /**
+     * Add an algorithm, replacing any registered under the same key.
+     * @param {string} key name used in configs and URLs, e.g. 'gridLayout'
+     * @param {{name:string, description?:string, color?:string,
+     *          params?:Object<string, {type?:string, label?:string, min:number, max:number, step?:number,
+     *                                  default:number}>,
+     *          generate:Function}} definition
+     * @returns {Object} the definition
+     */
+    static register(key, definition) {
+        if (typeof key !== 'string' || !/^[A-Za-z][\w-]*$/.test(key)) {
+            throw new Error(`Invalid algorithm key: ${key}`);
+        }
+        if (!definition || typeof definition.generate !== 'function') {
+            throw new Error(`Algorithm ${key} has no generate() function`);
+        }
+        if (!definition.name) {
+            throw new Error(`Algorithm ${key} has no name`);
+        }
+        Object.entries(definition.params || {}).forEach(([param, spec]) => {
+            const { type = 'number', min, max, step = 1 } = spec;
+            if (!AlgorithmRegistry.TYPES.includes(type)) {
+                throw new Error(`Parameter ${key}.${param} has unknown type "${type}"`);
+            }
+            const valid = [min, max, step, spec.default].every(Number.isFinite)
+                && min <= spec.default && spec.default <= max && step > 0;
+            if (!valid) {
+                throw new Error(`Parameter ${key}.${param} needs numeric min <= default <= max and a positive step`);
+            }
+            if (type === 'integer' && ![min, max, step, spec.default].every(Number.isInteger)) {
+                throw new Error(`Parameter ${key}.${param} is an integer but its range or step isn't`);
+            }
+        });
+
+        AlgorithmRegistry.definitions.set(key, definition);
+        AlgorithmRegistry.listeners.forEach(listener => listener(key, definition));
+        return definition;
+    }
+
+    static get(key) {
+        return AlgorithmRegistry.definitions.get(key) || null;
+    }
+
+    static has(key) {
+        return AlgorithmRegistry.definitions.has(key);
+    }
+
+    // Registered keys in registration order, which is also the sidebar order
+    static keys() {
+        return [...AlgorithmRegistry.definitions.keys()];
+    }
+
+    /**
+     * Call a function whenever an algorithm is registered from now on.
+     * @param {function(string, Object)} listener receives the key and definition
+     */
+    static onRegister(listener) {
+        AlgorithmRegistry.listeners.push(listener);
+    }
+
+    /**
+     * An algorithm's parameter schema with types, labels and steps filled in.
+     * @param {string} key
+     * @returns {Object<string, {type:string, label:string, min:number, max:number, step:number, default:number}>}
+     */
+    static params(key) {
+        const params = AlgorithmRegistry.get(key)?.params || {};
+        const schema = {};
+        Object.entries(params).forEach(([param, spec]) => {
+            schema[param] = { type: 'number', label: AlgorithmRegistry.labelFor(param), step: 1, ...spec };
+        });
+        return schema;
+    }
+
+    /**
+     * Check params against an algorithm's schema. Numeric strings (as range
+     * inputs and URLs give them) are parsed, integers rounded and values
+     * clamped to their range; values that aren't numbers are left out so the
+     * default applies. Params the schema doesn't list are passed through.
+     * @param {string} key
+     * @param {Object} [params]
+     * @returns {{params:Object, errors:string[]}} the coerced params, and a message for
+     *          every value that wasn't a number, was out of range or isn't in the schema
+     */
+    static validateParams(key, params = {}) {
+        if (!AlgorithmRegistry.has(key)) {
+            return { params: { ...params }, errors: [`Unknown algorithm: ${key}`] };
+        }
+        const schema = AlgorithmRegistry.params(key);
+        const coerced = {};
+        const errors = [];
+        Object.entries(params).forEach(([param, raw]) => {
+            const spec = schema[param];
+            if (!spec) {
+                errors.push(`${key}.${param} is not a parameter of ${key}`);
+                coerced[param] = raw;
+                return;
+            }
+            const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${key}.${param} must be a number, got ${JSON.stringify(raw)}`);
+                return;
+            }
+            const typed = spec.type === 'integer' ? Math.round(value) : value;
+            const clamped = Math.min(spec.max, Math.max(spec.min, typed));
+            if (clamped !== typed) {
+                errors.push(`${key}.${param} must be between ${spec.min} and ${spec.max}, got ${value}`);
+            }
+            coerced[param] = clamped;
+        });
+        return { params: coerced, errors };
+    }
+
+    // Params coerced and clamped to the schema, ignoring what was wrong with them
+    static coerceParams(key, params = {}) {
+        return AlgorithmRegistry.validateParams(key, params).params;
+    }
+
+    /**
+     * Default value of every parameter of an algorithm.
+     * @param {string} key
+     * @returns {Object<string, number>} empty for unknown algorithms
+     */
+    static defaults(key) {
+        const defaults = {};
+        Object.entries(AlgorithmRegistry.params(key)).forEach(([param, spec]) => {
+            defaults[param] = spec.default;
+        });
+        return defaults;
+    }
+
+    /**
+     * A random value on a parameter's step grid, from min to max inclusive,
+     * rounded to the step's decimals so 0.1 steps don't give 0.30000000000000004.
+     * @param {{min:number, max:number, step:number}} spec
+     * @param {function(): number} [random=Math.random] returns a number in [0, 1)
+     * @returns {number}
+     */
+    static randomValue({ min, max, step }, random = Math.random) {
+        const steps = Math.round((max - min) / step);
+        const decimals = (String(step).split('.')[1] || '').length;
+        const value = min + Math.floor(random() * (steps + 1)) * step;
+        return Number(Math.min(max, value).toFixed(decimals));
+    }
+
+    static color(key) {
+        const definition = AlgorithmRegistry.get(key);
+        if (definition?.color) return definition.color;
+        const palette = AlgorithmRegistry.PALETTE;
+        const index = AlgorithmRegistry.keys().indexOf(key);
+        return index < 0 ? '#ffffff' : palette[index % palette.length];
+    }
+
+    /**
+     * Every registered algorithm by key, as CityGenerator expects them.
+     * @returns {Object<string, Object>}
+     */
+    static createAlgorithms() {
+        const algorithms = {};
+        AlgorithmRegistry.definitions.forEach((definition, key) => {
+            algorithms[key] = definition;
+        });
+        return algorithms;
+    }
+
+    // 'segmentLength' -> 'Segment Length'
+    static labelFor(param) {
+        const words = param.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+}
+
+AlgorithmRegistry.definitions = new Map();
+AlgorithmRegistry.listeners = [];
+
+// Export for browser global usage
+window.AlgorithmRegistry = AlgorithmRegistry;
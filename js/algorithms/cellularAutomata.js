@@ -7,6 +7,11 @@ class CellularAutomataAlgorithm {
     constructor() {
         this.name = 'Cellular Automata';
         this.description = 'Creates emergent city patterns using cellular automata rules';
+        this.params = {
+            generations: { type: 'integer', label: 'Generations', min: 1, max: 20, default: 5 },
+            neighborThreshold: { type: 'integer', label: 'Neighbor Threshold', min: 3, max: 8, default: 4 }
+        };
+        this.color = '#40c0a0';
     }
 
     async generate(params) {
@@ -19,31 +24,60 @@ class CellularAutomataAlgorithm {
             seed = 12345
         } = params;
 
-        Math.seedrandom(seed);
+        const rng = params.rng || new SeededRandom(seed);
+        const terrain = params.terrain || Terrain.flat(canvasWidth, canvasHeight);
 
         const cellSize = 8 * scale;
         const gridWidth = Math.floor(canvasWidth / cellSize);
         const gridHeight = Math.floor(canvasHeight / cellSize);
+        const ground = this.classifyGround(terrain, gridWidth, gridHeight, cellSize);
 
         // Initialize grid with random values
-        let grid = this.initializeGrid(gridWidth, gridHeight);
+        let grid = this.initializeGrid(gridWidth, gridHeight, rng, ground);
 
         // Evolve the grid through generations
         for (let gen = 0; gen < generations; gen++) {
-            grid = this.evolveGrid(grid, gridWidth, gridHeight, neighborThreshold);
+            grid = this.evolveGrid(grid, gridWidth, gridHeight, neighborThreshold, ground);
         }
 
         // Convert grid to city structures
-        return this.gridToStructures(grid, gridWidth, gridHeight, cellSize);
+        return this.gridToStructures(grid, gridWidth, gridHeight, cellSize, rng);
     }
 
-    initializeGrid(gridWidth, gridHeight) {
+    /**
+     * Mark each cell as 'water', 'steep' or 'land'. Water cells stay dead for
+     * the whole run and steep cells never hold buildings.
+     * @returns {string[][]}
+     */
+    classifyGround(terrain, gridWidth, gridHeight, cellSize) {
+        const ground = [];
+        for (let y = 0; y < gridHeight; y++) {
+            ground[y] = [];
+            for (let x = 0; x < gridWidth; x++) {
+                const cell = { x: x * cellSize, y: y * cellSize, width: cellSize, height: cellSize };
+                if (terrain.overlapsWater(cell)) {
+                    ground[y][x] = 'water';
+                } else if (terrain.isSteep(cell.x + cellSize / 2, cell.y + cellSize / 2)) {
+                    ground[y][x] = 'steep';
+                } else {
+                    ground[y][x] = 'land';
+                }
+            }
+        }
+        return ground;
+    }
+
+    initializeGrid(gridWidth, gridHeight, rng, ground = null) {
         const grid = [];
         for (let y = 0; y < gridHeight; y++) {
             grid[y] = [];
             for (let x = 0; x < gridWidth; x++) {
-                const random = Math.seededRandom();
-                if (random < 0.4) {
+                const random = rng.random();
+                if (ground && ground[y][x] === 'water') {
+                    grid[y][x] = 'water';
+                } else if (ground && ground[y][x] === 'steep' && random < 0.4) {
+                    grid[y][x] = 'empty';
+                } else if (random < 0.4) {
                     grid[y][x] = 'building';
                 } else if (random < 0.5) {
                     grid[y][x] = 'road';
@@ -57,14 +91,15 @@ class CellularAutomataAlgorithm {
         return grid;
     }
 
-    evolveGrid(grid, gridWidth, gridHeight, neighborThreshold) {
+    evolveGrid(grid, gridWidth, gridHeight, neighborThreshold, ground = null) {
         const newGrid = [];
         
         for (let y = 0; y < gridHeight; y++) {
             newGrid[y] = [];
             for (let x = 0; x < gridWidth; x++) {
                 const neighbors = this.countNeighbors(grid, x, y, gridWidth, gridHeight);
-                newGrid[y][x] = this.applyRules(grid[y][x], neighbors, neighborThreshold);
+                const next = this.applyRules(grid[y][x], neighbors, neighborThreshold);
+                newGrid[y][x] = next === 'building' && ground && ground[y][x] === 'steep' ? 'empty' : next;
             }
         }
         
@@ -124,6 +159,10 @@ class CellularAutomataAlgorithm {
                 if (neighbors.building >= 4) return 'building';
                 return 'park';
                 
+            case 'water':
+                // Water never changes and does not count as a neighbour
+                return 'water';
+
             case 'empty':
                 // Empty becomes building if many building neighbors
                 if (neighbors.building >= 3) return 'building';
@@ -136,9 +175,8 @@ class CellularAutomataAlgorithm {
         }
     }
 
-    gridToStructures(grid, gridWidth, gridHeight, cellSize) {
+    gridToStructures(grid, gridWidth, gridHeight, cellSize, rng) {
         const buildings = [];
-        const roads = [];
         const parks = [];
 
         for (let y = 0; y < gridHeight; y++) {
@@ -154,21 +192,9 @@ class CellularAutomataAlgorithm {
                             y: worldY,
                             width: cellSize,
                             height: cellSize,
-                            type: this.getBuildingType(x, y, gridWidth, gridHeight),
+                            type: this.getBuildingType(x, y, gridWidth, gridHeight, rng),
                             opacity: 1,
-                            floors: Math.floor(Math.seededRandom() * 4) + 1
-                        });
-                        break;
-                        
-                    case 'road':
-                        roads.push({
-                            x: worldX,
-                            y: worldY,
-                            width: cellSize,
-                            height: cellSize,
-                            direction: this.getRoadDirection(grid, x, y, gridWidth, gridHeight),
-                            type: 'cellular',
-                            opacity: 1
+                            floors: Math.floor(rng.random() * 4) + 1
                         });
                         break;
                         
@@ -187,10 +213,18 @@ class CellularAutomataAlgorithm {
             }
         }
 
+        // Road cells join their road neighbours; lone cells follow the nearest roads' direction
+        const roads = RoadGraph.fromCells(
+            (x, y) => grid[y][x] === 'road',
+            gridWidth, gridHeight, cellSize,
+            { width: cellSize, class: 'local', opacity: 1 },
+            (x, y) => this.getRoadDirection(grid, x, y, gridWidth, gridHeight, rng)
+        );
+
         return { buildings, roads, parks, water: [] };
     }
 
-    getBuildingType(x, y, gridWidth, gridHeight) {
+    getBuildingType(x, y, gridWidth, gridHeight, rng) {
         // Building type based on position - center tends to be commercial
         const centerDistance = Math.sqrt(
             Math.pow((x - gridWidth / 2) / gridWidth, 2) + 
@@ -198,15 +232,15 @@ class CellularAutomataAlgorithm {
         );
 
         if (centerDistance < 0.3) {
-            return Math.seededRandom() < 0.6 ? 'commercial' : 'residential';
+            return rng.random() < 0.6 ? 'commercial' : 'residential';
         } else if (centerDistance > 0.7) {
-            return Math.seededRandom() < 0.3 ? 'industrial' : 'residential';
+            return rng.random() < 0.3 ? 'industrial' : 'residential';
         } else {
             return 'residential';
         }
     }
 
-    getRoadDirection(grid, x, y, gridWidth, gridHeight) {
+    getRoadDirection(grid, x, y, gridWidth, gridHeight, rng) {
         // Determine road direction based on neighboring roads
         let horizontalRoads = 0;
         let verticalRoads = 0;
@@ -221,6 +255,8 @@ class CellularAutomataAlgorithm {
 
         if (horizontalRoads > verticalRoads) return 'horizontal';
         if (verticalRoads > horizontalRoads) return 'vertical';
-        return Math.seededRandom() < 0.5 ? 'horizontal' : 'vertical';
+        return rng.random() < 0.5 ? 'horizontal' : 'vertical';
     }
 }
+
+AlgorithmRegistry.register('cellularAutomata', new CellularAutomataAlgorithm());
@@ -7,6 +7,12 @@ class GridLayoutAlgorithm {
     constructor() {
         this.name = 'Grid Layout';
         this.description = 'Creates cities using a regular grid pattern with customizable block sizes and street widths';
+        this.params = {
+            gridSize: { type: 'integer', label: 'Grid Size', min: 5, max: 50, default: 20 },
+            streetWidth: { type: 'integer', label: 'Street Width', min: 1, max: 10, default: 2 },
+            density: { type: 'number', label: 'Density', min: 0.1, max: 1, step: 0.1, default: 0.7 }
+        };
+        this.color = '#667eea';
     }
 
     async generate(params) {
@@ -21,11 +27,13 @@ class GridLayoutAlgorithm {
             seed = 12345
         } = params;
 
-        // Seed the random number generator for consistent results
-        Math.seedrandom(seed);
+        // Scoped random stream for consistent results
+        const rng = params.rng || new SeededRandom(seed);
+        // Water and slope to build around
+        const terrain = params.terrain || Terrain.flat(canvasWidth, canvasHeight);
 
         const buildings = [];
-        const roads = [];
+        const roads = new RoadGraph();
         const parks = [];
 
         const blockSize = gridSize * scale;
@@ -45,66 +53,72 @@ class GridLayoutAlgorithm {
                 const blockY = row * totalBlockSize;
 
                 // Apply some randomness to block positions
-                const offsetX = (Math.seededRandom() - 0.5) * randomness * roadWidth;
-                const offsetY = (Math.seededRandom() - 0.5) * randomness * roadWidth;
+                const offsetX = (rng.random() - 0.5) * randomness * roadWidth;
+                const offsetY = (rng.random() - 0.5) * randomness * roadWidth;
 
                 const adjustedX = blockX + offsetX;
                 const adjustedY = blockY + offsetY;
 
                 // Decide what to put in this block
-                const blockType = this.determineBlockType(row, col, gridRows, gridCols, density);
+                const blockType = this.determineBlockType(row, col, gridRows, gridCols, density, rng);
 
                 if (blockType === 'park') {
-                    parks.push(this.createPark(adjustedX, adjustedY, blockSize, blockSize));
+                    const park = this.createPark(adjustedX, adjustedY, blockSize, blockSize);
+                    if (!terrain.overlapsWater(park)) parks.push(park);
                 } else if (blockType === 'buildings') {
-                    this.generateBuildingsInBlock(buildings, adjustedX, adjustedY, blockSize, density, randomness);
+                    // Lay out the whole block, then keep the lots on dry, level ground
+                    const block = [];
+                    this.generateBuildingsInBlock(block, adjustedX, adjustedY, blockSize, roadWidth, scale, density, randomness, rng);
+                    block.forEach(building => {
+                        if (terrain.isBuildable(building)) buildings.push(building);
+                    });
                 }
             }
         }
 
         return {
             buildings,
-            roads,
+            roads: terrain.clipRoads(roads),
             parks,
             water: [] // Grid layout doesn't typically include water features
         };
     }
 
     generateRoadNetwork(roads, gridCols, gridRows, totalBlockSize, blockSize, roadWidth, canvasWidth, canvasHeight) {
-        // Horizontal roads
-        for (let row = 0; row <= gridRows; row++) {
-            const y = row * totalBlockSize - roadWidth / 2;
-            if (y >= 0 && y + roadWidth <= canvasHeight) {
-                roads.push({
-                    x: 0,
-                    y: y,
-                    width: canvasWidth,
-                    height: roadWidth,
-                    direction: 'horizontal',
-                    type: 'main',
-                    opacity: 1
-                });
+        // Centre lines of the streets that fit on the map
+        const lines = (count, extent) => {
+            const result = [];
+            for (let i = 0; i <= count; i++) {
+                const position = i * totalBlockSize;
+                if (position - roadWidth / 2 >= 0 && position + roadWidth / 2 <= extent) {
+                    result.push({ position, index: i });
+                }
             }
-        }
+            return result;
+        };
+        const rows = lines(gridRows, canvasHeight);
+        const cols = lines(gridCols, canvasWidth);
+        // Every fourth street is an avenue
+        const props = index => ({ width: roadWidth, class: index % 4 === 0 ? 'arterial' : 'local', opacity: 1 });
+
+        // Horizontal roads, one edge per block between crossing streets
+        rows.forEach(({ position: y, index }) => {
+            const stops = [0, ...cols.map(col => col.position), canvasWidth];
+            for (let i = 1; i < stops.length; i++) {
+                roads.addEdge([{ x: stops[i - 1], y }, { x: stops[i], y }], props(index));
+            }
+        });
 
         // Vertical roads
-        for (let col = 0; col <= gridCols; col++) {
-            const x = col * totalBlockSize - roadWidth / 2;
-            if (x >= 0 && x + roadWidth <= canvasWidth) {
-                roads.push({
-                    x: x,
-                    y: 0,
-                    width: roadWidth,
-                    height: canvasHeight,
-                    direction: 'vertical',
-                    type: 'main',
-                    opacity: 1
-                });
+        cols.forEach(({ position: x, index }) => {
+            const stops = [0, ...rows.map(row => row.position), canvasHeight];
+            for (let i = 1; i < stops.length; i++) {
+                roads.addEdge([{ x, y: stops[i - 1] }, { x, y: stops[i] }], props(index));
             }
-        }
+        });
     }
 
-    determineBlockType(row, col, gridRows, gridCols, density) {
+    determineBlockType(row, col, gridRows, gridCols, density, rng) {
         // Create some variety in block types based on position
         const centerDistance = Math.sqrt(
             Math.pow((col - gridCols / 2) / gridCols, 2) + 
@@ -113,123 +127,62 @@ class GridLayoutAlgorithm {
 
         // More parks on the edges and at regular intervals
         if (centerDistance > 0.7 || (row + col) % 7 === 0) {
-            return Math.seededRandom() < 0.3 ? 'park' : 'buildings';
+            return rng.random() < 0.3 ? 'park' : 'buildings';
         }
 
         // More dense building areas in the center
-        return Math.seededRandom() < density ? 'buildings' : 'empty';
+        return rng.random() < density ? 'buildings' : 'empty';
     }
 
-    generateBuildingsInBlock(buildings, blockX, blockY, blockSize, density, randomness) {
-        const margin = 2;
-        const availableWidth = blockSize - 2 * margin;
-        const availableHeight = blockSize - 2 * margin;
+    /**
+     * Split the land between a block's four streets into lots and put a
+     * building on each: one large lot, many small ones or a mix.
+     */
+    generateBuildingsInBlock(buildings, blockX, blockY, blockSize, roadWidth, scale, density, randomness, rng) {
+        // The block starts half a street in from the centre line it was measured from
+        const x = blockX + roadWidth / 2;
+        const y = blockY + roadWidth / 2;
+        const block = {
+            polygon: [
+                { x, y },
+                { x: x + blockSize, y },
+                { x: x + blockSize, y: y + blockSize },
+                { x, y: y + blockSize }
+            ],
+            street: [true, true, true, true]
+        };
+        const blockArea = blockSize * blockSize;
 
         // Determine building layout within the block
-        const layoutType = Math.seededRandom();
-
+        const layoutType = rng.random();
+        let lotCount;
         if (layoutType < 0.4) {
             // Single large building
-            this.createSingleBuilding(buildings, blockX + margin, blockY + margin, availableWidth, availableHeight, randomness);
+            lotCount = 1;
         } else if (layoutType < 0.7) {
             // Multiple smaller buildings
-            this.createMultipleBuildings(buildings, blockX + margin, blockY + margin, availableWidth, availableHeight, density, randomness);
+            lotCount = Math.floor(density * 3) + 2; // 2-5 lots
         } else {
             // Mixed development
-            this.createMixedDevelopment(buildings, blockX + margin, blockY + margin, availableWidth, availableHeight, randomness);
+            lotCount = 3;
         }
-    }
 
-    createSingleBuilding(buildings, x, y, width, height, randomness) {
-        const buildingType = this.getBuildingType('commercial'); // Large buildings tend to be commercial
-        
-        // Add some variation to the building size
-        const widthVar = width * (1 - randomness * 0.3);
-        const heightVar = height * (1 - randomness * 0.3);
-        
-        buildings.push({
-            x: x + (width - widthVar) / 2,
-            y: y + (height - heightVar) / 2,
-            width: widthVar,
-            height: heightVar,
-            type: buildingType,
-            opacity: 1,
-            floors: Math.floor(Math.seededRandom() * 8) + 2
+        const parcels = new ParcelSubdivider({
+            maxLotArea: blockArea / lotCount,
+            minFrontage: 3 * scale,
+            setbacks: { front: scale, side: 0.5 * scale, rear: scale },
+            minFootprint: 3 * scale,
+            jitter: randomness * 0.6
         });
-    }
-
-    createMultipleBuildings(buildings, x, y, width, height, density, randomness) {
-        const buildingCount = Math.floor(density * 6) + 2; // 2-8 buildings
-        const buildingsPerRow = Math.ceil(Math.sqrt(buildingCount));
-        const buildingWidth = width / buildingsPerRow;
-        const buildingHeight = height / Math.ceil(buildingCount / buildingsPerRow);
-
-        for (let i = 0; i < buildingCount; i++) {
-            const row = Math.floor(i / buildingsPerRow);
-            const col = i % buildingsPerRow;
-            
-            const buildingX = x + col * buildingWidth;
-            const buildingY = y + row * buildingHeight;
-            
-            // Add spacing between buildings
-            const spacing = Math.min(buildingWidth, buildingHeight) * 0.1;
-            const actualWidth = buildingWidth - spacing;
-            const actualHeight = buildingHeight - spacing;
-            
-            if (actualWidth > 5 && actualHeight > 5) {
-                // Add randomness to building position
-                const offsetX = (Math.seededRandom() - 0.5) * randomness * spacing;
-                const offsetY = (Math.seededRandom() - 0.5) * randomness * spacing;
-                
-                buildings.push({
-                    x: buildingX + spacing / 2 + offsetX,
-                    y: buildingY + spacing / 2 + offsetY,
-                    width: actualWidth,
-                    height: actualHeight,
-                    type: this.getBuildingType('residential'),
-                    opacity: 1,
-                    floors: Math.floor(Math.seededRandom() * 4) + 1
-                });
-            }
-        }
-    }
-
-    createMixedDevelopment(buildings, x, y, width, height, randomness) {
-        // Create a mix of one large building and several smaller ones
-        const largeBuilding = {
-            x: x,
-            y: y,
-            width: width * 0.6,
-            height: height * 0.6,
-            type: this.getBuildingType('commercial'),
-            opacity: 1,
-            floors: Math.floor(Math.seededRandom() * 6) + 3
-        };
-        buildings.push(largeBuilding);
-
-        // Add smaller buildings around it
-        const smallBuildingSize = Math.min(width, height) * 0.2;
-        const positions = [
-            { x: x + width * 0.7, y: y, width: width * 0.3, height: smallBuildingSize },
-            { x: x + width * 0.7, y: y + height * 0.7, width: width * 0.3, height: width * 0.3 },
-            { x: x, y: y + height * 0.7, width: smallBuildingSize, height: height * 0.3 }
-        ];
-
-        positions.forEach(pos => {
-            if (pos.width > 5 && pos.height > 5) {
-                const offsetX = (Math.seededRandom() - 0.5) * randomness * 5;
-                const offsetY = (Math.seededRandom() - 0.5) * randomness * 5;
-                
-                buildings.push({
-                    x: pos.x + offsetX,
-                    y: pos.y + offsetY,
-                    width: pos.width,
-                    height: pos.height,
-                    type: this.getBuildingType('residential'),
-                    opacity: 1,
-                    floors: Math.floor(Math.seededRandom() * 3) + 1
-                });
-            }
+        parcels.footprints(block, rng).forEach(rect => {
+            // Large lots tend to be commercial
+            const large = rect.width * rect.height > blockArea / 4;
+            buildings.push({
+                ...rect,
+                type: this.getBuildingType(large ? 'commercial' : 'residential', rng),
+                opacity: 1,
+                floors: large ? Math.floor(rng.random() * 8) + 2 : Math.floor(rng.random() * 4) + 1
+            });
         });
     }
 
@@ -245,29 +198,20 @@ class GridLayoutAlgorithm {
         };
     }
 
-    getBuildingType(preference = null) {
+    getBuildingType(preference, rng) {
         const types = ['residential', 'commercial', 'industrial'];
         
         if (preference && types.includes(preference)) {
             // 70% chance of getting the preferred type
-            return Math.seededRandom() < 0.7 ? preference : types[Math.floor(Math.seededRandom() * types.length)];
+            return rng.random() < 0.7 ? preference : types[Math.floor(rng.random() * types.length)];
         }
         
         // Default distribution
-        const random = Math.seededRandom();
+        const random = rng.random();
         if (random < 0.5) return 'residential';
         if (random < 0.8) return 'commercial';
         return 'industrial';
     }
-
-    // Utility method to validate and adjust parameters
-    validateParams(params) {
-        const validated = { ...params };
-        
-        validated.gridSize = Math.max(5, Math.min(50, validated.gridSize || 20));
-        validated.streetWidth = Math.max(1, Math.min(10, validated.streetWidth || 2));
-        validated.density = Math.max(0.1, Math.min(1, validated.density || 0.7));
-        
-        return validated;
-    }
 }
+
+AlgorithmRegistry.register('gridLayout', new GridLayoutAlgorithm());
@@ -7,6 +7,11 @@ class PoissonDiskAlgorithm {
     constructor() {
         this.name = 'Poisson Disk Sampling';
         this.description = 'Creates organic city layouts using Poisson disk sampling to ensure minimum distances between buildings';
+        this.params = {
+            minDistance: { type: 'integer', label: 'Min Distance', min: 10, max: 100, default: 30 },
+            maxAttempts: { type: 'integer', label: 'Max Attempts', min: 10, max: 100, default: 30 }
+        };
+        this.color = '#e0a040';
     }
 
     async generate(params) {
@@ -20,40 +25,92 @@ class PoissonDiskAlgorithm {
             seed = 12345
         } = params;
 
-        Math.seedrandom(seed);
+        const rng = params.rng || new SeededRandom(seed);
+        const terrain = params.terrain || Terrain.flat(canvasWidth, canvasHeight);
 
         const buildings = [];
-        const roads = [];
+        const roads = new RoadGraph();
         const parks = [];
 
-        const points = this.poissonDiskSampling(canvasWidth, canvasHeight, minDistance * scale, maxAttempts);
+        const points = this.poissonDiskSampling(canvasWidth, canvasHeight, minDistance * scale, maxAttempts, rng, terrain);
 
-        // Convert points to buildings
-        points.forEach(point => {
-            const buildingSize = (10 + Math.seededRandom() * 20) * scale;
-            const buildingType = this.getBuildingType();
-            
-            buildings.push({
-                x: point.x - buildingSize / 2,
-                y: point.y - buildingSize / 2,
-                width: buildingSize,
-                height: buildingSize,
-                type: buildingType,
-                opacity: 1,
-                floors: Math.floor(Math.seededRandom() * 5) + 1
-            });
+        // Generate organic road network connecting the samples
+        const connections = this.generateOrganicRoads(roads, points, canvasWidth, canvasHeight, scale);
+        const streets = terrain.clipRoads(roads);
+
+        // Each sample is a junction; its building stands beside it, clear of
+        // the streets and of the buildings placed so far
+        const streetIndex = SpatialGrid.from(streets.pieces(), 32);
+        const taken = new SpatialGrid(32);
+        const isFree = rect => terrain.isBuildable(rect) && !streetIndex.any(rect) && !taken.any(rect);
+        const headings = points.map(() => []);
+        connections.forEach(({ from, to }) => {
+            const angle = Math.atan2(points[to].y - points[from].y, points[to].x - points[from].x);
+            headings[from].push(angle);
+            headings[to].push(angle + Math.PI);
         });
 
-        // Generate organic road network connecting buildings
-        this.generateOrganicRoads(roads, points, canvasWidth, canvasHeight, scale);
+        points.forEach((point, i) => {
+            const buildingSize = (10 + rng.random() * 20) * scale;
+            const buildingType = this.getBuildingType(rng);
+            const floors = Math.floor(rng.random() * 5) + 1;
+            const plot = this.sitePlot(point, headings[i], buildingSize, 6 * scale, 5 * scale, isFree);
+            if (!plot) return;
+            taken.insert(plot);
+            buildings.push({ ...plot, type: buildingType, opacity: 1, floors });
+        });
 
         // Add some parks in open areas
-        this.generateParks(parks, points, canvasWidth, canvasHeight, minDistance * scale);
+        this.generateParks(parks, points, canvasWidth, canvasHeight, minDistance * scale, rng, terrain);
 
-        return { buildings, roads, parks, water: [] };
+        return { buildings, roads: streets, parks, water: [] };
+    }
+
+    /**
+     * Square footprint set back from a junction into one of the gaps between
+     * the streets meeting there, widest gap first, shrunk until it is free.
+     * @param {{x:number, y:number}} point the junction
+     * @param {number[]} headings directions (radians) of the streets leaving it
+     * @param {number} size preferred side length (px)
+     * @param {number} minSize smallest side worth building (px)
+     * @param {number} clearance gap kept from the junction (px)
+     * @param {function(Object): boolean} isFree
+     * @returns {{x:number, y:number, width:number, height:number}|null}
+     */
+    sitePlot(point, headings, size, minSize, clearance, isFree) {
+        const facings = this.gapBisectors(headings);
+        for (let side = size; side >= minSize; side *= 0.8) {
+            for (const facing of facings) {
+                const dx = Math.cos(facing);
+                const dy = Math.sin(facing);
+                // Centre far enough out along the bisector that the square keeps clear of the junction
+                const reach = clearance + side / 2 * (Math.abs(dx) + Math.abs(dy));
+                const plot = {
+                    x: point.x + dx * reach - side / 2,
+                    y: point.y + dy * reach - side / 2,
+                    width: side,
+                    height: side
+                };
+                if (isFree(plot)) return plot;
+            }
+        }
+        return null;
     }
 
-    poissonDiskSampling(width, height, minDistance, maxAttempts) {
+    // Bisectors of the angles between headings, widest first; the diagonals when there are none
+    gapBisectors(headings) {
+        if (!headings.length) return [1, 3, 5, 7].map(k => k * Math.PI / 4);
+        const sorted = headings.map(angle => (angle % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI)).sort((a, b) => a - b);
+        return sorted
+            .map((angle, i) => {
+                const next = i + 1 < sorted.length ? sorted[i + 1] : sorted[0] + 2 * Math.PI;
+                return { start: angle, size: next - angle };
+            })
+            .sort((a, b) => b.size - a.size)
+            .map(gap => gap.start + gap.size / 2);
+    }
+
+    poissonDiskSampling(width, height, minDistance, maxAttempts, rng, terrain = Terrain.flat(width, height)) {
         const points = [];
         const grid = [];
         const cellSize = minDistance / Math.sqrt(2);
@@ -65,11 +122,16 @@ class PoissonDiskAlgorithm {
             grid[i] = null;
         }
 
-        // Start with initial random point
-        const initialPoint = {
-            x: Math.seededRandom() * width,
-            y: Math.seededRandom() * height
-        };
+        // Start with initial random point on open ground
+        let initialPoint = null;
+        for (let attempt = 0; attempt < maxAttempts && !initialPoint; attempt++) {
+            const candidate = {
+                x: rng.random() * width,
+                y: rng.random() * height
+            };
+            if (terrain.isOpen(candidate.x, candidate.y)) initialPoint = candidate;
+        }
+        if (!initialPoint) return points;
         
         points.push(initialPoint);
         const gridIndex = Math.floor(initialPoint.x / cellSize) + Math.floor(initialPoint.y / cellSize) * gridWidth;
@@ -78,21 +140,22 @@ class PoissonDiskAlgorithm {
         const activeList = [0];
 
         while (activeList.length > 0) {
-            const randomIndex = Math.floor(Math.seededRandom() * activeList.length);
+            const randomIndex = Math.floor(rng.random() * activeList.length);
             const currentPointIndex = activeList[randomIndex];
             const currentPoint = points[currentPointIndex];
             let found = false;
 
             for (let attempt = 0; attempt < maxAttempts; attempt++) {
-                const angle = Math.seededRandom() * 2 * Math.PI;
-                const radius = minDistance + Math.seededRandom() * minDistance;
+                const angle = rng.random() * 2 * Math.PI;
+                const radius = minDistance + rng.random() * minDistance;
                 
                 const newPoint = {
                     x: currentPoint.x + Math.cos(angle) * radius,
                     y: currentPoint.y + Math.sin(angle) * radius
                 };
 
-                if (newPoint.x >= 0 && newPoint.x < width && newPoint.y >= 0 && newPoint.y < height) {
+                if (newPoint.x >= 0 && newPoint.x < width && newPoint.y >= 0 && newPoint.y < height &&
+                    terrain.isOpen(newPoint.x, newPoint.y)) {
                     if (this.isValidPoint(newPoint, points, grid, minDistance, cellSize, gridWidth, gridHeight)) {
                         points.push(newPoint);
                         const newGridIndex = Math.floor(newPoint.x / cellSize) + Math.floor(newPoint.y / cellSize) * gridWidth;
@@ -135,74 +198,77 @@ class PoissonDiskAlgorithm {
     }
 
     generateOrganicRoads(roads, points, canvasWidth, canvasHeight, scale) {
-        // Create a minimal spanning tree to connect buildings
+        // Create a minimal spanning tree to connect the samples
         const connections = this.createMST(points);
         
         connections.forEach(connection => {
             const start = points[connection.from];
             const end = points[connection.to];
             
-            roads.push({
-                x: Math.min(start.x, end.x),
-                y: Math.min(start.y, end.y) - 2,
-                width: Math.abs(end.x - start.x) || 4,
-                height: Math.abs(end.y - start.y) || 4,
-                direction: Math.abs(end.x - start.x) > Math.abs(end.y - start.y) ? 'horizontal' : 'vertical',
-                type: 'organic',
-                opacity: 1
-            });
+            roads.addEdge([start, end], { width: 4 * scale, class: 'local', opacity: 1 });
         });
+        return connections;
     }
 
     createMST(points) {
         if (points.length === 0) return [];
         
+        // Prim's algorithm, tracking each point's nearest connected point.
+        // Squared distances order the same as distances, so skip the sqrt.
+        const count = points.length;
         const connections = [];
-        const connected = new Set([0]);
+        const connected = new Uint8Array(count);
+        const nearestDistance = new Float64Array(count).fill(Infinity);
+        const nearestFrom = new Int32Array(count).fill(-1);
+        let latest = 0;
+        connected[0] = 1;
         
-        while (connected.size < points.length) {
-            let minDistance = Infinity;
-            let bestConnection = null;
+        for (let added = 1; added < count; added++) {
+            const { x, y } = points[latest];
+            let bestIndex = -1;
             
-            for (const connectedIndex of connected) {
-                for (let i = 0; i < points.length; i++) {
-                    if (!connected.has(i)) {
-                        const distance = Math.sqrt(
-                            Math.pow(points[connectedIndex].x - points[i].x, 2) + 
-                            Math.pow(points[connectedIndex].y - points[i].y, 2)
-                        );
-                        
-                        if (distance < minDistance) {
-                            minDistance = distance;
-                            bestConnection = { from: connectedIndex, to: i };
-                        }
-                    }
+            for (let i = 0; i < count; i++) {
+                if (connected[i]) continue;
+                const dx = x - points[i].x;
+                const dy = y - points[i].y;
+                const distance = dx * dx + dy * dy;
+                if (distance < nearestDistance[i]) {
+                    nearestDistance[i] = distance;
+                    nearestFrom[i] = latest;
+                }
+                if (bestIndex === -1 || nearestDistance[i] < nearestDistance[bestIndex]) {
+                    bestIndex = i;
                 }
             }
             
-            if (bestConnection) {
-                connections.push(bestConnection);
-                connected.add(bestConnection.to);
-            }
+            connections.push({ from: nearestFrom[bestIndex], to: bestIndex });
+            connected[bestIndex] = 1;
+            latest = bestIndex;
         }
         
         return connections;
     }
 
-    generateParks(parks, points, canvasWidth, canvasHeight, minDistance) {
+    generateParks(parks, points, canvasWidth, canvasHeight, minDistance, rng, terrain = Terrain.flat(canvasWidth, canvasHeight)) {
         // Find areas with low point density for parks
         const parkCandidates = [];
         const gridSize = minDistance;
+        const radius = gridSize * 1.5;
+        // Index points so each candidate only checks its own neighbourhood
+        const index = SpatialGrid.from(points.map(point => ({ x: point.x, y: point.y, width: 0, height: 0 })), radius);
         
         for (let x = gridSize; x < canvasWidth - gridSize; x += gridSize * 2) {
             for (let y = gridSize; y < canvasHeight - gridSize; y += gridSize * 2) {
-                const nearbyPoints = points.filter(point => {
-                    const distance = Math.sqrt(Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2));
-                    return distance < gridSize * 1.5;
-                });
+                const nearbyPoints = index.query({ x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 })
+                    .filter(point => {
+                        const distance = Math.sqrt(Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2));
+                        return distance < radius;
+                    });
                 
-                if (nearbyPoints.length === 0) {
-                    parkCandidates.push({ x: x - gridSize/2, y: y - gridSize/2 });
+                const site = { x: x - gridSize/2, y: y - gridSize/2, width: gridSize, height: gridSize };
+                // Gaps left by a lake are not park sites
+                if (nearbyPoints.length === 0 && !terrain.overlapsWater(site)) {
+                    parkCandidates.push(site);
                 }
             }
         }
@@ -210,7 +276,7 @@ class PoissonDiskAlgorithm {
         // Select random park locations
         const parkCount = Math.min(5, Math.floor(parkCandidates.length * 0.3));
         for (let i = 0; i < parkCount; i++) {
-            const parkIndex = Math.floor(Math.seededRandom() * parkCandidates.length);
+            const parkIndex = Math.floor(rng.random() * parkCandidates.length);
             const park = parkCandidates[parkIndex];
             
             parks.push({
@@ -227,10 +293,12 @@ class PoissonDiskAlgorithm {
         }
     }
 
-    getBuildingType() {
-        const random = Math.seededRandom();
+    getBuildingType(rng) {
+        const random = rng.random();
         if (random < 0.6) return 'residential';
         if (random < 0.8) return 'commercial';
         return 'industrial';
     }
 }
+
+AlgorithmRegistry.register('poissonDisk', new PoissonDiskAlgorithm());
@@ -7,6 +7,12 @@ class RandomWalkAlgorithm {
     constructor() {
         this.name = 'Random Walk';
         this.description = 'Creates organic city layouts using random walk agents that deposit buildings and roads';
+        this.params = {
+            walkerCount: { type: 'integer', label: 'Walker Count', min: 1, max: 20, default: 5 },
+            steps: { type: 'integer', label: 'Steps', min: 50, max: 500, default: 200 },
+            depositChance: { type: 'number', label: 'Deposit Chance', min: 0.01, max: 1, step: 0.01, default: 0.3 }
+        };
+        this.color = '#e05a5a';
     }
 
     async generate(params) {
@@ -20,10 +26,11 @@ class RandomWalkAlgorithm {
             seed = 12345
         } = params;
 
-        Math.seedrandom(seed);
+        const rng = params.rng || new SeededRandom(seed);
+        const terrain = params.terrain || Terrain.flat(canvasWidth, canvasHeight);
 
         const buildings = [];
-        const roads = [];
+        const roads = new RoadGraph();
         const parks = [];
         const depositedPoints = [];
 
@@ -31,19 +38,19 @@ class RandomWalkAlgorithm {
         const walkers = [];
         for (let i = 0; i < walkerCount; i++) {
             walkers.push({
-                x: canvasWidth / 2 + (Math.seededRandom() - 0.5) * 100,
-                y: canvasHeight / 2 + (Math.seededRandom() - 0.5) * 100,
-                direction: Math.seededRandom() * 2 * Math.PI,
-                type: this.getWalkerType()
+                x: canvasWidth / 2 + (rng.random() - 0.5) * 100,
+                y: canvasHeight / 2 + (rng.random() - 0.5) * 100,
+                direction: rng.random() * 2 * Math.PI,
+                type: this.getWalkerType(rng)
             });
         }
 
         // Perform random walks
         for (let step = 0; step < steps; step++) {
             walkers.forEach((walker, index) => {
-                this.updateWalker(walker, canvasWidth, canvasHeight);
+                this.updateWalker(walker, canvasWidth, canvasHeight, rng, terrain);
                 
-                if (Math.seededRandom() < depositChance) {
+                if (rng.random() < depositChance && terrain.isOpen(walker.x, walker.y)) {
                     depositedPoints.push({
                         x: walker.x,
                         y: walker.y,
@@ -55,27 +62,52 @@ class RandomWalkAlgorithm {
         }
 
         // Convert deposited points to buildings and infrastructure
-        this.convertPointsToStructures(depositedPoints, buildings, roads, parks, scale);
+        this.convertPointsToStructures(depositedPoints, buildings, roads, parks, scale, rng);
+
+        // Walkers cross their own paths and the streets: keep the first
+        // footprint deposited on any spot, and none on a street or park
+        const streets = terrain.clipRoads(roads).splitCrossings();
+        const dryParks = parks.filter(park => !terrain.overlapsWater(park));
+        const blocked = SpatialGrid.from([...streets.pieces(), ...dryParks], 32);
+        const taken = new SpatialGrid(32);
+        const clear = building => {
+            if (!terrain.isBuildable(building) || blocked.any(building) || taken.any(building)) return false;
+            taken.insert(building);
+            return true;
+        };
 
-        return { buildings, roads, parks, water: [] };
+        return {
+            buildings: buildings.filter(clear),
+            roads: streets,
+            parks: dryParks,
+            water: []
+        };
     }
 
-    getWalkerType() {
-        const random = Math.seededRandom();
+    getWalkerType(rng) {
+        const random = rng.random();
         if (random < 0.3) return 'residential';
         if (random < 0.5) return 'commercial';
         if (random < 0.7) return 'road';
         return 'park';
     }
 
-    updateWalker(walker, canvasWidth, canvasHeight) {
+    updateWalker(walker, canvasWidth, canvasHeight, rng, terrain = Terrain.flat(canvasWidth, canvasHeight)) {
         // Random direction change
-        walker.direction += (Math.seededRandom() - 0.5) * 0.5;
+        walker.direction += (rng.random() - 0.5) * 0.5;
         
         // Move walker
-        const speed = 5 + Math.seededRandom() * 10;
-        walker.x += Math.cos(walker.direction) * speed;
-        walker.y += Math.sin(walker.direction) * speed;
+        const speed = 5 + rng.random() * 10;
+        const nextX = walker.x + Math.cos(walker.direction) * speed;
+        const nextY = walker.y + Math.sin(walker.direction) * speed;
+
+        // Turn back at the shore; walkers that start in water may wade out
+        if (terrain.isWater(nextX, nextY) && !terrain.isWater(walker.x, walker.y)) {
+            walker.direction += Math.PI;
+            return;
+        }
+        walker.x = nextX;
+        walker.y = nextY;
         
         // Boundary handling - bounce off edges
         if (walker.x < 20 || walker.x > canvasWidth - 20) {
@@ -88,7 +120,7 @@ class RandomWalkAlgorithm {
         }
     }
 
-    convertPointsToStructures(points, buildings, roads, parks, scale) {
+    convertPointsToStructures(points, buildings, roads, parks, scale, rng) {
         // Group points by type
         const grouped = {
             residential: [],
@@ -105,7 +137,7 @@ class RandomWalkAlgorithm {
 
         // Create buildings from residential and commercial points
         [...grouped.residential, ...grouped.commercial].forEach(point => {
-            const buildingSize = (8 + Math.seededRandom() * 15) * scale;
+            const buildingSize = (8 + rng.random() * 15) * scale;
             buildings.push({
                 x: point.x - buildingSize / 2,
                 y: point.y - buildingSize / 2,
@@ -113,7 +145,7 @@ class RandomWalkAlgorithm {
                 height: buildingSize,
                 type: point.type,
                 opacity: 1,
-                floors: Math.floor(Math.seededRandom() * 4) + 1
+                floors: Math.floor(rng.random() * 4) + 1
             });
         });
 
@@ -122,7 +154,7 @@ class RandomWalkAlgorithm {
 
         // Create parks from park points
         grouped.park.forEach(point => {
-            const parkSize = (15 + Math.seededRandom() * 25) * scale;
+            const parkSize = (15 + rng.random() * 25) * scale;
             parks.push({
                 x: point.x - parkSize / 2,
                 y: point.y - parkSize / 2,
@@ -149,19 +181,11 @@ class RandomWalkAlgorithm {
                 );
 
                 if (distance < maxConnectionDistance) {
-                    const isHorizontal = Math.abs(point.x - other.x) > Math.abs(point.y - other.y);
-                    
-                    roads.push({
-                        x: Math.min(point.x, other.x) - roadWidth / 2,
-                        y: Math.min(point.y, other.y) - roadWidth / 2,
-                        width: isHorizontal ? Math.abs(point.x - other.x) + roadWidth : roadWidth,
-                        height: isHorizontal ? roadWidth : Math.abs(point.y - other.y) + roadWidth,
-                        direction: isHorizontal ? 'horizontal' : 'vertical',
-                        type: 'organic',
-                        opacity: 0.8
-                    });
+                    roads.addEdge([point, other], { width: roadWidth, class: 'local', opacity: 0.8 });
                 }
             }
         });
     }
 }
+
+AlgorithmRegistry.register('randomWalk', new RandomWalkAlgorithm());
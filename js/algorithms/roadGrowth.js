@@ -0,0 +1,401 @@
+/**
+ * Road Growth Algorithm
+ * Grows highways and streets outward from a centre, road first: a tensor
+ * field sets the preferred street directions, each new segment is checked
+ * against the network built so far (stopping at crossings, snapping to nearby
+ * junctions and roads, halting at water), and buildings are then placed on
+ * lots along the streets.
+ */
+
+class RoadGrowthAlgorithm {
+    constructor() {
+        this.name = 'Road Growth';
+        this.description = 'Grows highways and streets along a tensor field, snapping to nearby junctions and following the terrain';
+        this.params = {
+            segmentLength: { type: 'integer', label: 'Segment Length', min: 10, max: 40, default: 20 },
+            branchChance: { type: 'number', label: 'Branch Chance', min: 0.05, max: 1, step: 0.05, default: 0.4 },
+            maxSegments: { type: 'integer', label: 'Max Segments', min: 50, max: 2000, step: 50, default: 500 },
+            snapDistance: { type: 'integer', label: 'Snap Distance', min: 2, max: 30, default: 10 }
+        };
+        this.color = '#e07040';
+    }
+
+    async generate(params) {
+        const {
+            segmentLength = 20,
+            branchChance = 0.4,
+            maxSegments = 500,
+            snapDistance = 10,
+            canvasWidth = 800,
+            canvasHeight = 600,
+            scale = 1,
+            seed = 12345
+        } = params;
+
+        const rng = params.rng || new SeededRandom(seed);
+        const terrain = params.terrain || Terrain.flat(canvasWidth, canvasHeight);
+
+        const field = this.createTensorField(canvasWidth, canvasHeight, rng);
+        const segments = this.growNetwork({
+            length: segmentLength * scale,
+            branchChance,
+            maxSegments,
+            snapDistance: snapDistance * scale,
+            width: canvasWidth,
+            height: canvasHeight,
+            field,
+            terrain,
+            rng
+        });
+
+        const graph = new RoadGraph();
+        segments.forEach(segment => graph.addEdge([segment.a, segment.b], this.roadProps(segment.kind, scale)));
+        const roads = terrain.clipRoads(graph.splitCrossings().mergeChains());
+
+        const { buildings, parks } = this.placeBuildings(segments, roads, scale, rng);
+
+        return {
+            buildings: buildings.filter(building => terrain.isBuildable(building)),
+            roads,
+            parks: parks.filter(park => !terrain.overlapsWater(park)),
+            water: []
+        };
+    }
+
+    roadProps(kind, scale) {
+        return kind === 'highway'
+            ? { width: 6 * scale, class: 'arterial', opacity: 1 }
+            : { width: 3 * scale, class: 'local', opacity: 1 };
+    }
+
+    /**
+     * A few grid patches at random angles plus one radial pattern, blended by
+     * distance. Each is a symmetric tensor stored as (cos 2θ, sin 2θ), so
+     * opposite directions add up instead of cancelling.
+     * @returns {function(number, number): number} major direction (radians) at a point
+     */
+    createTensorField(width, height, rng) {
+        const size = Math.max(width, height);
+        const bases = [];
+        const gridCount = 2 + Math.floor(rng.random() * 3);
+        for (let i = 0; i < gridCount; i++) {
+            bases.push({
+                type: 'grid',
+                x: rng.random() * width,
+                y: rng.random() * height,
+                angle: rng.random() * Math.PI,
+                spread: size * (0.2 + rng.random() * 0.3)
+            });
+        }
+        bases.push({
+            type: 'radial',
+            x: width * (0.3 + rng.random() * 0.4),
+            y: height * (0.3 + rng.random() * 0.4),
+            spread: size * 0.15
+        });
+
+        return (x, y) => {
+            let c = 0;
+            let s = 0;
+            bases.forEach(basis => {
+                const dx = x - basis.x;
+                const dy = y - basis.y;
+                const weight = Math.exp(-(dx * dx + dy * dy) / (2 * basis.spread * basis.spread));
+                // Radial patterns run around their centre
+                const angle = basis.type === 'grid' ? basis.angle : Math.atan2(dy, dx) + Math.PI / 2;
+                c += weight * Math.cos(2 * angle);
+                s += weight * Math.sin(2 * angle);
+            });
+            return Math.atan2(s, c) / 2;
+        };
+    }
+
+    /**
+     * Grow the network from a queue of proposed segments, highways first.
+     * Every accepted segment proposes its continuation and, sometimes, side
+     * branches at right angles.
+     * @returns {Array<{a:{x:number, y:number}, b:{x:number, y:number}, kind:string}>}
+     */
+    growNetwork(options) {
+        const { length, branchChance, maxSegments, snapDistance, width, height, field, terrain, rng } = options;
+        const segments = [];
+        const index = new SpatialGrid(Math.max(length, snapDistance) * 2);
+        const queue = [];
+        // Keep the queue ordered by time, first come first served within a step
+        const enqueue = proposal => {
+            let low = 0;
+            let high = queue.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (queue[mid].time <= proposal.time) low = mid + 1;
+                else high = mid;
+            }
+            queue.splice(low, 0, proposal);
+        };
+
+        const start = this.findStart(width, height, terrain, rng);
+        if (!start) return segments;
+        const angle = field(start.x, start.y);
+        enqueue({ time: 0, from: start, angle, kind: 'highway' });
+        enqueue({ time: 0, from: start, angle: angle + Math.PI, kind: 'highway' });
+
+        while (queue.length && segments.length < maxSegments) {
+            const proposal = queue.shift();
+            const segmentLength = proposal.kind === 'highway' ? length * 1.5 : length;
+            const heading = this.steer(proposal, segmentLength, field, terrain);
+            const end = {
+                x: proposal.from.x + Math.cos(heading) * segmentLength,
+                y: proposal.from.y + Math.sin(heading) * segmentLength
+            };
+            const result = this.applyConstraints(proposal, end, { index, snapDistance, width, height, terrain });
+            if (!result) continue;
+
+            const segment = { a: proposal.from, b: result.end, kind: proposal.kind };
+            segments.push(segment);
+            index.insert({ ...RoadGrowthAlgorithm.bounds(segment.a, segment.b, snapDistance), segment });
+            if (result.stop) continue;
+
+            // Production rules: carry on, and branch off now and then
+            const next = { from: result.end, kind: proposal.kind };
+            enqueue({ ...next, time: proposal.time + 1, angle: heading });
+            [-1, 1].forEach(side => {
+                const branch = heading + side * Math.PI / 2;
+                if (proposal.kind === 'highway' && rng.random() < branchChance * 0.2) {
+                    enqueue({ ...next, time: proposal.time + 1, angle: branch });
+                } else if (rng.random() < branchChance) {
+                    // Streets wait for the highways to get ahead of them
+                    const delay = proposal.kind === 'highway' ? 5 : 1;
+                    enqueue({ ...next, time: proposal.time + delay, angle: branch, kind: 'street' });
+                }
+            });
+        }
+        return segments;
+    }
+
+    // An open point near the middle of the map, or null after a few tries
+    findStart(width, height, terrain, rng) {
+        for (let attempt = 0; attempt < 30; attempt++) {
+            const spread = 0.2 + attempt * 0.02;
+            const x = width * (0.5 + (rng.random() - 0.5) * spread * 2);
+            const y = height * (0.5 + (rng.random() - 0.5) * spread * 2);
+            if (terrain.isOpen(x, y)) return { x, y };
+        }
+        return null;
+    }
+
+    /**
+     * Heading for the next segment: the field direction nearest the current
+     * heading, turned a little where that climbs less, or further to follow
+     * a shore instead of running into the water.
+     * @returns {number} radians
+     */
+    steer(proposal, length, field, terrain) {
+        const { from, angle } = proposal;
+        const major = field(from.x, from.y);
+        // Of the field's four directions, the one closest to where the road is going
+        let aligned = major;
+        let closest = Infinity;
+        for (let k = 0; k < 4; k++) {
+            const candidate = major + k * Math.PI / 2;
+            const turn = Math.abs(Math.atan2(Math.sin(candidate - angle), Math.cos(candidate - angle)));
+            if (turn < closest) {
+                closest = turn;
+                aligned = candidate;
+            }
+        }
+
+        // Climb per topography cell, traded against bending away from the field
+        const start = terrain.elevationAt(from.x, from.y);
+        const cells = length / terrain.cellSize;
+        const pick = offsets => {
+            let best = null;
+            let bestCost = Infinity;
+            offsets.forEach(offset => {
+                const heading = aligned + offset;
+                const x = from.x + Math.cos(heading) * length;
+                const y = from.y + Math.sin(heading) * length;
+                const midX = from.x + Math.cos(heading) * length / 2;
+                const midY = from.y + Math.sin(heading) * length / 2;
+                if (terrain.isWater(x, y) || terrain.isWater(midX, midY)) return;
+                const climb = Math.abs(terrain.elevationAt(x, y) - start) / cells;
+                const cost = climb * 10 + Math.abs(offset) * 0.5;
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    best = heading;
+                }
+            });
+            return best;
+        };
+        // Swing wider only to get round water
+        return pick([-0.4, -0.2, 0, 0.2, 0.4]) ?? pick([-1, -0.8, -0.6, 0.6, 0.8, 1]) ?? aligned;
+    }
+
+    /**
+     * Local constraints on a proposed segment, in order: it must stay on the
+     * map and leave its junction at a clear angle from the roads already
+     * there, stops at the first road it crosses, snaps to a junction or road
+     * within reach of its end, and stops short of water. Streets also give
+     * up on slopes too steep to build along.
+     * @returns {{end:{x:number, y:number}, stop:boolean}|null} where the segment
+     *          really ends and whether growth stops there; null to drop it
+     */
+    applyConstraints(proposal, end, { index, snapDistance, width, height, terrain }) {
+        const { from, kind } = proposal;
+        if (end.x < 0 || end.y < 0 || end.x > width || end.y > height) return null;
+        if (kind === 'street' && terrain.isSteep(end.x, end.y)) return null;
+
+        const nearby = index.query(RoadGrowthAlgorithm.bounds(from, end, snapDistance)).map(item => item.segment);
+        const touchesStart = segment => RoadGrowthAlgorithm.samePoint(segment.a, from) || RoadGrowthAlgorithm.samePoint(segment.b, from);
+
+        // Too close in angle to a road already leaving the same junction
+        const heading = Math.atan2(end.y - from.y, end.x - from.x);
+        const tooSharp = nearby.some(segment => {
+            if (!touchesStart(segment)) return false;
+            const other = RoadGrowthAlgorithm.samePoint(segment.a, from) ? segment.b : segment.a;
+            const angle = Math.atan2(other.y - from.y, other.x - from.x);
+            return Math.abs(Math.atan2(Math.sin(angle - heading), Math.cos(angle - heading))) < Math.PI / 6;
+        });
+        if (tooSharp) return null;
+
+        // Nearest crossing along the proposal
+        let crossing = null;
+        nearby.forEach(segment => {
+            if (touchesStart(segment)) return;
+            const hit = RoadGraph.intersect(from, end, segment.a, segment.b);
+            if (hit && hit.t > 1e-6 && (!crossing || hit.t < crossing.t)) crossing = hit;
+        });
+        let result = crossing ? { end: crossing.point, stop: true } : { end, stop: false };
+
+        if (!crossing) {
+            // A junction in reach, else the nearest point of a road in reach
+            let best = null;
+            nearby.forEach(segment => {
+                [segment.a, segment.b].forEach(point => {
+                    const distance = Math.hypot(point.x - end.x, point.y - end.y);
+                    if (distance <= snapDistance && !RoadGrowthAlgorithm.samePoint(point, from)
+                        && (!best || distance < best.distance)) {
+                        best = { point, distance };
+                    }
+                });
+            });
+            if (!best) {
+                nearby.forEach(segment => {
+                    if (touchesStart(segment)) return;
+                    const { point, distance } = RoadGrowthAlgorithm.project(segment, end);
+                    if (distance <= snapDistance && (!best || distance < best.distance)) best = { point, distance };
+                });
+            }
+            if (best) result = { end: best.point, stop: true };
+        }
+
+        // Cut the segment at the first wet sample; drop it if it starts in water
+        const steps = 4;
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const x = from.x + (result.end.x - from.x) * t;
+            const y = from.y + (result.end.y - from.y) * t;
+            if (terrain.isWater(x, y)) {
+                if (i === 1) return null;
+                const dry = (i - 1) / steps;
+                return {
+                    end: { x: from.x + (result.end.x - from.x) * dry, y: from.y + (result.end.y - from.y) * dry },
+                    stop: true
+                };
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Lots along both sides of every segment, split by ParcelSubdivider.
+     * Footprints that would sit on an earlier building or on a road, judged
+     * by the same road pieces as the collision pass, are dropped; a few lots
+     * become small parks instead.
+     * @param {Array<Object>} segments
+     * @param {RoadGraph} roads the finished network
+     */
+    placeBuildings(segments, roads, scale, rng) {
+        const buildings = [];
+        const parks = [];
+        const taken = new SpatialGrid(32);
+        const roadIndex = SpatialGrid.from(roads.pieces(), 32);
+        const depth = 16 * scale;
+        // The deeper front setback keeps footprints by diagonal streets off the pieces' corners
+        const parcels = new ParcelSubdivider({
+            maxLotArea: 12 * scale * depth,
+            minFrontage: 6 * scale,
+            setbacks: { front: 3 * scale, side: scale, rear: 2 * scale },
+            minFootprint: 4 * scale
+        });
+
+        segments.forEach(segment => {
+            const { a, b, kind } = segment;
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (!length) return;
+            // Unit normal to the left of the segment
+            const nx = -(b.y - a.y) / length;
+            const ny = (b.x - a.x) / length;
+            const offset = this.roadProps(kind, scale).width / 2;
+
+            [-1, 1].forEach(side => {
+                const near = offset * side;
+                const far = (offset + depth) * side;
+                const strip = {
+                    polygon: [
+                        { x: a.x + nx * near, y: a.y + ny * near },
+                        { x: b.x + nx * near, y: b.y + ny * near },
+                        { x: b.x + nx * far, y: b.y + ny * far },
+                        { x: a.x + nx * far, y: a.y + ny * far }
+                    ],
+                    street: [true, false, false, false]
+                };
+                parcels.footprints(strip, rng).forEach(rect => {
+                    if (taken.any(rect) || roadIndex.any(rect)) return;
+                    taken.insert(rect);
+
+                    if (rng.random() < 0.05) {
+                        parks.push({ ...rect, type: 'park', opacity: 1, features: ['trees', 'grass'] });
+                        return;
+                    }
+                    // Shops along the highways, mostly houses along the streets
+                    const type = kind === 'highway' || rng.random() < 0.15 ? 'commercial' : 'residential';
+                    buildings.push({
+                        ...rect,
+                        type,
+                        opacity: 1,
+                        floors: type === 'commercial' ? Math.floor(rng.random() * 5) + 2 : Math.floor(rng.random() * 3) + 1
+                    });
+                });
+            });
+        });
+        return { buildings, parks };
+    }
+
+    // Bounding box of a segment grown by a margin
+    static bounds(a, b, margin) {
+        return {
+            x: Math.min(a.x, b.x) - margin,
+            y: Math.min(a.y, b.y) - margin,
+            width: Math.abs(b.x - a.x) + margin * 2,
+            height: Math.abs(b.y - a.y) + margin * 2
+        };
+    }
+
+    static samePoint(p, q) {
+        return Math.abs(p.x - q.x) < 1e-6 && Math.abs(p.y - q.y) < 1e-6;
+    }
+
+    /**
+     * @returns {{point:{x:number, y:number}, distance:number}} nearest point of a segment
+     */
+    static project({ a, b }, p) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+        const point = { x: a.x + dx * t, y: a.y + dy * t };
+        return { point, distance: Math.hypot(p.x - point.x, p.y - point.y) };
+    }
+}
+
+AlgorithmRegistry.register('roadGrowth', new RoadGrowthAlgorithm());
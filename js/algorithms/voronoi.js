@@ -7,198 +7,242 @@ class VoronoiAlgorithm {
     constructor() {
         this.name = 'Voronoi Diagram';
         this.description = 'Creates district-based city layouts using Voronoi tessellation';
+        this.params = {
+            seedPoints: { type: 'integer', label: 'Seed Points', min: 5, max: 100, default: 25 },
+            buildingsPerCell: { type: 'integer', label: 'Buildings per Cell', min: 1, max: 20, default: 5 },
+            relaxIterations: { type: 'integer', label: 'Lloyd Iterations', min: 0, max: 10, default: 2 }
+        };
+        this.color = '#c060d0';
     }
 
     async generate(params) {
         const {
             seedPoints = 25,
             buildingsPerCell = 5,
+            relaxIterations = 2,
             canvasWidth = 800,
             canvasHeight = 600,
             scale = 1,
             seed = 12345
         } = params;
 
-        Math.seedrandom(seed);
+        const rng = params.rng || new SeededRandom(seed);
+        const terrain = params.terrain || Terrain.flat(canvasWidth, canvasHeight);
 
         const buildings = [];
-        const roads = [];
+        const roads = new RoadGraph();
         const parks = [];
 
-        // Generate seed points
-        const seeds = this.generateSeedPoints(seedPoints, canvasWidth, canvasHeight);
+        // Generate seed points, evened out by Lloyd relaxation
+        const seeds = this.relaxSeeds(
+            this.generateSeedPoints(seedPoints, canvasWidth, canvasHeight, rng, terrain),
+            relaxIterations, canvasWidth, canvasHeight, terrain
+        );
 
         // Create Voronoi cells
         const cells = this.createVoronoiCells(seeds, canvasWidth, canvasHeight);
 
         // Generate structures for each cell
         cells.forEach(cell => {
-            this.populateCell(cell, buildings, roads, parks, buildingsPerCell, scale);
+            this.populateCell(cell, buildings, roads, parks, buildingsPerCell, scale, rng);
         });
 
-        // Connect districts with roads
-        this.connectDistricts(seeds, roads, canvasWidth, canvasHeight, scale);
+        // District borders are the main streets
+        this.addBorderStreets(cells, roads, scale);
+
+        // Beside a diagonal street the road pieces reach past the lots' setback.
+        // Split at the junctions first, as blending does, so the pieces match
+        const streets = terrain.clipRoads(roads).splitCrossings();
+        const streetIndex = SpatialGrid.from(streets.pieces(), 32);
 
-        return { buildings, roads, parks, water: [] };
+        return {
+            buildings: buildings.filter(building => terrain.isBuildable(building) && !streetIndex.any(building)),
+            roads: streets,
+            parks: parks.filter(park => !terrain.overlapsWater(park)),
+            water: [],
+            districts: cells
+                .filter(cell => cell.polygon.length >= 3)
+                .map(({ seed, polygon }) => ({ id: seed.id, type: seed.type, polygon }))
+        };
     }
 
-    generateSeedPoints(count, width, height) {
+    generateSeedPoints(count, width, height, rng, terrain = Terrain.flat(width, height)) {
         const seeds = [];
+        const maxAttempts = 30;
         for (let i = 0; i < count; i++) {
+            // District centres go on open ground; give up on a seed after maxAttempts
+            let point = null;
+            for (let attempt = 0; attempt < maxAttempts && !point; attempt++) {
+                const x = rng.random() * width;
+                const y = rng.random() * height;
+                if (terrain.isOpen(x, y)) point = { x, y };
+            }
+            if (!point) continue;
             seeds.push({
-                x: Math.seededRandom() * width,
-                y: Math.seededRandom() * height,
-                type: this.getDistrictType(),
-                id: i
+                ...point,
+                type: this.getDistrictType(rng),
+                id: seeds.length
             });
         }
         return seeds;
     }
 
-    getDistrictType() {
-        const random = Math.seededRandom();
+    getDistrictType(rng) {
+        const random = rng.random();
         if (random < 0.4) return 'residential';
         if (random < 0.6) return 'commercial';
         if (random < 0.8) return 'industrial';
         return 'mixed';
     }
 
+    /**
+     * Exact Voronoi cells of the seeds, clipped to the map.
+     * @returns {Array<{seed:Object, polygon:Array<{x:number, y:number}>, neighbors:number[], area:number}>}
+     *          one per seed; neighbors[k] is the seed across the edge leaving corner k (-1 on the map edge)
+     */
     createVoronoiCells(seeds, width, height) {
-        const cells = [];
-        const sampleCount = 20; // Samples per dimension for approximating cell boundaries
-
-        seeds.forEach(seed => {
-            const cell = {
-                seed: seed,
-                points: [],
-                bounds: { minX: width, maxX: 0, minY: height, maxY: 0 }
-            };
-
-            // Sample points within the Voronoi cell
-            for (let x = 0; x < width; x += width / sampleCount) {
-                for (let y = 0; y < height; y += height / sampleCount) {
-                    const closestSeed = this.findClosestSeed({ x, y }, seeds);
-                    if (closestSeed.id === seed.id) {
-                        cell.points.push({ x, y });
-                        cell.bounds.minX = Math.min(cell.bounds.minX, x);
-                        cell.bounds.maxX = Math.max(cell.bounds.maxX, x);
-                        cell.bounds.minY = Math.min(cell.bounds.minY, y);
-                        cell.bounds.maxY = Math.max(cell.bounds.maxY, y);
-                    }
-                }
-            }
-
-            cells.push(cell);
-        });
-
-        return cells;
+        return Delaunay.voronoiCells(seeds, { x: 0, y: 0, width, height }).map((cell, i) => ({
+            seed: seeds[i],
+            ...cell,
+            area: Delaunay.centroid(cell.polygon).area
+        }));
     }
 
-    findClosestSeed(point, seeds) {
-        let closest = seeds[0];
-        let minDistance = this.distance(point, closest);
-
-        for (let i = 1; i < seeds.length; i++) {
-            const dist = this.distance(point, seeds[i]);
-            if (dist < minDistance) {
-                minDistance = dist;
-                closest = seeds[i];
-            }
+    /**
+     * Lloyd relaxation: move every seed to the centroid of its cell, so
+     * districts become rounder and more even in size. A seed whose centroid
+     * is in water or too steep stays put.
+     */
+    relaxSeeds(seeds, iterations, width, height, terrain) {
+        for (let i = 0; i < iterations; i++) {
+            const cells = this.createVoronoiCells(seeds, width, height);
+            seeds = seeds.map((seed, s) => {
+                const { polygon } = cells[s];
+                if (polygon.length < 3) return seed;
+                const { x, y } = Delaunay.centroid(polygon);
+                return terrain.isOpen(x, y) ? { ...seed, x, y } : seed;
+            });
         }
-
-        return closest;
+        return seeds;
     }
 
-    distance(p1, p2) {
-        return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
-    }
+    populateCell(cell, buildings, roads, parks, buildingsPerCell, scale, rng) {
+        const { seed, polygon } = cell;
 
-    populateCell(cell, buildings, roads, parks, buildingsPerCell, scale) {
-        const { seed, bounds } = cell;
-        const cellWidth = bounds.maxX - bounds.minX;
-        const cellHeight = bounds.maxY - bounds.minY;
+        if (polygon.length < 3 || cell.area < 400) return; // Skip tiny cells
 
-        if (cellWidth < 20 || cellHeight < 20) return; // Skip tiny cells
+        const spokes = this.addInternalRoads(cell, roads, scale, rng);
+        // Footprints already taken in this cell
+        const occupied = [];
 
         // Add a park in the center of some cells
-        if (Math.seededRandom() < 0.3) {
-            const parkSize = Math.min(cellWidth, cellHeight) * 0.4;
-            parks.push({
-                x: seed.x - parkSize / 2,
-                y: seed.y - parkSize / 2,
-                width: parkSize,
-                height: parkSize,
-                type: 'park',
-                opacity: 1,
-                features: ['trees', 'paths', 'center']
-            });
+        if (rng.random() < 0.3) {
+            // Keep clear of the border streets (half their width plus a gap)
+            const margin = 3 * scale + 1;
+            // Shrink the park until it fits the cell
+            for (let parkSize = Math.sqrt(cell.area) * 0.4; parkSize >= 10; parkSize *= 0.7) {
+                const park = {
+                    x: seed.x - parkSize / 2,
+                    y: seed.y - parkSize / 2,
+                    width: parkSize,
+                    height: parkSize,
+                    type: 'park',
+                    opacity: 1,
+                    features: ['trees', 'paths', 'center']
+                };
+                if (ParcelSubdivider.fits(park, polygon, margin)) {
+                    parks.push(park);
+                    occupied.push(park);
+                    break;
+                }
+            }
         }
 
-        // Generate buildings within the cell
-        const actualBuildingCount = Math.floor(buildingsPerCell * (1 + Math.seededRandom() * 0.5));
-        
-        for (let i = 0; i < actualBuildingCount; i++) {
-            // Place buildings within cell bounds, avoiding the center
-            let buildingX, buildingY;
-            let attempts = 0;
-            
-            do {
-                const angle = Math.seededRandom() * 2 * Math.PI;
-                const radius = (Math.seededRandom() * 0.4 + 0.3) * Math.min(cellWidth, cellHeight) / 2;
-                
-                buildingX = seed.x + Math.cos(angle) * radius;
-                buildingY = seed.y + Math.sin(angle) * radius;
-                attempts++;
-            } while (attempts < 10 && (
-                buildingX < bounds.minX + 10 || buildingX > bounds.maxX - 10 ||
-                buildingY < bounds.minY + 10 || buildingY > bounds.maxY - 10
-            ));
-
-            if (attempts < 10) {
-                const buildingSize = this.getBuildingSize(seed.type, scale);
+        // Split the cell into lots of about cell area / building count, each
+        // fronting a street, and build on the ones clear of the park
+        const lotCount = Math.floor(buildingsPerCell * (1 + rng.random() * 0.5));
+        const parcels = new ParcelSubdivider({
+            maxLotArea: cell.area / Math.max(1, lotCount),
+            minFrontage: 6 * scale,
+            setbacks: { front: 3 * scale, side: scale, rear: 2 * scale },
+            minFootprint: 4 * scale
+        });
+
+        this.cellBlocks(cell, spokes, scale).forEach(block => {
+            parcels.footprints(block, rng).forEach(rect => {
+                if (occupied.some(other => SpatialGrid.overlaps(other, rect))) return;
                 buildings.push({
-                    x: buildingX - buildingSize.width / 2,
-                    y: buildingY - buildingSize.height / 2,
-                    width: buildingSize.width,
-                    height: buildingSize.height,
-                    type: this.getBuildingTypeForDistrict(seed.type),
+                    ...rect,
+                    type: this.getBuildingTypeForDistrict(seed.type, rng),
                     opacity: 1,
-                    floors: Math.floor(Math.seededRandom() * 6) + 1,
+                    floors: Math.floor(rng.random() * 6) + 1,
                     district: seed.id
                 });
-            }
-        }
-
-        // Add internal roads within the cell
-        this.addInternalRoads(cell, roads, scale);
+            });
+        });
     }
 
-    getBuildingSize(districtType, scale) {
-        let baseSize;
-        
-        switch (districtType) {
-            case 'commercial':
-                baseSize = 15 + Math.seededRandom() * 20;
-                break;
-            case 'industrial':
-                baseSize = 20 + Math.seededRandom() * 25;
-                break;
-            case 'residential':
-                baseSize = 8 + Math.seededRandom() * 12;
-                break;
-            default:
-                baseSize = 10 + Math.seededRandom() * 15;
+    /**
+     * The street blocks of a cell: the wedges between its collector streets,
+     * with their edges pulled back from the street centre lines. Gaps between
+     * streets wider than 135° get extra unpaved cuts, so every block is convex.
+     * @param {Object} cell from createVoronoiCells()
+     * @param {Array<{angle:number, point:{x:number, y:number}, edge:number}>} spokes from addInternalRoads()
+     * @returns {Array<{polygon:Array<{x:number, y:number}>, street:boolean[]}>} blocks for ParcelSubdivider
+     */
+    cellBlocks(cell, spokes, scale) {
+        const { seed, polygon, neighbors } = cell;
+        const n = polygon.length;
+        // Half the width of the border arterials and of the collectors
+        const borderInset = 3 * scale;
+        const spokeInset = 2 * scale;
+        const border = k => ({ street: neighbors[k] >= 0, inset: neighbors[k] >= 0 ? borderInset : 0 });
+
+        if (!spokes.length) {
+            const edges = polygon.map((p, k) => border(k));
+            return [ParcelSubdivider.inset(
+                { polygon, street: edges.map(e => e.street) },
+                edges.map(e => e.inset)
+            )];
         }
 
-        return {
-            width: baseSize * scale,
-            height: baseSize * scale * (0.8 + Math.seededRandom() * 0.4)
-        };
+        const turn = 2 * Math.PI;
+        const paved = spokes
+            .map(spoke => ({ ...spoke, angle: ((spoke.angle % turn) + turn) % turn, street: true }))
+            .sort((a, b) => a.angle - b.angle);
+        const rays = [];
+        paved.forEach((ray, i) => {
+            rays.push(ray);
+            const next = i + 1 < paved.length ? paved[i + 1].angle : paved[0].angle + turn;
+            const parts = Math.ceil((next - ray.angle) / (Math.PI * 0.75));
+            for (let j = 1; j < parts; j++) {
+                const angle = ray.angle + (next - ray.angle) * j / parts;
+                const hit = this.rayToBorder(seed, angle, polygon);
+                if (hit) rays.push({ ...hit, angle, street: false });
+            }
+        });
+
+        return rays.map((ray, i) => {
+            const next = rays[(i + 1) % rays.length];
+            // Walk from this ray round the cell border to the next one
+            const corners = [
+                { ...seed, street: ray.street, inset: ray.street ? spokeInset : 0 },
+                { ...ray.point, ...border(ray.edge) }
+            ];
+            for (let k = ray.edge; k !== next.edge; k = (k + 1) % n) {
+                corners.push({ ...polygon[(k + 1) % n], ...border((k + 1) % n) });
+            }
+            corners.push({ ...next.point, street: next.street, inset: next.street ? spokeInset : 0 });
+            return ParcelSubdivider.inset(
+                { polygon: corners, street: corners.map(c => c.street) },
+                corners.map(c => c.inset)
+            );
+        });
     }
 
-    getBuildingTypeForDistrict(districtType) {
+    getBuildingTypeForDistrict(districtType, rng) {
         if (districtType === 'mixed') {
-            const random = Math.seededRandom();
+            const random = rng.random();
             if (random < 0.5) return 'residential';
             if (random < 0.8) return 'commercial';
             return 'industrial';
@@ -206,111 +250,93 @@ class VoronoiAlgorithm {
         return districtType;
     }
 
-    addInternalRoads(cell, roads, scale) {
-        const { seed, bounds } = cell;
-        const roadWidth = 4 * scale;
+    /**
+     * A few streets from the district centre out to its border.
+     * @returns {Array<{angle:number, point:{x:number, y:number}, edge:number}>} the streets added:
+     *          their direction, where they meet the border and the index of that border edge
+     */
+    addInternalRoads(cell, roads, scale, rng) {
+        const { seed, polygon, neighbors } = cell;
+        const props = { width: 4 * scale, class: 'collector', opacity: 0.8 };
+        const spokes = [];
 
         // Add a few internal roads connecting to the center
-        const roadCount = Math.floor(Math.seededRandom() * 3) + 1;
-        
+        const roadCount = Math.floor(rng.random() * 3) + 1;
+
         for (let i = 0; i < roadCount; i++) {
-            const angle = (i / roadCount) * 2 * Math.PI + Math.seededRandom() * 0.5;
-            const length = Math.min(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) * 0.4;
-            
-            const endX = seed.x + Math.cos(angle) * length;
-            const endY = seed.y + Math.sin(angle) * length;
-            
-            const isHorizontal = Math.abs(Math.cos(angle)) > Math.abs(Math.sin(angle));
-            
-            roads.push({
-                x: Math.min(seed.x, endX) - roadWidth / 2,
-                y: Math.min(seed.y, endY) - roadWidth / 2,
-                width: isHorizontal ? Math.abs(endX - seed.x) + roadWidth : roadWidth,
-                height: isHorizontal ? roadWidth : Math.abs(endY - seed.y) + roadWidth,
-                direction: isHorizontal ? 'horizontal' : 'vertical',
-                type: 'district_internal',
-                opacity: 0.8
+            const angle = (i / roadCount) * 2 * Math.PI + rng.random() * 0.5;
+            const hit = this.rayToBorder(seed, angle, polygon);
+            if (hit) spokes.push({ ...hit, angle });
+        }
+
+        // Roads that run off the map don't join the border streets; without
+        // one that does, run one more to the middle of the nearest border street
+        if (!spokes.some(spoke => neighbors[spoke.edge] >= 0)) {
+            let best = null;
+            polygon.forEach((p, k) => {
+                if (neighbors[k] < 0) return;
+                const q = polygon[(k + 1) % polygon.length];
+                const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+                const distance = Math.hypot(mid.x - seed.x, mid.y - seed.y);
+                if (!best || distance < best.distance) best = { mid, distance, edge: k };
             });
+            if (best) {
+                spokes.push({
+                    angle: Math.atan2(best.mid.y - seed.y, best.mid.x - seed.x),
+                    point: best.mid,
+                    edge: best.edge
+                });
+            }
         }
+
+        spokes.forEach(spoke => roads.addEdge([seed, spoke.point], props));
+        return spokes;
     }
 
-    connectDistricts(seeds, roads, canvasWidth, canvasHeight, scale) {
-        const roadWidth = 6 * scale;
-        
-        // Create a minimal spanning tree to connect all districts
-        const connections = this.createDistrictMST(seeds);
-        
-        connections.forEach(connection => {
-            const start = seeds[connection.from];
-            const end = seeds[connection.to];
-            
-            // Create L-shaped connection (horizontal then vertical)
-            const midX = start.x + (end.x - start.x) * 0.5;
-            
-            // Horizontal segment
-            roads.push({
-                x: Math.min(start.x, midX),
-                y: start.y - roadWidth / 2,
-                width: Math.abs(midX - start.x),
-                height: roadWidth,
-                direction: 'horizontal',
-                type: 'district_connector',
-                opacity: 1
-            });
-            
-            // Vertical segment
-            roads.push({
-                x: midX - roadWidth / 2,
-                y: Math.min(start.y, end.y),
-                width: roadWidth,
-                height: Math.abs(end.y - start.y),
-                direction: 'vertical',
-                type: 'district_connector',
-                opacity: 1
-            });
-            
-            // Final horizontal segment
-            roads.push({
-                x: Math.min(midX, end.x),
-                y: end.y - roadWidth / 2,
-                width: Math.abs(end.x - midX),
-                height: roadWidth,
-                direction: 'horizontal',
-                type: 'district_connector',
-                opacity: 1
-            });
+    /**
+     * Where a ray from a point inside a convex cell leaves it.
+     * @returns {{point:{x:number, y:number}, edge:number}|null} the exit point and the
+     *          index of the edge it lies on
+     */
+    rayToBorder(origin, angle, polygon) {
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        let best = null;
+        let edge = -1;
+        polygon.forEach((p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            const ex = q.x - p.x;
+            const ey = q.y - p.y;
+            const denom = dx * ey - dy * ex;
+            if (Math.abs(denom) < 1e-12) return;
+            // Distance along the ray, and position along the edge
+            const t = ((p.x - origin.x) * ey - (p.y - origin.y) * ex) / denom;
+            const u = ((p.x - origin.x) * dy - (p.y - origin.y) * dx) / denom;
+            if (t > 0 && u >= 0 && u <= 1 && (best === null || t < best)) {
+                best = t;
+                edge = i;
+            }
         });
+        return best === null ? null : { point: { x: origin.x + dx * best, y: origin.y + dy * best }, edge };
     }
 
-    createDistrictMST(seeds) {
-        if (seeds.length === 0) return [];
-        
-        const connections = [];
-        const connected = new Set([0]);
-        
-        while (connected.size < seeds.length) {
-            let minDistance = Infinity;
-            let bestConnection = null;
-            
-            for (const connectedIndex of connected) {
-                for (let i = 0; i < seeds.length; i++) {
-                    if (!connected.has(i)) {
-                        const distance = this.distance(seeds[connectedIndex], seeds[i]);
-                        
-                        if (distance < minDistance) {
-                            minDistance = distance;
-                            bestConnection = { from: connectedIndex, to: i };
-                        }
-                    }
-                }
-            }
-            
-            if (bestConnection) {
-                connections.push(bestConnection);
-                connected.add(bestConnection.to);
-            }
-        }
-        
-        return connections;
+    /**
+     * One arterial along every border shared by two districts; the map edge
+     * gets no street.
+     */
+    addBorderStreets(cells, roads, scale) {
+        const roadWidth = 6 * scale;
+
+        cells.forEach((cell, i) => {
+            cell.polygon.forEach((p, k) => {
+                // Each border once, from the lower-numbered side
+                if (cell.neighbors[k] <= i) return;
+                const q = cell.polygon[(k + 1) % cell.polygon.length];
+                if (Math.hypot(q.x - p.x, q.y - p.y) < 1e-6) return;
+                roads.addEdge([p, q], { width: roadWidth, class: 'arterial', opacity: 1 });
+            });
+        });
     }
 }
+
+AlgorithmRegistry.register('voronoi', new VoronoiAlgorithm());
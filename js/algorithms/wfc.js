@@ -7,6 +7,11 @@ class WFCAlgorithm {
     constructor() {
         this.name = 'Wave Function Collapse';
         this.description = 'Creates cities using Wave Function Collapse with tile-based constraints';
+        this.params = {
+            tileSize: { type: 'integer', label: 'Tile Size', min: 5, max: 30, default: 10 },
+            entropyThreshold: { type: 'integer', label: 'Entropy Threshold', min: 1, max: 10, default: 3 }
+        };
+        this.color = '#d0d040';
         this.tileset = null;
         this.loadTileset();
     }
@@ -63,7 +68,8 @@ class WFCAlgorithm {
             seed = 12345
         } = params;
 
-        Math.seedrandom(seed);
+        const rng = params.rng || new SeededRandom(seed);
+        const terrain = params.terrain || Terrain.flat(canvasWidth, canvasHeight);
 
         if (!this.tileset) {
             this.tileset = this.createFallbackTileset();
@@ -76,11 +82,14 @@ class WFCAlgorithm {
         // Initialize WFC grid
         const grid = this.initializeWFCGrid(gridWidth, gridHeight);
 
+        // Fix water tiles and keep buildings off steep ground before collapsing the rest
+        this.applyTerrain(grid, gridWidth, gridHeight, actualTileSize, terrain);
+
         // Run WFC algorithm
-        this.collapseWaveFunction(grid, gridWidth, gridHeight, entropyThreshold);
+        this.collapseWaveFunction(grid, gridWidth, gridHeight, entropyThreshold, rng);
 
         // Convert WFC result to city structures
-        return this.wfcToStructures(grid, gridWidth, gridHeight, actualTileSize);
+        return this.wfcToStructures(grid, gridWidth, gridHeight, actualTileSize, rng);
     }
 
     initializeWFCGrid(gridWidth, gridHeight) {
@@ -101,13 +110,47 @@ class WFCAlgorithm {
         return grid;
     }
 
-    collapseWaveFunction(grid, gridWidth, gridHeight, entropyThreshold) {
+    /**
+     * Pre-collapse tiles over water to the tileset's water tile (or an empty
+     * tile when it has none) and remove building tiles from steep cells, then
+     * propagate those constraints to the neighbours.
+     */
+    applyTerrain(grid, gridWidth, gridHeight, tileSize, terrain) {
+        const waterTile = this.tileset.tiles.find(tile => tile.type === 'water')
+            || this.tileset.tiles.find(tile => tile.type === 'empty');
+        const buildingTypes = ['residential', 'commercial', 'industrial'];
+        const buildingTiles = new Set(this.tileset.tiles
+            .filter(tile => buildingTypes.includes(tile.type))
+            .map(tile => tile.id));
+        const fixed = [];
+
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const rect = { x: x * tileSize, y: y * tileSize, width: tileSize, height: tileSize };
+                const cell = grid[y][x];
+                if (waterTile && terrain.overlapsWater(rect)) {
+                    cell.collapsed = true;
+                    cell.possibilities = [waterTile.id];
+                    cell.entropy = 0;
+                    cell.tileId = waterTile.id;
+                    fixed.push({ x, y });
+                } else if (terrain.isSteep(rect.x + tileSize / 2, rect.y + tileSize / 2)) {
+                    cell.possibilities = cell.possibilities.filter(id => !buildingTiles.has(id));
+                    cell.entropy = cell.possibilities.length;
+                }
+            }
+        }
+
+        fixed.forEach(({ x, y }) => this.propagateConstraints(grid, x, y, gridWidth, gridHeight));
+    }
+
+    collapseWaveFunction(grid, gridWidth, gridHeight, entropyThreshold, rng) {
         const maxIterations = gridWidth * gridHeight * 2;
         let iterations = 0;
 
         while (iterations < maxIterations) {
             // Find cell with lowest entropy
-            const lowestEntropyCell = this.findLowestEntropyCell(grid, gridWidth, gridHeight);
+            const lowestEntropyCell = this.findLowestEntropyCell(grid, gridWidth, gridHeight, rng);
             
             if (!lowestEntropyCell || lowestEntropyCell.entropy === 0) {
                 break; // No more cells to collapse or contradiction
@@ -115,15 +158,15 @@ class WFCAlgorithm {
 
             if (lowestEntropyCell.entropy <= entropyThreshold) {
                 // Collapse the cell
-                this.collapseCell(grid, lowestEntropyCell.x, lowestEntropyCell.y);
+                this.collapseCell(grid, lowestEntropyCell.x, lowestEntropyCell.y, rng);
                 
                 // Propagate constraints
                 this.propagateConstraints(grid, lowestEntropyCell.x, lowestEntropyCell.y, gridWidth, gridHeight);
             } else {
                 // If entropy is too high, pick a random uncollapsed cell
-                const randomCell = this.findRandomUncollapedCell(grid, gridWidth, gridHeight);
+                const randomCell = this.findRandomUncollapedCell(grid, gridWidth, gridHeight, rng);
                 if (randomCell) {
-                    this.collapseCell(grid, randomCell.x, randomCell.y);
+                    this.collapseCell(grid, randomCell.x, randomCell.y, rng);
                     this.propagateConstraints(grid, randomCell.x, randomCell.y, gridWidth, gridHeight);
                 }
             }
@@ -132,7 +175,7 @@ class WFCAlgorithm {
         }
     }
 
-    findLowestEntropyCell(grid, gridWidth, gridHeight) {
+    findLowestEntropyCell(grid, gridWidth, gridHeight, rng) {
         let lowestEntropy = Infinity;
         let candidates = [];
 
@@ -151,10 +194,10 @@ class WFCAlgorithm {
         }
 
         if (candidates.length === 0) return null;
-        return candidates[Math.floor(Math.seededRandom() * candidates.length)];
+        return candidates[Math.floor(rng.random() * candidates.length)];
     }
 
-    findRandomUncollapedCell(grid, gridWidth, gridHeight) {
+    findRandomUncollapedCell(grid, gridWidth, gridHeight, rng) {
         const uncollapsed = [];
         
         for (let y = 0; y < gridHeight; y++) {
@@ -166,10 +209,10 @@ class WFCAlgorithm {
         }
 
         if (uncollapsed.length === 0) return null;
-        return uncollapsed[Math.floor(Math.seededRandom() * uncollapsed.length)];
+        return uncollapsed[Math.floor(rng.random() * uncollapsed.length)];
     }
 
-    collapseCell(grid, x, y) {
+    collapseCell(grid, x, y, rng) {
         const cell = grid[y][x];
         if (cell.collapsed || cell.possibilities.length === 0) return;
 
@@ -184,7 +227,7 @@ class WFCAlgorithm {
         });
 
         // Choose random tile based on weights
-        const chosenTileId = weightedPossibilities[Math.floor(Math.seededRandom() * weightedPossibilities.length)];
+        const chosenTileId = weightedPossibilities[Math.floor(rng.random() * weightedPossibilities.length)];
         
         cell.collapsed = true;
         cell.possibilities = [chosenTileId];
@@ -252,73 +295,114 @@ class WFCAlgorithm {
         });
     }
 
-    wfcToStructures(grid, gridWidth, gridHeight, tileSize) {
+    wfcToStructures(grid, gridWidth, gridHeight, tileSize, rng) {
         const buildings = [];
-        const roads = [];
         const parks = [];
+        const tileAt = (x, y) => grid[y][x].collapsed && this.tileset.tiles.find(t => t.id === grid[y][x].tileId);
 
         for (let y = 0; y < gridHeight; y++) {
             for (let x = 0; x < gridWidth; x++) {
-                const cell = grid[y][x];
-                if (!cell.collapsed) continue;
-
-                const tile = this.tileset.tiles.find(t => t.id === cell.tileId);
-                if (!tile) continue;
-
-                const worldX = x * tileSize;
-                const worldY = y * tileSize;
-
-                switch (tile.type) {
-                    case 'residential':
-                    case 'commercial':
-                    case 'industrial':
-                        buildings.push({
-                            x: worldX,
-                            y: worldY,
-                            width: tileSize,
-                            height: tileSize,
-                            type: tile.type,
-                            opacity: 1,
-                            floors: this.getBuildingHeight(tile.type),
-                            wfcTile: tile.id
-                        });
-                        break;
-
-                    case 'road':
-                        roads.push({
-                            x: worldX,
-                            y: worldY,
-                            width: tileSize,
-                            height: tileSize,
-                            direction: tile.name.includes('_h') ? 'horizontal' : 'vertical',
-                            type: 'wfc',
-                            opacity: 1
-                        });
-                        break;
-
-                    case 'park':
-                        parks.push({
-                            x: worldX,
-                            y: worldY,
-                            width: tileSize,
-                            height: tileSize,
-                            type: 'park',
-                            opacity: 1,
-                            features: ['wfc_generated']
-                        });
-                        break;
+                const tile = tileAt(x, y);
+                if (tile && tile.type === 'park') {
+                    parks.push({
+                        x: x * tileSize,
+                        y: y * tileSize,
+                        width: tileSize,
+                        height: tileSize,
+                        type: 'park',
+                        opacity: 1,
+                        features: ['wfc_generated']
+                    });
                 }
             }
         }
 
+        // Runs of building tiles become blocks, split into lots along the road tiles
+        const parcels = new ParcelSubdivider({
+            maxLotArea: 2 * tileSize * tileSize,
+            minFrontage: tileSize / 2,
+            setbacks: { front: tileSize * 0.1, side: tileSize * 0.1, rear: tileSize * 0.2 },
+            minFootprint: tileSize * 0.3
+        });
+        this.buildingBlocks(tileAt, gridWidth, gridHeight, tileSize).forEach(({ tile, block }) => {
+            parcels.footprints(block, rng).forEach(rect => {
+                buildings.push({
+                    ...rect,
+                    type: tile.type,
+                    opacity: 1,
+                    floors: this.getBuildingHeight(tile.type, rng),
+                    wfcTile: tile.id
+                });
+            });
+        });
+
+        // Road tiles join their road neighbours; lone tiles run along their tile direction
+        const roads = RoadGraph.fromCells(
+            (x, y) => tileAt(x, y)?.type === 'road',
+            gridWidth, gridHeight, tileSize,
+            { width: tileSize, class: 'local', opacity: 1 },
+            (x, y) => tileAt(x, y).name.includes('_h') ? 'horizontal' : 'vertical'
+        );
+
         return { buildings, roads, parks, water: [] };
     }
 
-    getBuildingHeight(buildingType) {
+    /**
+     * Cover the building tiles with rectangles of one tile each: a run along
+     * a row, grown down while the rows below match it. Block edges are cut at
+     * every tile, so each tile side can face a road tile or not.
+     * @param {Function} tileAt (x, y) => the collapsed tile, or false
+     * @returns {Array<{tile:Object, block:{polygon:Array<{x:number, y:number}>, street:boolean[]}}>}
+     */
+    buildingBlocks(tileAt, gridWidth, gridHeight, tileSize) {
+        const buildingTypes = ['residential', 'commercial', 'industrial'];
+        const taken = new Set();
+        const free = (x, y, tile) => !taken.has(`${x},${y}`) && tileAt(x, y) === tile;
+        const isRoad = (x, y) => x >= 0 && x < gridWidth && y >= 0 && y < gridHeight && tileAt(x, y)?.type === 'road';
+        const blocks = [];
+
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const tile = tileAt(x, y);
+                if (!tile || !buildingTypes.includes(tile.type) || taken.has(`${x},${y}`)) continue;
+
+                let right = x + 1;
+                while (right < gridWidth && free(right, y, tile)) right++;
+                let bottom = y + 1;
+                const rowFree = row => {
+                    for (let i = x; i < right; i++) if (!free(i, row, tile)) return false;
+                    return true;
+                };
+                while (bottom < gridHeight && rowFree(bottom)) bottom++;
+                for (let j = y; j < bottom; j++) {
+                    for (let i = x; i < right; i++) taken.add(`${i},${j}`);
+                }
+
+                // Clockwise on screen, one corner per tile: top, right, bottom, left
+                const corners = [];
+                for (let i = x; i < right; i++) corners.push({ x: i, y, street: isRoad(i, y - 1) });
+                for (let j = y; j < bottom; j++) corners.push({ x: right, y: j, street: isRoad(right, j) });
+                for (let i = right; i > x; i--) corners.push({ x: i, y: bottom, street: isRoad(i - 1, bottom) });
+                for (let j = bottom; j > y; j--) corners.push({ x, y: j, street: isRoad(x - 1, j - 1) });
+                blocks.push({
+                    tile,
+                    block: {
+                        polygon: corners.map(c => ({ x: c.x * tileSize, y: c.y * tileSize })),
+                        street: corners.map(c => c.street)
+                    }
+                });
+            }
+        }
+        return blocks;
+    }
+
+    getBuildingHeight(buildingType, rng) {
         const typeInfo = this.tileset.buildingTypes[buildingType];
         if (!typeInfo || !typeInfo.height) return 1;
         
         const [min, max] = typeInfo.height;
-        return Math.floor(Math.seededRandom() * (max - min + 1)) + min;
+        return Math.floor(rng.random() * (max - min + 1)) + min;
     }
 }
+
+AlgorithmRegistry.register('wfc', new WFCAlgorithm());
@@ -0,0 +1,293 @@
+/**
+ * City Blender - Combines per-algorithm results into one city
+ * Supports three modes:
+ *   overlay  - stack every result, scaling opacity by weight (legacy)
+ *   mask     - each algorithm owns regions of the map according to a weight
+ *              field (noise, radial distance or a painted mask)
+ *   priority - algorithms higher in the list win overlaps; lower-priority
+ *              features that collide with them are dropped or trimmed
+ */
+
+class CityBlender {
+    constructor() {
+        // Resolution (px) of the ownership grid and road splitting
+        this.resolution = 4;
+        // Bucket size (px) of the spatial indexes used for overlap tests
+        this.indexCellSize = 32;
+    }
+
+    static get MODES() {
+        return ['overlay', 'mask', 'priority'];
+    }
+
+    static get FIELDS() {
+        return ['noise', 'radial', 'painted'];
+    }
+
+    /**
+     * @param {Array<{name:string, weight:number, buildings:Array, roads:RoadGraph, parks:Array}>} results
+     *        in list order, top of the list first
+     * @param {{mode:string, field:string, mask:Object}} blend
+     * @param {{width:number, height:number}} bounds
+     * @param {SeededRandom} rng
+     * @returns {{buildings:Array, roads:RoadGraph, parks:Array}}
+     */
+    blend(results, blend, bounds, rng) {
+        const tagged = results.map(result => this.tagSource(result));
+        switch (blend.mode) {
+            case 'mask':
+                return this.blendMask(tagged, blend, bounds, rng);
+            case 'priority':
+                return this.blendPriority(tagged);
+            default:
+                return this.blendOverlay(tagged);
+        }
+    }
+
+    // Record which algorithm produced each feature
+    tagSource(result) {
+        const tagged = { ...result };
+        ['buildings', 'parks'].forEach(key => {
+            tagged[key] = (result[key] || []).map(feature => ({ ...feature, source: result.name }));
+        });
+        tagged.roads = RoadGraph.from(result.roads).mapEdges(props => ({ ...props, source: result.name }));
+        return tagged;
+    }
+
+    blendOverlay(results) {
+        const blended = { buildings: [], parks: [] };
+        const roads = [];
+        results.forEach(result => {
+            // Scale each result by its weight and add to blended output
+            roads.push(result.roads.mapEdges(props => ({ ...props, opacity: (props.opacity || 1) * result.weight })));
+            Object.keys(blended).forEach(key => {
+                const scaledFeatures = result[key].map(feature => ({
+                    ...feature,
+                    opacity: (feature.opacity || 1) * result.weight
+                }));
+                // concat rather than push(...) so very large layers don't overflow the stack
+                blended[key] = blended[key].concat(scaledFeatures);
+            });
+        });
+        blended.roads = RoadGraph.merge(roads);
+        return blended;
+    }
+
+    blendMask(results, blend, bounds, rng) {
+        const ownership = this.buildOwnership(results, blend, bounds, rng);
+        const owner = (x, y) => ownership.owners[ownership.indexAt(x, y)];
+
+        const owned = results.map((result, index) => {
+            const isOwn = feature => owner(feature.x + feature.width / 2, feature.y + feature.height / 2) === index;
+            return {
+                ...result,
+                buildings: result.buildings.filter(isOwn),
+                parks: result.parks.filter(isOwn),
+                roads: result.roads.split(isOwn, this.resolution * 2)
+            };
+        });
+
+        // Features straddling a region border can still overlap; settle those by list order
+        return this.blendPriority(owned);
+    }
+
+    /**
+     * Assign every grid cell to one algorithm. Field values are split at
+     * weight quantiles, so each algorithm owns a share of the map equal to
+     * its share of the total weight.
+     */
+    buildOwnership(results, blend, bounds, rng) {
+        const res = this.resolution * 4;
+        const cols = Math.max(1, Math.ceil(bounds.width / res));
+        const rows = Math.max(1, Math.ceil(bounds.height / res));
+        const names = results.map(result => result.name);
+        const field = this.sampleField(blend.field, cols, rows, res, bounds, rng);
+
+        // Quantile thresholds from cumulative normalized weights
+        const totalWeight = results.reduce((sum, result) => sum + result.weight, 0) || 1;
+        const sorted = Float32Array.from(field).sort();
+        const thresholds = [];
+        let cumulative = 0;
+        results.forEach(result => {
+            cumulative += result.weight / totalWeight;
+            thresholds.push(sorted[Math.min(sorted.length - 1, Math.floor(cumulative * sorted.length))]);
+        });
+        thresholds[thresholds.length - 1] = Infinity;
+
+        const owners = new Int16Array(cols * rows);
+        for (let i = 0; i < owners.length; i++) {
+            owners[i] = thresholds.findIndex(t => field[i] < t);
+        }
+
+        // Painted cells override the field
+        if (blend.field === 'painted' && blend.mask) {
+            this.applyPaintedMask(owners, cols, rows, res, names, blend.mask);
+        }
+
+        const indexAt = (x, y) => {
+            const col = Math.min(cols - 1, Math.max(0, Math.floor(x / res)));
+            const row = Math.min(rows - 1, Math.max(0, Math.floor(y / res)));
+            return row * cols + col;
+        };
+        return { owners, names, indexAt };
+    }
+
+    sampleField(type, cols, rows, res, bounds, rng) {
+        const field = new Float32Array(cols * rows);
+        const cx = bounds.width / 2;
+        const cy = bounds.height / 2;
+        const noise = this.createValueNoise(rng.fork('mask-field'), 160);
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x = (col + 0.5) * res;
+                const y = (row + 0.5) * res;
+                field[row * cols + col] = type === 'radial'
+                    ? Math.hypot(x - cx, y - cy)
+                    : noise(x, y);
+            }
+        }
+        return field;
+    }
+
+    /**
+     * Smooth value noise over a lattice of the given spacing.
+     * @returns {function(number, number): number}
+     */
+    createValueNoise(rng, spacing) {
+        const lattice = new Map();
+        const valueAt = (i, j) => {
+            const key = `${i},${j}`;
+            if (!lattice.has(key)) {
+                lattice.set(key, rng.fork(key).random());
+            }
+            return lattice.get(key);
+        };
+        const smooth = t => t * t * (3 - 2 * t);
+
+        return (x, y) => {
+            const fx = x / spacing;
+            const fy = y / spacing;
+            const i = Math.floor(fx);
+            const j = Math.floor(fy);
+            const tx = smooth(fx - i);
+            const ty = smooth(fy - j);
+            const top = valueAt(i, j) + (valueAt(i + 1, j) - valueAt(i, j)) * tx;
+            const bottom = valueAt(i, j + 1) + (valueAt(i + 1, j + 1) - valueAt(i, j + 1)) * tx;
+            return top + (bottom - top) * ty;
+        };
+    }
+
+    applyPaintedMask(owners, cols, rows, res, names, mask) {
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const key = CityBlender.maskValueAt(mask, (col + 0.5) * res, (row + 0.5) * res);
+                const index = key ? names.indexOf(key) : -1;
+                if (index >= 0) owners[row * cols + col] = index;
+            }
+        }
+    }
+
+    blendPriority(results) {
+        const blended = { buildings: [], parks: [] };
+        const kept = [];
+        // Buildings and parks of higher-priority algorithms
+        const solid = new SpatialGrid(this.indexCellSize);
+        // Roads of higher-priority algorithms
+        const paved = new SpatialGrid(this.indexCellSize);
+
+        results.forEach(result => {
+            const buildings = result.buildings.filter(f => !solid.any(f) && !paved.any(f));
+            const parks = result.parks.filter(f => !solid.any(f) && !paved.any(f));
+            // Roads may cross other roads, but are trimmed where they'd run through buildings or parks
+            const roads = result.roads.split(piece => !solid.any(piece), this.resolution * 2);
+
+            buildings.forEach(f => solid.insert(f));
+            parks.forEach(f => solid.insert(f));
+            roads.pieces().forEach(f => paved.insert(f));
+            blended.buildings = blended.buildings.concat(buildings);
+            blended.parks = blended.parks.concat(parks);
+            kept.push(roads);
+        });
+        blended.roads = RoadGraph.merge(kept);
+        return blended;
+    }
+
+    /**
+     * Create an empty painted mask covering the map.
+     * Cells are stored as a string: '.' for unpainted, otherwise an index
+     * into mask.keys, which keeps masks compact enough for share links.
+     */
+    static createMask(width, height, cellSize = 40) {
+        const cols = Math.ceil(width / cellSize);
+        const rows = Math.ceil(height / cellSize);
+        return { cellSize, cols, rows, keys: [], data: '.'.repeat(cols * rows) };
+    }
+
+    /**
+     * Problems with a painted mask from a link or file: it must have a grid
+     * size and one cell character per cell, each '.' or an index into keys.
+     * @param {*} mask
+     * @returns {string[]} one message per problem, empty when the mask is valid
+     */
+    static validateMask(mask) {
+        if (mask === null || mask === undefined) return [];
+        if (typeof mask !== 'object') return ['blend.mask must be an object or null'];
+        const { cellSize, cols, rows, keys, data } = mask;
+        const errors = [];
+        if (!(Number.isFinite(cellSize) && cellSize > 0)) errors.push('blend.mask.cellSize must be a number above 0');
+        if (!(Number.isInteger(cols) && cols > 0 && Number.isInteger(rows) && rows > 0)) {
+            errors.push('blend.mask.cols and rows must be whole numbers above 0');
+        }
+        if (!Array.isArray(keys) || !keys.every(key => typeof key === 'string') || keys.length > 36) {
+            errors.push('blend.mask.keys must be a list of at most 36 algorithm names');
+        }
+        if (typeof data !== 'string') {
+            errors.push('blend.mask.data must be a string');
+        } else if (!errors.length) {
+            if (data.length !== cols * rows) {
+                errors.push(`blend.mask.data must have cols × rows = ${cols * rows} cells, got ${data.length}`);
+            }
+            const bad = [...data].find(ch => ch !== '.' && !(parseInt(ch, 36) < keys.length));
+            if (bad !== undefined) errors.push(`blend.mask.data has a cell ${JSON.stringify(bad)} that is not '.' or an index into keys`);
+        }
+        return errors;
+    }
+
+    static maskValueAt(mask, x, y) {
+        const col = Math.floor(x / mask.cellSize);
+        const row = Math.floor(y / mask.cellSize);
+        if (col < 0 || row < 0 || col >= mask.cols || row >= mask.rows) return null;
+        const ch = mask.data[row * mask.cols + col];
+        return ch === '.' ? null : mask.keys[parseInt(ch, 36)];
+    }
+
+    /**
+     * Paint a circular brush into the mask. Returns a new mask object.
+     * @param {Object} mask
+     * @param {number} x world x
+     * @param {number} y world y
+     * @param {string|null} key algorithm name, or null to erase
+     * @param {number} radius brush radius in world px
+     */
+    static paintMask(mask, x, y, key, radius) {
+        const keys = [...mask.keys];
+        let ch = '.';
+        if (key) {
+            if (!keys.includes(key)) keys.push(key);
+            ch = keys.indexOf(key).toString(36);
+        }
+        const data = mask.data.split('');
+        for (let row = 0; row < mask.rows; row++) {
+            for (let col = 0; col < mask.cols; col++) {
+                const cx = (col + 0.5) * mask.cellSize;
+                const cy = (row + 0.5) * mask.cellSize;
+                if (Math.hypot(cx - x, cy - y) <= radius) data[row * mask.cols + col] = ch;
+            }
+        }
+        return { ...mask, keys, data: data.join('') };
+    }
+}
+
+// Export for browser global usage
+window.CityBlender = CityBlender;
@@ -0,0 +1,214 @@
+/**
+ * City Edits - Hand edits layered over a generated city
+ * Edits are an ordered log of operations kept in the generator config and
+ * replayed on every generated city, so they survive regeneration, undo and
+ * share links:
+ *   {op: 'add', layer, feature}       place a building, park or road
+ *   {op: 'erase', points, radius}     remove everything under a brush stroke
+ *   {op: 'move', layer, key, dx, dy}  drag one feature, found by featureKey
+ * Added features carry source 'manual' and an editId. A move whose feature no
+ * longer exists (e.g. after changing the seed) does nothing.
+ */
+
+class CityEdits {
+    // Road widths (px) for each class drawn by hand
+    static get ROAD_WIDTHS() {
+        return { arterial: 8, collector: 6, local: 4 };
+    }
+
+    /**
+     * Replay edits on a city. The input city is left untouched.
+     * @param {{buildings:Array, roads:RoadGraph, parks:Array}} city
+     * @param {Array<Object>} edits
+     * @returns {Object} a new city with the edits applied
+     */
+    static apply(city, edits) {
+        if (!edits || !edits.length) return city;
+        const result = {
+            ...city,
+            buildings: [...(city.buildings || [])],
+            parks: [...(city.parks || [])],
+            roads: RoadGraph.from(city.roads).mapEdges(props => props)
+        };
+        edits.forEach(edit => {
+            switch (edit.op) {
+                case 'add':
+                    CityEdits.applyAdd(result, edit);
+                    break;
+                case 'erase':
+                    CityEdits.applyErase(result, edit);
+                    break;
+                case 'move':
+                    CityEdits.applyMove(result, edit);
+                    break;
+                default:
+                    console.warn(`Unknown edit: ${edit.op}`);
+            }
+        });
+        return result;
+    }
+
+    // New features replace the buildings (and, for footprints, parks) they land on.
+    // A road's ends were snapped onto streets, so those streets are split there to join it.
+    static applyAdd(city, { layer, feature }) {
+        if (layer === 'roads') {
+            const pieces = RoadGraph.from({ edges: [feature] }).pieces();
+            city.buildings = city.buildings.filter(b => !pieces.some(piece => SpatialGrid.overlaps(piece, b)));
+            const ends = [feature.points[0], feature.points[feature.points.length - 1]];
+            city.roads = ends.reduce((roads, end) => roads.splitAt(end), city.roads);
+            city.roads.addEdge(feature.points, RoadGraph.edgeProps(feature));
+            city.roads = city.roads.splitCrossings();
+            return;
+        }
+        city.buildings = city.buildings.filter(b => !SpatialGrid.overlaps(b, feature));
+        city.parks = city.parks.filter(p => !SpatialGrid.overlaps(p, feature));
+        city[layer].push({ ...feature });
+    }
+
+    static applyErase(city, { points, radius }) {
+        const stroke = { points: points.length > 1 ? points : [points[0], points[0]] };
+        const touched = (x, y) => RoadGraph.distanceToEdge(stroke, x, y) <= radius;
+        const isClear = f => !touched(f.x + f.width / 2, f.y + f.height / 2);
+        city.buildings = city.buildings.filter(isClear);
+        city.parks = city.parks.filter(isClear);
+
+        // Only roads near the stroke need cutting
+        const xs = stroke.points.map(p => p.x);
+        const ys = stroke.points.map(p => p.y);
+        const area = {
+            x: Math.min(...xs) - radius,
+            y: Math.min(...ys) - radius,
+            width: Math.max(...xs) - Math.min(...xs) + radius * 2,
+            height: Math.max(...ys) - Math.min(...ys) + radius * 2
+        };
+        const roads = new RoadGraph();
+        city.roads.edges.forEach(edge => {
+            const props = RoadGraph.edgeProps(edge);
+            if (!SpatialGrid.overlaps(RoadGraph.edgeBounds(edge), area)) {
+                roads.addEdge(edge.points, props);
+                return;
+            }
+            RoadGraph.splitEdge(edge, isClear, 2).forEach(run => roads.addEdge(run, props));
+        });
+        city.roads = roads;
+    }
+
+    static applyMove(city, { layer, key, dx, dy }) {
+        if (layer === 'roads') {
+            const roads = new RoadGraph();
+            city.roads.edges.forEach(edge => {
+                const moved = CityEdits.featureKey('roads', edge) === key;
+                const points = moved ? edge.points.map(p => ({ x: p.x + dx, y: p.y + dy })) : edge.points;
+                roads.addEdge(points, RoadGraph.edgeProps(edge));
+            });
+            city.roads = roads.splitCrossings();
+            return;
+        }
+        city[layer] = city[layer].map(feature => (CityEdits.featureKey(layer, feature) === key
+            ? { ...feature, x: feature.x + dx, y: feature.y + dy }
+            : feature));
+    }
+
+    /**
+     * Problems with an edit log: each edit must be one of the three shapes
+     * above, with the feature of an add placed by the tools (an editId, a
+     * rectangle or, for roads, a line and a width).
+     * @param {*} edits
+     * @returns {string[]} one message per problem, empty when the log is valid
+     */
+    static validate(edits) {
+        if (!Array.isArray(edits)) return ['edits must be a list'];
+        const layers = ['buildings', 'parks', 'roads'];
+        const positive = value => Number.isFinite(value) && value > 0;
+        const problem = edit => {
+            switch (edit?.op) {
+                case 'add': {
+                    const { layer, feature } = edit;
+                    if (!layers.includes(layer)) return `layer must be one of ${layers.join(', ')}, got ${JSON.stringify(layer)}`;
+                    if (!feature || typeof feature !== 'object') return 'feature must be an object';
+                    if (!Number.isInteger(feature.editId) || feature.editId < 0) return 'feature.editId must be a whole number';
+                    if (layer === 'roads') {
+                        if (!Polygon.isPointList(feature.points, 2)) return 'feature.points must be a list of at least 2 points with numeric x and y';
+                        return positive(feature.width) ? null : 'feature.width must be a number above 0';
+                    }
+                    const rect = Number.isFinite(feature.x) && Number.isFinite(feature.y)
+                        && positive(feature.width) && positive(feature.height);
+                    return rect ? null : 'feature must have numeric x and y and a width and height above 0';
+                }
+                case 'erase':
+                    if (!Polygon.isPointList(edit.points)) return 'points must be a list of points with numeric x and y';
+                    return positive(edit.radius) ? null : 'radius must be a number above 0';
+                case 'move':
+                    if (!layers.includes(edit.layer)) return `layer must be one of ${layers.join(', ')}, got ${JSON.stringify(edit.layer)}`;
+                    if (typeof edit.key !== 'string') return 'key must be a string';
+                    return Number.isFinite(edit.dx) && Number.isFinite(edit.dy) ? null : 'dx and dy must be numbers';
+                default:
+                    return `op must be one of add, erase, move, got ${JSON.stringify(edit?.op)}`;
+            }
+        };
+        return edits.map((edit, i) => {
+            const error = problem(edit);
+            return error && `edits[${i}] ${error}`;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Stable identity of a feature across replays: the editId of a hand-placed
+     * feature, otherwise its rounded geometry (generation is deterministic).
+     * @param {string} layer
+     * @param {Object} feature a building, park or RoadGraph edge
+     * @returns {string}
+     */
+    static featureKey(layer, feature) {
+        if (feature.editId !== undefined) return `edit:${feature.editId}`;
+        const round = value => Math.round(value * 100) / 100;
+        if (layer === 'roads') return feature.points.map(p => `${round(p.x)},${round(p.y)}`).join(';');
+        return [feature.x, feature.y, feature.width, feature.height].map(round).join(',');
+    }
+
+    /**
+     * @param {Array<Object>} edits
+     * @returns {number} an editId not used by any added feature yet
+     */
+    static nextEditId(edits) {
+        return edits.reduce((max, edit) => (edit.op === 'add' ? Math.max(max, edit.feature.editId + 1) : max), 0);
+    }
+
+    /**
+     * Build an 'add' edit for a hand-placed building or park.
+     * @param {Array<Object>} edits the existing log, for the next editId
+     * @param {'buildings'|'parks'} layer
+     * @param {{x:number, y:number, width:number, height:number}} rect
+     * @param {Object} [props] type, floors, ...
+     */
+    static addRect(edits, layer, rect, props = {}) {
+        const feature = layer === 'parks'
+            ? { ...rect, type: 'park', opacity: 1, features: ['manual'], ...props }
+            : { ...rect, type: 'residential', opacity: 1, floors: 3, ...props };
+        return { op: 'add', layer, feature: { ...feature, source: 'manual', editId: CityEdits.nextEditId(edits) } };
+    }
+
+    /**
+     * Build an 'add' edit for a hand-drawn road.
+     * @param {Array<Object>} edits
+     * @param {Array<{x:number, y:number}>} points
+     * @param {string} [roadClass='local']
+     */
+    static addRoad(edits, points, roadClass = 'local') {
+        return {
+            op: 'add',
+            layer: 'roads',
+            feature: {
+                points: points.map(({ x, y }) => ({ x, y })),
+                width: CityEdits.ROAD_WIDTHS[roadClass] ?? CityEdits.ROAD_WIDTHS.local,
+                class: roadClass,
+                opacity: 1,
+                source: 'manual',
+                editId: CityEdits.nextEditId(edits)
+            }
+        };
+    }
+}
+
+// Export for browser global usage
+window.CityEdits = CityEdits;
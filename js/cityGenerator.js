@@ -0,0 +1,484 @@
+/**
+ * City Generator - Headless generation core
+ * Runs the algorithms, builds topography and blends the results from a plain
+ * config object, with no dependency on the DOM.
+ */
+
+class CityGenerator {
+    /**
+     * @param {Object<string, {generate: function(Object): Promise<Object>}>} [algorithms]
+     *        Algorithm instances keyed by name; defaults to the built-in set.
+     */
+    constructor(algorithms = null) {
+        this.algorithms = algorithms || CityGenerator.createDefaultAlgorithms();
+        this.blender = new CityBlender();
+        this.collisionResolver = new CollisionResolver();
+        // Spatial indexes over water cell arrays, built on first query
+        this.waterIndexes = new WeakMap();
+        // Pinned features by pin (as JSON), so each pin's city is generated at most once
+        this.pinSnapshots = new Map();
+    }
+
+    // Every algorithm registered so far, built-in or plugin (AlgorithmRegistry)
+    static createDefaultAlgorithms() {
+        return AlgorithmRegistry.createAlgorithms();
+    }
+
+    /**
+     * Schema for the config's own settings, keyed by path, in the form of the
+     * algorithm parameter schemas (AlgorithmRegistry). Settings with a fixed
+     * set of values list them as `options` instead of a range; min or max
+     * may be left out for open-ended ranges.
+     * @returns {Object<string, {type?:string, min?:number, max?:number, options?:string[]}>}
+     */
+    static get SETTINGS() {
+        return {
+            width: { type: 'integer', min: 1, max: 10000 },
+            height: { type: 'integer', min: 1, max: 10000 },
+            seed: { type: 'number' },
+            scale: { type: 'number', min: 0.5, max: 3 },
+            randomness: { type: 'number', min: 0, max: 1 },
+            resolveCollisions: { type: 'boolean' },
+            'topography.mode': { options: ['lake', 'river', 'bay'] },
+            'topography.waterCoverage': { type: 'number', min: 0, max: 1 },
+            'topography.riverWidth': { type: 'integer', min: 1, max: 8 },
+            'topography.bayDirection': { options: ['top', 'bottom', 'left', 'right'] },
+            'topography.cellSize': { type: 'integer', min: 2, max: 100 },
+            'topography.maxSlope': { type: 'number', min: 0.05, max: 1 },
+            'blend.mode': { options: CityBlender.MODES },
+            'blend.field': { options: CityBlender.FIELDS },
+            'geo.originLat': { type: 'number', min: -85, max: 85 },
+            'geo.originLon': { type: 'number', min: -180, max: 180 },
+            'geo.metresPerPixel': { type: 'number', min: 0.01 }
+        };
+    }
+
+    /**
+     * Fill in defaults for a partial config.
+     * @param {Object} config
+     * @returns {{width:number, height:number, seed:number, scale:number, randomness:number,
+     *            algorithms:Array<{name:string, weight:number, params:Object}>, topography:Object,
+     *            blend:{mode:string, field:string, mask:Object|null}, resolveCollisions:boolean,
+     *            geo:{originLat:number, originLon:number, metresPerPixel:number}, pins:Array<Object>,
+     *            edits:Array<Object>}}
+     */
+    static normalizeConfig(config = {}) {
+        return {
+            ...config,
+            width: config.width ?? 800,
+            height: config.height ?? 600,
+            seed: config.seed ?? 12345,
+            scale: config.scale ?? 1,
+            randomness: config.randomness ?? 0.5,
+            resolveCollisions: config.resolveCollisions ?? true,
+            algorithms: (config.algorithms || []).map(entry => ({
+                name: entry.name,
+                enabled: entry.enabled !== false,
+                weight: entry.weight ?? 1,
+                params: { ...(entry.params || {}) }
+            })),
+            topography: {
+                waterCoverage: 0.3,
+                mode: 'lake',
+                riverWidth: 3,
+                bayDirection: 'top',
+                cellSize: 10,
+                maxSlope: 0.35,
+                ...(config.topography || {})
+            },
+            blend: {
+                mode: 'overlay',
+                field: 'noise',
+                mask: null,
+                ...(config.blend || {})
+            },
+            // Georeferencing for the scale bar and GeoJSON export; the origin is the map's top-left corner
+            geo: {
+                originLat: 0,
+                originLon: 0,
+                metresPerPixel: 1,
+                ...(config.geo || {})
+            },
+            // Frozen regions put back into every generated city (see CityPins)
+            pins: [...(config.pins || [])],
+            // Hand edits replayed over the generated city (see CityEdits)
+            edits: [...(config.edits || [])]
+        };
+    }
+
+    /**
+     * Problems with a config: settings that don't match SETTINGS, a malformed
+     * painted mask, pins or edits (CityBlender.validateMask, CityPins.validate,
+     * CityEdits.validate), unknown algorithms, weights that aren't numbers of
+     * at least 0, and params that aren't numbers or fall outside their schema
+     * (AlgorithmRegistry). Settings left out are fine, as normalizeConfig
+     * fills them in. Callers taking configs from outside (CLI, URL, imports,
+     * presets) check them before normalizing and reject configs with problems
+     * rather than generate from them.
+     * @param {Object} config
+     * @returns {string[]} one message per problem, empty when the config is valid
+     */
+    static validateConfig(config = {}) {
+        const errors = [];
+        Object.entries(CityGenerator.SETTINGS).forEach(([path, spec]) => {
+            const value = path.split('.').reduce((object, key) => object?.[key], config);
+            if (value === undefined) return;
+            const error = CityGenerator.checkSetting(path, value, spec);
+            if (error) errors.push(error);
+        });
+        if (config.blend && typeof config.blend === 'object') errors.push(...CityBlender.validateMask(config.blend.mask));
+        if (config.pins !== undefined) errors.push(...CityPins.validate(config.pins));
+        if (config.edits !== undefined) errors.push(...CityEdits.validate(config.edits));
+
+        if (config.algorithms === undefined) return errors;
+        if (!Array.isArray(config.algorithms)) return [...errors, 'algorithms must be a list'];
+        config.algorithms.forEach(entry => {
+            const name = entry?.name;
+            if (!AlgorithmRegistry.has(name)) {
+                errors.push(`Unknown algorithm: ${name}`);
+                return;
+            }
+            if (entry.weight !== undefined && !(Number.isFinite(entry.weight) && entry.weight >= 0)) {
+                errors.push(`${name} weight must be a number of at least 0, got ${JSON.stringify(entry.weight)}`);
+            }
+            errors.push(...AlgorithmRegistry.validateParams(name, entry.params || {}).errors);
+        });
+        return errors;
+    }
+
+    /**
+     * @param {string} path e.g. 'topography.mode'
+     * @param {*} value
+     * @param {{type?:string, min?:number, max?:number, options?:string[]}} spec
+     * @returns {string|null} what is wrong with the value, or null when it fits the spec
+     */
+    static checkSetting(path, value, spec) {
+        if (spec.options) {
+            return spec.options.includes(value)
+                ? null
+                : `${path} must be one of ${spec.options.join(', ')}, got ${JSON.stringify(value)}`;
+        }
+        if (spec.type === 'boolean') {
+            return typeof value === 'boolean' ? null : `${path} must be true or false, got ${JSON.stringify(value)}`;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return `${path} must be a number, got ${JSON.stringify(value)}`;
+        }
+        if (spec.type === 'integer' && !Number.isInteger(value)) {
+            return `${path} must be a whole number, got ${value}`;
+        }
+        const { min = -Infinity, max = Infinity } = spec;
+        if (value < min || value > max) {
+            if (max === Infinity) return `${path} must be at least ${min}, got ${value}`;
+            return `${path} must be between ${min} and ${max}, got ${value}`;
+        }
+        return null;
+    }
+
+    /**
+     * Global params as seen by every algorithm's generate() call.
+     * @param {Object} config normalized config
+     */
+    getGlobalParams(config) {
+        return {
+            scale: config.scale,
+            randomness: config.randomness,
+            seed: config.seed,
+            canvasWidth: config.width,
+            canvasHeight: config.height
+        };
+    }
+
+    /**
+     * Build the water grid, coastline polygons and elevation grid for a config.
+     * @param {Object} config
+     * @returns {{waterCells: Array<Object>, coastPolygons: Array<Array<{x:number,y:number}>>,
+     *            elevation: {rows:number, cols:number, data:number[][]}, cellSize:number}}
+     */
+    generateTopography(config) {
+        const { width, height, seed, topography } = CityGenerator.normalizeConfig(config);
+        const { cellSize, waterCoverage, mode, riverWidth, bayDirection } = topography;
+        const topoGen = new TopographyGenerator(width, height, cellSize, {
+            waterCoverage,
+            seed,
+            mode,
+            riverWidth: mode === 'river' ? riverWidth : 0,
+            bayDirection: mode === 'bay' ? bayDirection : 'top'
+        });
+        const waterCells = topoGen.generate();
+        const coastPolygons = topoGen.extractCoastlines();
+        return { waterCells, coastPolygons, elevation: topoGen.elevationGrid, cellSize };
+    }
+
+    /**
+     * Generate a blended city with the config's pinned regions and hand edits
+     * applied. Pass a previously generated topography to skip rebuilding the
+     * water layer.
+     * @param {Object} config
+     * @param {{waterCells: Array<Object>, coastPolygons: Array, elevation?: Object}} [topography]
+     * @returns {Promise<{buildings:Array, roads:RoadGraph, parks:Array, water:Array,
+     *                    collisions?:{nudged:number, shrunk:number, removed:number}}>}
+     */
+    async generate(config, topography = null) {
+        const normalized = CityGenerator.normalizeConfig(config);
+        const topo = topography || this.generateTopography(normalized);
+        const globalParams = this.getGlobalParams(normalized);
+
+        const activeAlgorithms = normalized.algorithms.filter(entry => {
+            if (!this.algorithms[entry.name]) {
+                console.warn(`Unknown algorithm: ${entry.name}`);
+                return false;
+            }
+            return entry.enabled && entry.weight > 0;
+        });
+
+        if (activeAlgorithms.length === 0) {
+            const empty = { buildings: [], roads: new RoadGraph(), parks: [], water: CityGenerator.waterFeatures(topo) };
+            return CityEdits.apply(CityPins.apply(empty, await this.resolvePins(normalized.pins)), normalized.edits);
+        }
+
+        // Every algorithm and the blending step draw from their own named stream
+        const rng = new SeededRandom(normalized.seed);
+        const terrain = this.createTerrain(normalized, topo);
+        const results = await this.runAlgorithms(activeAlgorithms, globalParams, rng, terrain);
+        const blendRng = rng.fork('blend');
+        const resolve = normalized.resolveCollisions;
+        const city = this.blendResults(results, globalParams, topo, blendRng, normalized.blend, !resolve);
+
+        // Settle overlaps left by the algorithms and blending. The resolver
+        // jitters the buildings itself, keeping only offsets that stay clear.
+        if (resolve) {
+            city.collisions = this.collisionResolver.resolve(city, {
+                water: topo.waterCells && this.getWaterIndex(topo.waterCells),
+                jitter: this.createJitter(globalParams, blendRng)
+            });
+        }
+        // Pins go in after collision resolution so their features stay exactly as pinned
+        return CityEdits.apply(CityPins.apply(city, await this.resolvePins(normalized.pins)), normalized.edits);
+    }
+
+    /**
+     * The pinned features of each pin, generated from the pin's config and
+     * captured inside its region unless they are cached already. The pins
+     * before it were in place when it was made, so their features are put
+     * back before capturing. Pins saved with their features (older links and
+     * files) pass through.
+     * @param {Array<Object>} pins from CityPins.create()
+     * @returns {Promise<Array<Object>>} snapshots as CityPins.apply() takes them
+     */
+    async resolvePins(pins) {
+        const snapshots = [];
+        for (const [index, pin] of pins.entries()) {
+            if (pin.buildings) {
+                snapshots.push(pin);
+                continue;
+            }
+            const key = CityGenerator.pinKey(pins, index);
+            if (!this.pinSnapshots.has(key)) {
+                const city = await this.generate({ ...pin.config, pins: [], edits: [] });
+                this.pinSnapshots.set(key, CityPins.capture(CityPins.apply(city, snapshots), pin.region));
+            }
+            snapshots.push(this.pinSnapshots.get(key));
+        }
+        return snapshots;
+    }
+
+    /**
+     * Cache the features captured for the last of a list of pins, so they
+     * aren't generated again.
+     * @param {Array<Object>} pins from CityPins.create(), ending with the new pin
+     * @param {Object} snapshot from CityPins.capture()
+     */
+    rememberPin(pins, snapshot) {
+        this.pinSnapshots.set(CityGenerator.pinKey(pins, pins.length - 1), snapshot);
+    }
+
+    /**
+     * @param {Array<Object>} pins
+     * @param {number} index
+     * @returns {Object|null} the pin's features if they are known without generating
+     */
+    pinSnapshot(pins, index) {
+        const pin = pins[index];
+        return pin.buildings ? pin : this.pinSnapshots.get(CityGenerator.pinKey(pins, index)) || null;
+    }
+
+    // A pin's snapshot depends on the pins before it as well as its own
+    static pinKey(pins, index) {
+        return JSON.stringify(pins.slice(0, index + 1));
+    }
+
+    /**
+     * Wrap a topography in the Terrain view passed to every algorithm.
+     * @param {Object} config normalized config
+     * @param {{waterCells: Array<Object>, coastPolygons: Array, elevation?: Object, cellSize?: number}} topography
+     * @returns {Terrain}
+     */
+    createTerrain(config, topography) {
+        const waterCells = topography.waterCells || [];
+        return new Terrain({
+            width: config.width,
+            height: config.height,
+            cellSize: topography.cellSize ?? config.topography.cellSize,
+            elevation: topography.elevation,
+            waterCells,
+            water: this.getWaterIndex(waterCells),
+            coastPolygons: topography.coastPolygons,
+            maxSlope: config.topography.maxSlope
+        });
+    }
+
+    async runAlgorithms(activeAlgorithms, globalParams, rng, terrain = null) {
+        const results = [];
+
+        // Generate results from each active algorithm
+        for (const entry of activeAlgorithms) {
+            const result = await this.algorithms[entry.name].generate({
+                ...AlgorithmRegistry.defaults(entry.name),
+                ...AlgorithmRegistry.coerceParams(entry.name, entry.params),
+                ...globalParams,
+                rng: rng.fork(entry.name),
+                terrain
+            });
+
+            results.push({
+                ...result,
+                name: entry.name,
+                weight: entry.weight
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Build the JSON document written by the Export button and the CLI.
+     * @param {Object} city
+     * @param {Object} config
+     */
+    createExport(city, config) {
+        const normalized = CityGenerator.normalizeConfig(config);
+        return {
+            timestamp: new Date().toISOString(),
+            city,
+            parameters: {
+                // Params the config leaves out are recorded at their schema defaults
+                algorithms: normalized.algorithms
+                    .filter(entry => entry.enabled && entry.weight > 0)
+                    .map(entry => ({
+                        ...entry,
+                        params: { ...AlgorithmRegistry.defaults(entry.name), ...AlgorithmRegistry.coerceParams(entry.name, entry.params) }
+                    })),
+                global: this.getGlobalParams(normalized),
+                config: normalized
+            }
+        };
+    }
+
+    /**
+     * Recover a generator config from an export document, as stored there:
+     * check it with validateConfig before normalizing it.
+     * @param {Object} exportData
+     * @returns {Object}
+     */
+    static configFromExport(exportData) {
+        const { algorithms = [], global = {}, config } = exportData.parameters || {};
+        if (config) return config;
+
+        // Files exported before the full config was stored
+        return {
+            width: global.canvasWidth,
+            height: global.canvasHeight,
+            seed: global.seed,
+            scale: global.scale,
+            randomness: global.randomness,
+            algorithms
+        };
+    }
+
+    /**
+     * Spatial index over a water cell array, keyed by the topography cell size.
+     * @param {Array<Object>} waterCells
+     * @returns {SpatialGrid}
+     */
+    getWaterIndex(waterCells) {
+        if (!this.waterIndexes.has(waterCells)) {
+            const cellSize = waterCells.length ? waterCells[0].width : 10;
+            this.waterIndexes.set(waterCells, SpatialGrid.from(waterCells, cellSize));
+        }
+        return this.waterIndexes.get(waterCells);
+    }
+
+    isInWater(rect, waterCells) {
+        if (!waterCells) return false;
+        return this.getWaterIndex(waterCells).any(rect);
+    }
+
+    /**
+     * The water a city shows: the smooth coastline polygons if there are
+     * any, otherwise the water cell squares.
+     * @param {{waterCells: Array<Object>, coastPolygons: Array}} topography
+     * @returns {Array<Object>}
+     */
+    static waterFeatures({ waterCells, coastPolygons } = {}) {
+        return coastPolygons && coastPolygons.length ? coastPolygons : (waterCells || []);
+    }
+
+    /**
+     * Combine algorithm results into one city.
+     * @param {Array<Object>} results algorithm outputs in list order, tagged with name and weight
+     * @param {Object} globalParams
+     * @param {{waterCells: Array<Object>, coastPolygons: Array}} [topography]
+     * @param {SeededRandom} [rng]
+     * @param {{mode:string, field:string, mask:Object|null}} [blend] defaults to the opacity overlay
+     * @param {boolean} [jitterBuildings=true] false leaves the building jitter to the collision resolver
+     */
+    blendResults(results, globalParams, topography = {}, rng = null, blend = { mode: 'overlay' }, jitterBuildings = true) {
+        rng = rng || new SeededRandom(globalParams.seed).fork('blend');
+        const bounds = { width: globalParams.canvasWidth, height: globalParams.canvasHeight };
+        const blended = {
+            water: CityGenerator.waterFeatures(topography),
+            ...this.blender.blend(results, blend, bounds, rng),
+            // District polygons from algorithms that have them (Voronoi), for outlines
+            districts: results.flatMap(result => (result.districts || []).map(district => ({ ...district, source: result.name })))
+        };
+
+        // Apply global randomness and cleanup
+        this.applyGlobalEffects(blended, globalParams, rng, jitterBuildings);
+        // Streets from different algorithms meet where they cross
+        blended.roads = blended.roads.splitCrossings();
+
+        return blended;
+    }
+
+    /**
+     * Random offset of up to ±10 px on each axis at full randomness.
+     * @param {Object} globalParams
+     * @param {SeededRandom} rng
+     * @returns {function(): {dx:number, dy:number}|null} null when randomness is 0
+     */
+    createJitter(globalParams, rng) {
+        const { randomness } = globalParams;
+        if (!(randomness > 0)) return null;
+        const jitter = () => (rng.random() - 0.5) * randomness * 20;
+        return () => ({ dx: jitter(), dy: jitter() });
+    }
+
+    /**
+     * Jitter building positions. Streets, parks, water and district outlines
+     * stay exactly where the algorithms put them, so streets stay straight
+     * and lots keep lining up with them.
+     */
+    applyGlobalEffects(city, globalParams, rng, jitterBuildings = true) {
+        const jitter = this.createJitter(globalParams, rng);
+        if (!jitter || !jitterBuildings) return;
+        city.buildings.forEach(building => {
+            const { dx, dy } = jitter();
+            building.x += dx;
+            building.y += dy;
+        });
+    }
+}
+
+// Export for browser global usage
+window.CityGenerator = CityGenerator;
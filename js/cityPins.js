@@ -0,0 +1,141 @@
+/**
+ * City Pins - Regions of a generated city frozen across regeneration
+ * A pin is a region polygon plus the config of the city it was taken from,
+ * small enough to live in URLs and undo history. Its features are a snapshot
+ * of that city inside the region, captured when pinning and generated again
+ * from the config where they aren't at hand (CityGenerator.resolvePins).
+ * Applying a snapshot to a newly generated city clears the region, drops
+ * generated features that would overlap the pinned ones along the boundary,
+ * and puts the snapshot back, so only the rest of the map changes.
+ */
+
+class CityPins {
+    /**
+     * A pin over a region of the city generated from a config. Hand edits are
+     * not part of a pin; they keep applying on top of it. Neither are the
+     * pins already made: they stay in the outer config's list, ahead of this
+     * one, so each pin's config stays the same size.
+     * @param {Array<{x:number, y:number}>} region polygon
+     * @param {Object} config generator config of the pinned city
+     * @returns {{region:Array<{x:number, y:number}>, config:Object}}
+     */
+    static create(region, config) {
+        return {
+            region: region.map(({ x, y }) => ({ x, y })),
+            config: { ...config, pins: [], edits: [] }
+        };
+    }
+
+    /**
+     * Problems with a config's pins: each must have a region polygon and
+     * either the config it was pinned from (checked like any other config)
+     * or, as older links and files have, its captured features.
+     * @param {*} pins
+     * @returns {string[]} one message per problem, empty when the pins are valid
+     */
+    static validate(pins) {
+        if (!Array.isArray(pins)) return ['pins must be a list'];
+        const errors = [];
+        pins.forEach((pin, i) => {
+            if (!pin || typeof pin !== 'object') {
+                errors.push(`pins[${i}] must be an object with a region and a config`);
+                return;
+            }
+            if (!Polygon.isPointList(pin.region, 3)) {
+                errors.push(`pins[${i}].region must be a list of at least 3 points with numeric x and y`);
+            }
+            if (pin.buildings !== undefined) {
+                ['buildings', 'roads', 'parks']
+                    .filter(layer => !Array.isArray(pin[layer]))
+                    .forEach(layer => errors.push(`pins[${i}].${layer} must be a list`));
+            } else if (!pin.config || typeof pin.config !== 'object' || Array.isArray(pin.config)) {
+                errors.push(`pins[${i}].config must be an object`);
+            } else {
+                errors.push(...CityGenerator.validateConfig(pin.config).map(error => `pins[${i}].config: ${error}`));
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Snapshot the features inside a region: buildings and parks whose centre
+     * lies inside it, and the parts of roads that run through it.
+     * @param {{buildings:Array, roads:RoadGraph, parks:Array}} city
+     * @param {Array<{x:number, y:number}>} region polygon
+     * @returns {{region:Array<{x:number, y:number}>, buildings:Array, roads:Array, parks:Array}}
+     */
+    static capture(city, region) {
+        const inside = f => Polygon.contains(region, f.x + f.width / 2, f.y + f.height / 2);
+        const roads = RoadGraph.from(city.roads).split(inside, 2);
+        return {
+            region: region.map(({ x, y }) => ({ x, y })),
+            buildings: (city.buildings || []).filter(inside).map(b => ({ ...b, pinned: true })),
+            roads: roads.edges.map(edge => ({ points: edge.points, ...RoadGraph.edgeProps(edge), pinned: true })),
+            parks: (city.parks || []).filter(inside).map(p => ({ ...p, pinned: true }))
+        };
+    }
+
+    /**
+     * Put pinned snapshots back into a city. The input city is left untouched.
+     * @param {Object} city
+     * @param {Array<Object>} pins snapshots from capture(), in pinning order
+     * @returns {Object} a new city
+     */
+    static apply(city, pins) {
+        if (!pins || !pins.length) return city;
+        return pins.reduce((result, pin) => CityPins.applyPin(result, pin), city);
+    }
+
+    static applyPin(city, pin) {
+        const pinnedRoads = RoadGraph.from({ edges: pin.roads });
+        const solid = SpatialGrid.from([...pin.buildings, ...pin.parks], 32);
+        const paved = SpatialGrid.from(pinnedRoads.pieces(), 32);
+        const inRegion = f => Polygon.contains(pin.region, f.x + f.width / 2, f.y + f.height / 2);
+        const isClear = f => !inRegion(f) && !solid.any(f) && !paved.any(f);
+
+        // Generated roads are cut at the region edge and around pinned footprints
+        const bounds = CityPins.bounds(pin.region);
+        const roads = new RoadGraph();
+        RoadGraph.from(city.roads).edges.forEach(edge => {
+            const props = RoadGraph.edgeProps(edge);
+            if (!SpatialGrid.overlaps(RoadGraph.edgeBounds(edge), bounds) && !solid.any(RoadGraph.edgeBounds(edge))) {
+                roads.addEdge(edge.points, props);
+                return;
+            }
+            RoadGraph.splitEdge(edge, piece => !inRegion(piece) && !solid.any(piece), 2)
+                .forEach(run => roads.addEdge(run, props));
+        });
+        pinnedRoads.edges.forEach(edge => roads.addEdge(edge.points, RoadGraph.edgeProps(edge)));
+
+        return {
+            ...city,
+            buildings: [...(city.buildings || []).filter(isClear), ...pin.buildings.map(b => ({ ...b }))],
+            parks: [...(city.parks || []).filter(isClear), ...pin.parks.map(p => ({ ...p }))],
+            roads: roads.splitCrossings()
+        };
+    }
+
+    /**
+     * Closed polygon from two opposite corners of a dragged rectangle.
+     * @returns {Array<{x:number, y:number}>}
+     */
+    static rectRegion(a, b) {
+        return [
+            { x: a.x, y: a.y },
+            { x: b.x, y: a.y },
+            { x: b.x, y: b.y },
+            { x: a.x, y: b.y }
+        ];
+    }
+
+    static bounds(region) {
+        const xs = region.map(p => p.x);
+        const ys = region.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+}
+
+// Export for browser global usage
+window.CityPins = CityPins;
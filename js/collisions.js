@@ -0,0 +1,147 @@
+/**
+ * Collision Resolver - Post-processing pass over a blended city
+ * Detects buildings that overlap roads, parks, water or other buildings and
+ * fixes each one by nudging it clear, shrinking it away from the obstacle,
+ * or removing it when neither leaves a usable footprint. Every building is
+ * checked against every road, park, water cell and kept building, whichever
+ * algorithm placed them.
+ */
+
+class CollisionResolver {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxNudge=12] furthest a building may be moved (px)
+     * @param {number} [options.minSize=3] smallest width/height a shrunk building may keep (px)
+     * @param {number} [options.minAreaRatio=0.4] smallest fraction of its area a shrunk building may keep
+     * @param {number} [options.maxAttempts=8] fixes tried per building before it is removed
+     * @param {number} [options.cellSize=32] spatial index bucket size (px)
+     */
+    constructor(options = {}) {
+        this.maxNudge = options.maxNudge ?? 12;
+        this.minSize = options.minSize ?? 3;
+        this.minAreaRatio = options.minAreaRatio ?? 0.4;
+        this.maxAttempts = options.maxAttempts ?? 8;
+        this.cellSize = options.cellSize ?? 32;
+    }
+
+    /**
+     * Resolve collisions in place. Buildings earlier in the list keep their
+     * spot; later ones give way.
+     * @param {{buildings:Array, roads:RoadGraph, parks:Array}} city
+     * @param {Object} [options]
+     * @param {SpatialGrid} [options.water] index over the topography water cells
+     * @param {function(): {dx:number, dy:number}} [options.jitter] random offset tried first
+     *        for each building; it is dropped when it would cause a collision or
+     *        move the building onto another one's unjittered spot
+     * @returns {{nudged:number, shrunk:number, removed:number}} how many buildings were fixed
+     */
+    resolve(city, { water = null, jitter = null } = {}) {
+        const stats = { nudged: 0, shrunk: 0, removed: 0 };
+        const roads = RoadGraph.from(city.roads).pieces();
+        const obstacles = SpatialGrid.from([...roads, ...(city.parks || [])], this.cellSize);
+        const placed = new SpatialGrid(this.cellSize);
+        const unjittered = jitter ? SpatialGrid.from(city.buildings || [], this.cellSize) : null;
+        const kept = [];
+
+        const findHit = rect =>
+            obstacles.first(rect) ||
+            (water && water.first(rect)) ||
+            placed.first(rect);
+
+        (city.buildings || []).forEach(building => {
+            const offset = jitter && jitter();
+            const moved = offset && { ...building, x: building.x + offset.dx, y: building.y + offset.dy };
+            const clear = moved && !findHit(moved) && !unjittered.first(moved, item => item !== building);
+            const { rect, action } = clear ? { rect: moved, action: null } : this.fit(building, findHit);
+            if (action) stats[action]++;
+            if (rect) {
+                placed.insert(rect);
+                kept.push(rect);
+            }
+        });
+
+        city.buildings = kept;
+        return stats;
+    }
+
+    /**
+     * Move or trim one building until nothing overlaps it.
+     * @returns {{rect: Object|null, action: 'nudged'|'shrunk'|'removed'|null}}
+     */
+    fit(building, findHit) {
+        const originalArea = building.width * building.height;
+        let rect = building;
+        let action = null;
+
+        for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+            const hit = findHit(rect);
+            if (!hit) return { rect, action };
+
+            // Try the other sides when the shortest way out moves the building too far
+            const pushes = CollisionResolver.pushes(rect, hit);
+            const nudge = pushes.find(push =>
+                Math.hypot(rect.x + push.dx - building.x, rect.y + push.dy - building.y) <= this.maxNudge);
+            if (nudge) {
+                rect = { ...rect, x: rect.x + nudge.dx, y: rect.y + nudge.dy };
+                action = action || 'nudged';
+                continue;
+            }
+
+            const push = pushes[0];
+            const trimmed = this.trim(rect, hit, push);
+            if (trimmed && trimmed.width * trimmed.height >= originalArea * this.minAreaRatio) {
+                rect = trimmed;
+                action = 'shrunk';
+                continue;
+            }
+            break;
+        }
+
+        return findHit(rect) ? { rect: null, action: 'removed' } : { rect, action };
+    }
+
+    /**
+     * Cut the overlapping side off a rectangle, along the push axis.
+     * @returns {Object|null} the trimmed rectangle, or null if too small
+     */
+    trim(rect, hit, push) {
+        const trimmed = { ...rect };
+        if (push.dx > 0) {
+            trimmed.x = hit.x + hit.width;
+            trimmed.width = rect.x + rect.width - trimmed.x;
+        } else if (push.dx < 0) {
+            trimmed.width = hit.x - rect.x;
+        } else if (push.dy > 0) {
+            trimmed.y = hit.y + hit.height;
+            trimmed.height = rect.y + rect.height - trimmed.y;
+        } else {
+            trimmed.height = hit.y - rect.y;
+        }
+        return trimmed.width >= this.minSize && trimmed.height >= this.minSize ? trimmed : null;
+    }
+
+    /**
+     * Smallest axis-aligned move that separates rect from obstacle.
+     * @returns {{dx:number, dy:number}}
+     */
+    static minimumPush(rect, obstacle) {
+        return CollisionResolver.pushes(rect, obstacle)[0];
+    }
+
+    /**
+     * The four axis-aligned moves that separate rect from obstacle, shortest first.
+     * @returns {Array<{dx:number, dy:number}>}
+     */
+    static pushes(rect, obstacle) {
+        const options = [
+            { dx: obstacle.x - (rect.x + rect.width), dy: 0 },
+            { dx: obstacle.x + obstacle.width - rect.x, dy: 0 },
+            { dx: 0, dy: obstacle.y - (rect.y + rect.height) },
+            { dx: 0, dy: obstacle.y + obstacle.height - rect.y }
+        ];
+        return options.sort((a, b) => Math.abs(a.dx + a.dy) - Math.abs(b.dx + b.dy));
+    }
+}
+
+// Export for browser global usage
+window.CollisionResolver = CollisionResolver;
@@ -0,0 +1,187 @@
+/**
+ * Delaunay - Triangulation and Voronoi cells of a point set
+ * Bowyer-Watson builds the Delaunay triangulation; each Voronoi cell is then
+ * the bounding rectangle clipped by the perpendicular bisectors between a
+ * point and its Delaunay neighbours. Cell edges remember the point across
+ * them, so shared borders can be found without comparing coordinates.
+ */
+
+class Delaunay {
+    /**
+     * @param {Array<{x:number, y:number}>} points
+     * @returns {Array<[number, number, number]>} triangles as point indices
+     */
+    static triangulate(points) {
+        const n = points.length;
+        return Delaunay.bowyerWatson(points)
+            .filter(t => t.a < n && t.b < n && t.c < n)
+            .map(t => [t.a, t.b, t.c]);
+    }
+
+    /**
+     * Indices of each point's Delaunay neighbours. Pairs on the convex hull
+     * are taken from triangles that still touch the enclosing super
+     * triangle, so no hull neighbour is lost.
+     * @param {Array<{x:number, y:number}>} points
+     * @returns {Array<Set<number>>}
+     */
+    static neighbors(points) {
+        const n = points.length;
+        const neighbors = points.map(() => new Set());
+        Delaunay.bowyerWatson(points).forEach(({ a, b, c }) => {
+            [[a, b], [b, c], [c, a]].forEach(([u, v]) => {
+                if (u >= n || v >= n) return;
+                neighbors[u].add(v);
+                neighbors[v].add(u);
+            });
+        });
+        return neighbors;
+    }
+
+    /**
+     * Incremental triangulation inside a large super triangle, whose corners
+     * get the indices n, n+1 and n+2.
+     * @returns {Array<{a:number, b:number, c:number, x:number, y:number, r2:number}>}
+     *          triangles with their circumcircle
+     */
+    static bowyerWatson(points) {
+        const n = points.length;
+        if (!n) return [];
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1) * 20;
+        const midX = minX + size / 40;
+        const midY = minY + size / 40;
+        const vertices = [
+            ...points,
+            { x: midX - size, y: midY - size },
+            { x: midX, y: midY + size },
+            { x: midX + size, y: midY - size }
+        ];
+        const triangle = (a, b, c) => ({ a, b, c, ...Delaunay.circumcircle(vertices[a], vertices[b], vertices[c]) });
+
+        let triangles = [triangle(n, n + 1, n + 2)];
+        points.forEach((p, i) => {
+            const bad = new Set(triangles.filter(t => (p.x - t.x) ** 2 + (p.y - t.y) ** 2 < t.r2));
+            // The cavity's outline: edges of exactly one removed triangle
+            const outline = new Map();
+            bad.forEach(({ a, b, c }) => {
+                [[a, b], [b, c], [c, a]].forEach(([u, v]) => {
+                    const key = u < v ? `${u},${v}` : `${v},${u}`;
+                    if (outline.has(key)) outline.delete(key);
+                    else outline.set(key, [u, v]);
+                });
+            });
+            triangles = triangles.filter(t => !bad.has(t));
+            outline.forEach(([u, v]) => triangles.push(triangle(u, v, i)));
+        });
+        return triangles;
+    }
+
+    /**
+     * @returns {{x:number, y:number, r2:number}} centre and squared radius;
+     *          infinite for collinear points
+     */
+    static circumcircle(a, b, c) {
+        const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+        if (Math.abs(d) < 1e-12) return { x: 0, y: 0, r2: Infinity };
+        const a2 = a.x * a.x + a.y * a.y;
+        const b2 = b.x * b.x + b.y * b.y;
+        const c2 = c.x * c.x + c.y * c.y;
+        const x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+        const y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+        return { x, y, r2: (a.x - x) ** 2 + (a.y - y) ** 2 };
+    }
+
+    /**
+     * Voronoi cell of every point, clipped to a rectangle.
+     * @param {Array<{x:number, y:number}>} points
+     * @param {{x:number, y:number, width:number, height:number}} bounds
+     * @returns {Array<{polygon:Array<{x:number, y:number}>, neighbors:number[]}>} per point, the
+     *          cell's corners and, for the edge leaving each corner, the point
+     *          on the other side (-1 along the bounds); empty when clipped away
+     */
+    static voronoiCells(points, bounds) {
+        const neighbors = Delaunay.neighbors(points);
+        const { x, y, width, height } = bounds;
+        return points.map((p, i) => {
+            let cell = [
+                { x, y, edge: -1 },
+                { x: x + width, y, edge: -1 },
+                { x: x + width, y: y + height, edge: -1 },
+                { x, y: y + height, edge: -1 }
+            ];
+            neighbors[i].forEach(j => {
+                if (cell.length) cell = Delaunay.clipToward(cell, p, points[j], j);
+            });
+            return { polygon: cell.map(v => ({ x: v.x, y: v.y })), neighbors: cell.map(v => v.edge) };
+        });
+    }
+
+    /**
+     * Keep the part of a convex polygon at least as close to p as to q. The
+     * new edge along the bisector is labelled with `label`.
+     * @param {Array<{x:number, y:number, edge:number}>} polygon
+     * @returns {Array<{x:number, y:number, edge:number}>}
+     */
+    static clipToward(polygon, p, q, label) {
+        const nx = q.x - p.x;
+        const ny = q.y - p.y;
+        // Coincident points have no bisector
+        if (!nx && !ny) return polygon;
+        const mx = (p.x + q.x) / 2;
+        const my = (p.y + q.y) / 2;
+        const side = v => (v.x - mx) * nx + (v.y - my) * ny;
+
+        const clipped = [];
+        polygon.forEach((cur, i) => {
+            const next = polygon[(i + 1) % polygon.length];
+            const dc = side(cur);
+            const dn = side(next);
+            const crossing = () => {
+                const t = dc / (dc - dn);
+                return { x: cur.x + (next.x - cur.x) * t, y: cur.y + (next.y - cur.y) * t };
+            };
+            if (dc <= 0) {
+                if (dn <= 0) clipped.push(cur);
+                else if (dc === 0) clipped.push({ ...cur, edge: label });
+                else clipped.push(cur, { ...crossing(), edge: label });
+            } else if (dn < 0) {
+                // Re-entering: the rest of this edge keeps its label
+                clipped.push({ ...crossing(), edge: cur.edge });
+            }
+        });
+        return clipped;
+    }
+
+    /**
+     * @param {Array<{x:number, y:number}>} polygon
+     * @returns {{x:number, y:number, area:number}} centroid and unsigned area
+     */
+    static centroid(polygon) {
+        let twiceArea = 0;
+        let cx = 0;
+        let cy = 0;
+        polygon.forEach((p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            const cross = p.x * q.y - q.x * p.y;
+            twiceArea += cross;
+            cx += (p.x + q.x) * cross;
+            cy += (p.y + q.y) * cross;
+        });
+        if (!twiceArea) {
+            const n = polygon.length || 1;
+            return {
+                x: polygon.reduce((sum, p) => sum + p.x, 0) / n,
+                y: polygon.reduce((sum, p) => sum + p.y, 0) / n,
+                area: 0
+            };
+        }
+        return { x: cx / (3 * twiceArea), y: cy / (3 * twiceArea), area: Math.abs(twiceArea) / 2 };
+    }
+}
+
+// Export for browser global usage
+window.Delaunay = Delaunay;
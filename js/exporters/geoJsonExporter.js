@@ -0,0 +1,131 @@
+/**
+ * GeoJSON Exporter - Writes a city as a georeferenced FeatureCollection
+ * Map pixels are placed on the globe from a user-supplied origin (the
+ * top-left corner of the map) and a metres-per-pixel scale, using a local
+ * equirectangular projection that is accurate to well under a metre over a
+ * city-sized area. Coordinates are WGS84 [lon, lat] as RFC 7946 requires.
+ */
+
+class GeoJsonExporter {
+    /**
+     * @param {Object} [geo]
+     * @param {number} [geo.originLat=0] latitude of the map's top-left corner
+     * @param {number} [geo.originLon=0] longitude of the map's top-left corner
+     * @param {number} [geo.metresPerPixel=1] ground distance covered by one map pixel
+     */
+    constructor(geo = {}) {
+        this.originLat = geo.originLat ?? 0;
+        this.originLon = geo.originLon ?? 0;
+        this.metresPerPixel = geo.metresPerPixel ?? 1;
+        // WGS84 equatorial radius (m)
+        this.earthRadius = 6378137;
+        // Decimal places kept per coordinate (7 ≈ 1 cm)
+        this.precision = 7;
+    }
+
+    /**
+     * @param {{buildings:Array, roads:RoadGraph, parks:Array, water:Array}} city
+     * @returns {{type:'FeatureCollection', features:Array<Object>}}
+     */
+    toGeoJson(city) {
+        const features = [
+            ...this.waterFeatures(city.water || []),
+            ...(city.parks || []).map(park => this.feature(this.rectPolygon(park), {
+                layer: 'park',
+                type: park.type || 'park',
+                source: park.source ?? null
+            })),
+            ...RoadGraph.from(city.roads).edges.map(edge => this.feature(this.roadGeometry(edge), {
+                layer: 'road',
+                type: edge.class || null,
+                width_m: this.roundMetres(edge.width * this.metresPerPixel),
+                source: edge.source ?? null
+            })),
+            ...(city.buildings || []).map(building => this.feature(this.rectPolygon(building), {
+                layer: 'building',
+                type: building.type || null,
+                floors: building.floors ?? null,
+                source: building.source ?? null
+            }))
+        ];
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * @returns {string} the FeatureCollection as JSON text
+     */
+    stringify(city) {
+        return JSON.stringify(this.toGeoJson(city));
+    }
+
+    feature(geometry, properties) {
+        return { type: 'Feature', geometry, properties };
+    }
+
+    /**
+     * Map pixel -> [lon, lat]. Map y grows southwards.
+     * @returns {number[]}
+     */
+    project(x, y) {
+        const toDegrees = 180 / Math.PI;
+        const lat = this.originLat - (y * this.metresPerPixel / this.earthRadius) * toDegrees;
+        const lon = this.originLon +
+            (x * this.metresPerPixel / (this.earthRadius * Math.cos(this.originLat * Math.PI / 180))) * toDegrees;
+        return [this.round(lon), this.round(lat)];
+    }
+
+    // Counter-clockwise (on the ground) closed ring around a rectangle
+    rectPolygon({ x, y, width, height }) {
+        return {
+            type: 'Polygon',
+            coordinates: [[
+                this.project(x, y + height),
+                this.project(x + width, y + height),
+                this.project(x + width, y),
+                this.project(x, y),
+                this.project(x, y + height)
+            ]]
+        };
+    }
+
+    // Road edges are centre lines, exported as LineStrings with their width as a property
+    roadGeometry(edge) {
+        return { type: 'LineString', coordinates: edge.points.map(p => this.project(p.x, p.y)) };
+    }
+
+    /**
+     * Coastline loops become polygons; cities without coastlines fall back to
+     * their square water cells.
+     */
+    waterFeatures(water) {
+        return water.map(item => {
+            const geometry = Array.isArray(item) ? this.loopPolygon(item) : this.rectPolygon(item);
+            return geometry && this.feature(geometry, { layer: 'water', type: 'water' });
+        }).filter(Boolean);
+    }
+
+    loopPolygon(loop) {
+        if (loop.length < 3) return null;
+        // Flipping y onto the ground reverses winding, so a loop with a negative
+        // shoelace area in map space is counter-clockwise on the ground
+        const points = Polygon.signedArea(loop) < 0 ? loop : [...loop].reverse();
+        const ring = points.map(p => this.project(p.x, p.y));
+        const [first] = ring;
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+        // A linear ring needs at least four positions
+        return ring.length >= 4 ? { type: 'Polygon', coordinates: [ring] } : null;
+    }
+
+    round(value) {
+        const factor = 10 ** this.precision;
+        return Math.round(value * factor) / factor;
+    }
+
+    roundMetres(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for browser global usage
+window.GeoJsonExporter = GeoJsonExporter;
@@ -0,0 +1,428 @@
+/**
+ * Mesh Exporter - Extrudes a city into 3D blockout geometry
+ * Building footprints become boxes as tall as their floor count, roads and
+ * parks become flat ground meshes and water a lowered plane. The result is
+ * written as binary glTF (.glb) or Wavefront OBJ for game engines and DCC
+ * tools. Units are metres (via metres-per-pixel), Y is up and the map's
+ * top-left corner sits at the origin with +X east and +Z south.
+ */
+
+class MeshExporter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.metresPerPixel=1] ground distance covered by one map pixel
+     * @param {number} [options.floorHeight=3] storey height in metres
+     * @param {number} [options.waterDepth=1.5] how far the water plane sits below ground, in metres
+     */
+    constructor(options = {}) {
+        this.metresPerPixel = options.metresPerPixel ?? 1;
+        this.floorHeight = options.floorHeight ?? 3;
+        this.waterDepth = options.waterDepth ?? 1.5;
+        // Small lifts so coplanar ground layers do not z-fight
+        this.parkElevation = 0.02;
+        this.roadElevation = 0.04;
+        // Same palette as CityRenderer
+        this.colors = {
+            buildings: {
+                residential: '#4a9d4a',
+                commercial: '#5a7bc7',
+                industrial: '#8a8a8a',
+                mixed: '#a569c7'
+            },
+            roads: '#888888',
+            parks: '#2d7a2d',
+            water: '#4c9aff'
+        };
+    }
+
+    /**
+     * Build the layer meshes. Each layer holds one primitive per material.
+     * @param {{buildings:Array, roads:RoadGraph, parks:Array, water:Array}} city
+     * @returns {Array<{name:string, primitives:Array<{material:string, color:string,
+     *          positions:number[], normals:number[], indices:number[]}>}>}
+     */
+    buildLayers(city) {
+        const buildingPrimitives = new Map();
+        (city.buildings || []).forEach(building => {
+            const material = this.colors.buildings[building.type] ? building.type : 'residential';
+            if (!buildingPrimitives.has(material)) {
+                buildingPrimitives.set(material, this.createPrimitive(material, this.colors.buildings[material]));
+            }
+            const floors = Math.max(1, building.floors || 1);
+            this.addBox(buildingPrimitives.get(material), building, floors * this.floorHeight);
+        });
+
+        const water = this.createPrimitive('water', this.colors.water);
+        (city.water || []).forEach(item => {
+            if (Array.isArray(item)) {
+                this.addFlatPolygon(water, item, -this.waterDepth);
+            } else {
+                this.addFlatRect(water, item, -this.waterDepth);
+            }
+        });
+
+        const parks = this.createPrimitive('park', this.colors.parks);
+        (city.parks || []).forEach(park => this.addFlatRect(parks, park, this.parkElevation));
+
+        const roads = this.createPrimitive('road', this.colors.roads);
+        RoadGraph.from(city.roads).edges.forEach(edge => this.addRoadEdge(roads, edge, this.roadElevation));
+
+        return [
+            { name: 'water', primitives: [water] },
+            { name: 'parks', primitives: [parks] },
+            { name: 'roads', primitives: [roads] },
+            { name: 'buildings', primitives: [...buildingPrimitives.values()] }
+        ].map(layer => ({ ...layer, primitives: layer.primitives.filter(p => p.indices.length) }))
+            .filter(layer => layer.primitives.length);
+    }
+
+    /**
+     * @param {Object} city
+     * @param {string} [mtlFile] file name of the toMtl() library, for the mtllib line
+     * @returns {string} Wavefront OBJ text with one object per layer and a
+     *          usemtl per material
+     */
+    toObj(city, mtlFile = null) {
+        const lines = ['# City blockout', '# Units: metres, Y up'];
+        if (mtlFile) lines.push(`mtllib ${mtlFile}`);
+        let offset = 1;
+        this.buildLayers(city).forEach(layer => {
+            lines.push(`o ${layer.name}`);
+            layer.primitives.forEach(primitive => {
+                const { positions, normals, indices } = primitive;
+                for (let i = 0; i < positions.length; i += 3) {
+                    lines.push(`v ${this.format(positions[i])} ${this.format(positions[i + 1])} ${this.format(positions[i + 2])}`);
+                }
+                for (let i = 0; i < normals.length; i += 3) {
+                    lines.push(`vn ${normals[i]} ${normals[i + 1]} ${normals[i + 2]}`);
+                }
+                lines.push(`g ${layer.name}_${primitive.material}`, `usemtl ${primitive.material}`);
+                for (let i = 0; i < indices.length; i += 3) {
+                    const [a, b, c] = [indices[i] + offset, indices[i + 1] + offset, indices[i + 2] + offset];
+                    lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+                }
+                offset += positions.length / 3;
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @returns {string} Wavefront MTL text defining every material toObj() uses,
+     *          coloured like the glTF materials
+     */
+    toMtl() {
+        const { buildings, roads, parks, water } = this.colors;
+        const materials = { ...buildings, road: roads, park: parks, water };
+        const lines = ['# City blockout materials'];
+        Object.entries(materials).forEach(([material, color]) => {
+            const value = parseInt(color.slice(1), 16);
+            const rgb = [16, 8, 0].map(shift => this.format(((value >> shift) & 255) / 255));
+            lines.push('', `newmtl ${material}`, `Kd ${rgb.join(' ')}`);
+            // Water is the only glossy surface, as in the glTF roughness
+            lines.push(...(material === 'water' ? ['Ks 0.5 0.5 0.5', 'Ns 200', 'illum 2'] : ['illum 1']));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @returns {Uint8Array} a binary glTF 2.0 file with one node per layer
+     */
+    toGlb(city) {
+        const layers = this.buildLayers(city);
+        const materials = [];
+        const materialIndex = new Map();
+        const accessors = [];
+        const bufferViews = [];
+        const chunks = [];
+        let byteLength = 0;
+
+        // Every attribute is 4-byte aligned (float32 / uint32), so views pack back to back
+        const addView = (array, target) => {
+            bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+            chunks.push(array);
+            byteLength += array.byteLength;
+            return bufferViews.length - 1;
+        };
+        const addAccessor = accessor => {
+            accessors.push(accessor);
+            return accessors.length - 1;
+        };
+
+        const meshes = layers.map(layer => ({
+            name: layer.name,
+            primitives: layer.primitives.map(primitive => {
+                if (!materialIndex.has(primitive.material)) {
+                    materialIndex.set(primitive.material, materials.length);
+                    materials.push(this.createMaterial(primitive));
+                }
+                const count = primitive.positions.length / 3;
+                const position = addAccessor({
+                    bufferView: addView(new Float32Array(primitive.positions), 34962),
+                    componentType: 5126,
+                    count,
+                    type: 'VEC3',
+                    ...this.bounds(primitive.positions)
+                });
+                const normal = addAccessor({
+                    bufferView: addView(new Float32Array(primitive.normals), 34962),
+                    componentType: 5126,
+                    count,
+                    type: 'VEC3'
+                });
+                const indices = addAccessor({
+                    bufferView: addView(new Uint32Array(primitive.indices), 34963),
+                    componentType: 5125,
+                    count: primitive.indices.length,
+                    type: 'SCALAR'
+                });
+                return {
+                    attributes: { POSITION: position, NORMAL: normal },
+                    indices,
+                    material: materialIndex.get(primitive.material)
+                };
+            })
+        }));
+
+        const gltf = {
+            asset: { version: '2.0', generator: 'City Generator' },
+            scene: 0,
+            scenes: [{ name: 'city', nodes: meshes.map((mesh, i) => i) }],
+            nodes: meshes.map((mesh, i) => ({ name: mesh.name, mesh: i })),
+            meshes,
+            materials,
+            accessors,
+            bufferViews,
+            buffers: [{ byteLength }]
+        };
+        if (!meshes.length) {
+            // glTF forbids empty arrays, so an empty city is a scene with no nodes
+            ['nodes', 'meshes', 'materials', 'accessors', 'bufferViews', 'buffers'].forEach(key => delete gltf[key]);
+            delete gltf.scenes[0].nodes;
+        }
+
+        return this.packGlb(JSON.stringify(gltf), chunks, byteLength);
+    }
+
+    /**
+     * GLB container: 12-byte header, JSON chunk padded with spaces and BIN
+     * chunk padded with zeros, both to 4 bytes.
+     */
+    packGlb(json, chunks, byteLength) {
+        const jsonBytes = new TextEncoder().encode(json);
+        const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+        const binLength = Math.ceil(byteLength / 4) * 4;
+        const hasBin = byteLength > 0;
+        const total = 12 + 8 + jsonLength + (hasBin ? 8 + binLength : 0);
+
+        const out = new Uint8Array(total);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, 0x46546C67, true); // 'glTF'
+        view.setUint32(4, 2, true);
+        view.setUint32(8, total, true);
+
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+        out.set(jsonBytes, 20);
+        out.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+        if (hasBin) {
+            let offset = 20 + jsonLength;
+            view.setUint32(offset, binLength, true);
+            view.setUint32(offset + 4, 0x004E4942, true); // 'BIN'
+            offset += 8;
+            chunks.forEach(array => {
+                out.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+                offset += array.byteLength;
+            });
+        }
+        return out;
+    }
+
+    createPrimitive(material, color) {
+        return { material, color, positions: [], normals: [], indices: [] };
+    }
+
+    createMaterial({ material, color }) {
+        return {
+            name: material,
+            pbrMetallicRoughness: {
+                baseColorFactor: [...this.linearColor(color), 1],
+                metallicFactor: 0,
+                roughnessFactor: material === 'water' ? 0.2 : 0.9
+            }
+        };
+    }
+
+    /**
+     * Append a quad whose corners run counter-clockwise seen from the side
+     * the normal points to.
+     */
+    addQuad(primitive, corners, normal) {
+        const base = primitive.positions.length / 3;
+        corners.forEach(corner => {
+            primitive.positions.push(...corner);
+            primitive.normals.push(...normal);
+        });
+        primitive.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+
+    // Walls and roof; the underside is never seen
+    addBox(primitive, rect, height) {
+        const [x0, z0, x1, z1] = this.rectCorners(rect);
+        this.addQuad(primitive, [[x0, height, z0], [x0, height, z1], [x1, height, z1], [x1, height, z0]], [0, 1, 0]);
+        this.addQuad(primitive, [[x1, 0, z0], [x0, 0, z0], [x0, height, z0], [x1, height, z0]], [0, 0, -1]);
+        this.addQuad(primitive, [[x0, 0, z1], [x1, 0, z1], [x1, height, z1], [x0, height, z1]], [0, 0, 1]);
+        this.addQuad(primitive, [[x0, 0, z0], [x0, 0, z1], [x0, height, z1], [x0, height, z0]], [-1, 0, 0]);
+        this.addQuad(primitive, [[x1, 0, z1], [x1, 0, z0], [x1, height, z0], [x1, height, z1]], [1, 0, 0]);
+    }
+
+    addFlatRect(primitive, rect, elevation) {
+        const [x0, z0, x1, z1] = this.rectCorners(rect);
+        this.addQuad(primitive, [[x0, elevation, z0], [x0, elevation, z1], [x1, elevation, z1], [x1, elevation, z0]], [0, 1, 0]);
+    }
+
+    /**
+     * One flat strip per segment of a road's centre line. Segments are
+     * extended by half the road width at corners so turns leave no gap.
+     */
+    addRoadEdge(primitive, edge, elevation) {
+        const half = edge.width / 2;
+        const last = edge.points.length - 1;
+        const m = this.metresPerPixel;
+        for (let i = 1; i <= last; i++) {
+            const a = edge.points[i - 1];
+            const b = edge.points[i];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) continue;
+            const ux = (b.x - a.x) / length;
+            const uy = (b.y - a.y) / length;
+            const start = i > 1 ? half : 0;
+            const end = i < last ? half : 0;
+            const ax = a.x - ux * start;
+            const ay = a.y - uy * start;
+            const bx = b.x + ux * end;
+            const by = b.y + uy * end;
+            // Normal to the segment in map space; this corner order faces up like addFlatRect
+            const nx = -uy * half;
+            const ny = ux * half;
+            this.addQuad(primitive, [
+                [(ax - nx) * m, elevation, (ay - ny) * m],
+                [(ax + nx) * m, elevation, (ay + ny) * m],
+                [(bx + nx) * m, elevation, (by + ny) * m],
+                [(bx - nx) * m, elevation, (by - ny) * m]
+            ], [0, 1, 0]);
+        }
+    }
+
+    // Upward-facing triangulation of a map-space loop
+    addFlatPolygon(primitive, loop, elevation) {
+        const base = primitive.positions.length / 3;
+        loop.forEach(point => {
+            primitive.positions.push(point.x * this.metresPerPixel, elevation, point.y * this.metresPerPixel);
+            primitive.normals.push(0, 1, 0);
+        });
+        // Counter-clockwise in map space (y down) faces down once y becomes +Z, so flip each triangle
+        MeshExporter.triangulate(loop).forEach(([a, b, c]) => {
+            primitive.indices.push(base + a, base + c, base + b);
+        });
+    }
+
+    rectCorners({ x, y, width, height }) {
+        const m = this.metresPerPixel;
+        return [x * m, y * m, (x + width) * m, (y + height) * m];
+    }
+
+    /**
+     * Ear-clipping triangulation of a simple polygon. A repeated closing point
+     * is ignored and collinear vertices are dropped without a triangle.
+     * @param {Array<{x:number, y:number}>} points
+     * @returns {Array<number[]>} index triples into points, each with a
+     *          positive signed area
+     */
+    static triangulate(points) {
+        let n = points.length;
+        const first = points[0];
+        const last = points[n - 1];
+        if (n > 1 && first.x === last.x && first.y === last.y) n--;
+        if (n < 3) return [];
+
+        const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        let area = 0;
+        for (let i = 0; i < n; i++) {
+            const p = points[i];
+            const q = points[(i + 1) % n];
+            area += p.x * q.y - q.x * p.y;
+        }
+        const remaining = Array.from({ length: n }, (_, i) => i);
+        if (area < 0) remaining.reverse();
+
+        const inTriangle = (p, a, b, c) =>
+            cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+        const isEar = (i) => {
+            const count = remaining.length;
+            const corners = [remaining[(i + count - 1) % count], remaining[i], remaining[(i + 1) % count]];
+            const [a, b, c] = corners.map(index => points[index]);
+            if (cross(a, b, c) <= 0) return false;
+            return remaining.every(index => corners.includes(index) || !inTriangle(points[index], a, b, c));
+        };
+
+        const triangles = [];
+        while (remaining.length > 3) {
+            const count = remaining.length;
+            let clipped = false;
+            for (let i = 0; i < count; i++) {
+                const prev = remaining[(i + count - 1) % count];
+                const next = remaining[(i + 1) % count];
+                const corner = cross(points[prev], points[remaining[i]], points[next]);
+                if (corner === 0) {
+                    remaining.splice(i, 1);
+                    clipped = true;
+                    break;
+                }
+                if (isEar(i)) {
+                    triangles.push([prev, remaining[i], next]);
+                    remaining.splice(i, 1);
+                    clipped = true;
+                    break;
+                }
+            }
+            // Self-intersecting input has no ear left; keep what was triangulated
+            if (!clipped) return triangles;
+        }
+        const [a, b, c] = remaining;
+        if (cross(points[a], points[b], points[c]) > 0) triangles.push([a, b, c]);
+        return triangles;
+    }
+
+    bounds(positions) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                // Accessor bounds must match the stored float32 values
+                const value = Math.fround(positions[i + axis]);
+                if (value < min[axis]) min[axis] = value;
+                if (value > max[axis]) max[axis] = value;
+            }
+        }
+        return { min, max };
+    }
+
+    // glTF colour factors are linear; the palette is sRGB hex
+    linearColor(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [16, 8, 0].map(shift => {
+            const c = ((value >> shift) & 255) / 255;
+            const linear = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+            return Math.round(linear * 10000) / 10000;
+        });
+    }
+
+    format(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+}
+
+// Export for browser global usage
+window.MeshExporter = MeshExporter;
@@ -0,0 +1,238 @@
+/**
+ * SVG Context - Records CanvasRenderingContext2D calls as SVG markup
+ * Implements the subset of the 2D context API used by CityRenderer, so the
+ * renderer can draw straight into a vector document.
+ */
+
+class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        this.stack = [];
+        this.path = [];
+        this.state = {
+            fillStyle: '#000000',
+            strokeStyle: '#000000',
+            lineWidth: 1,
+            lineCap: 'butt',
+            lineJoin: 'miter',
+            globalAlpha: 1,
+            lineDash: [],
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic',
+            // 2x3 affine matrix [a, b, c, d, e, f]
+            matrix: [1, 0, 0, 1, 0, 0]
+        };
+        this.defineStateAccessors();
+    }
+
+    defineStateAccessors() {
+        ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'globalAlpha', 'font', 'textAlign', 'textBaseline']
+            .forEach(prop => {
+                Object.defineProperty(this, prop, {
+                    get: () => this.state[prop],
+                    set: value => { this.state[prop] = value; }
+                });
+            });
+    }
+
+    save() {
+        this.stack.push({ ...this.state, matrix: [...this.state.matrix], lineDash: [...this.state.lineDash] });
+    }
+
+    restore() {
+        if (this.stack.length) this.state = this.stack.pop();
+    }
+
+    scale(sx, sy) {
+        this.transform(sx, 0, 0, sy, 0, 0);
+    }
+
+    translate(tx, ty) {
+        this.transform(1, 0, 0, 1, tx, ty);
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [ma, mb, mc, md, me, mf] = this.state.matrix;
+        this.state.matrix = [
+            ma * a + mc * b,
+            mb * a + md * b,
+            ma * c + mc * d,
+            mb * c + md * d,
+            ma * e + mc * f + me,
+            mb * e + md * f + mf
+        ];
+    }
+
+    setLineDash(segments) {
+        this.state.lineDash = [...segments];
+    }
+
+    // Map a user-space point to device space
+    apply(x, y) {
+        const [a, b, c, d, e, f] = this.state.matrix;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    // Uniform scale factor of the current matrix, used for widths and radii
+    matrixScale() {
+        const [a, b] = this.state.matrix;
+        return Math.hypot(a, b);
+    }
+
+    clearRect(x, y, width, height) {
+        // Clearing the whole canvas starts a new document
+        if (x <= 0 && y <= 0 && width >= this.width && height >= this.height) {
+            this.elements = [];
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+    }
+
+    strokeRect(x, y, width, height) {
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+    }
+
+    beginPath() {
+        this.path = [];
+    }
+
+    moveTo(x, y) {
+        const p = this.apply(x, y);
+        this.path.push(`M${SvgContext.fmt(p.x)} ${SvgContext.fmt(p.y)}`);
+    }
+
+    lineTo(x, y) {
+        const p = this.apply(x, y);
+        this.path.push(`L${SvgContext.fmt(p.x)} ${SvgContext.fmt(p.y)}`);
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle) {
+        const r = radius * this.matrixScale();
+        const start = this.apply(x + Math.cos(startAngle) * radius, y + Math.sin(startAngle) * radius);
+        const sweep = endAngle - startAngle;
+        this.path.push(`M${SvgContext.fmt(start.x)} ${SvgContext.fmt(start.y)}`);
+        if (Math.abs(sweep) >= 2 * Math.PI - 1e-6) {
+            // Full circle: two half arcs
+            const mid = this.apply(x - Math.cos(startAngle) * radius, y - Math.sin(startAngle) * radius);
+            this.path.push(`A${SvgContext.fmt(r)} ${SvgContext.fmt(r)} 0 1 1 ${SvgContext.fmt(mid.x)} ${SvgContext.fmt(mid.y)}`);
+            this.path.push(`A${SvgContext.fmt(r)} ${SvgContext.fmt(r)} 0 1 1 ${SvgContext.fmt(start.x)} ${SvgContext.fmt(start.y)}`);
+        } else {
+            const end = this.apply(x + Math.cos(endAngle) * radius, y + Math.sin(endAngle) * radius);
+            const largeArc = Math.abs(sweep) > Math.PI ? 1 : 0;
+            this.path.push(`A${SvgContext.fmt(r)} ${SvgContext.fmt(r)} 0 ${largeArc} 1 ${SvgContext.fmt(end.x)} ${SvgContext.fmt(end.y)}`);
+        }
+    }
+
+    closePath() {
+        this.path.push('Z');
+    }
+
+    /**
+     * Open a named group. Groups are marked as Inkscape layers, and
+     * Illustrator lists top-level groups as layers by their id.
+     * @param {string} id e.g. 'road-markings'
+     */
+    beginGroup(id) {
+        const label = id.charAt(0).toUpperCase() + id.slice(1).replace(/-/g, ' ');
+        this.elements.push(`<g id="${SvgContext.escapeXml(id)}" inkscape:groupmode="layer" inkscape:label="${SvgContext.escapeXml(label)}">`);
+    }
+
+    endGroup() {
+        this.elements.push('</g>');
+    }
+
+    fill() {
+        if (!this.path.length) return;
+        this.elements.push(`<path d="${this.path.join('')}"${this.fillAttrs()}/>`);
+    }
+
+    stroke() {
+        if (!this.path.length) return;
+        this.elements.push(`<path d="${this.path.join('')}" fill="none"${this.strokeAttrs()}/>`);
+    }
+
+    fillText(text, x, y) {
+        const p = this.apply(x, y);
+        const anchor = { center: 'middle', end: 'end', right: 'end' }[this.state.textAlign] || 'start';
+        const baseline = { top: 'hanging', middle: 'middle', bottom: 'text-after-edge' }[this.state.textBaseline] || 'alphabetic';
+        const size = parseFloat(this.state.font) || 10;
+        const family = this.state.font.replace(/^[\d.]+px\s*/, '') || 'sans-serif';
+        this.elements.push(
+            `<text x="${SvgContext.fmt(p.x)}" y="${SvgContext.fmt(p.y)}" font-size="${SvgContext.fmt(size * this.matrixScale())}" font-family="${SvgContext.escapeXml(family)}"` +
+            ` text-anchor="${anchor}" dominant-baseline="${baseline}"${this.fillAttrs()}>${SvgContext.escapeXml(String(text))}</text>`
+        );
+    }
+
+    measureText(text) {
+        return { width: String(text).length * (parseFloat(this.state.font) || 10) * 0.6 };
+    }
+
+    fillAttrs() {
+        const { color, alpha } = SvgContext.splitColor(this.state.fillStyle);
+        const opacity = alpha * this.state.globalAlpha;
+        return ` fill="${color}"` + (opacity < 1 ? ` fill-opacity="${SvgContext.fmt(opacity)}"` : '');
+    }
+
+    strokeAttrs() {
+        const { color, alpha } = SvgContext.splitColor(this.state.strokeStyle);
+        const opacity = alpha * this.state.globalAlpha;
+        const scale = this.matrixScale();
+        let attrs = ` stroke="${color}" stroke-width="${SvgContext.fmt(this.state.lineWidth * scale)}"`;
+        if (this.state.lineCap !== 'butt') attrs += ` stroke-linecap="${this.state.lineCap}"`;
+        if (this.state.lineJoin !== 'miter') attrs += ` stroke-linejoin="${this.state.lineJoin}"`;
+        if (this.state.lineDash.length) attrs += ` stroke-dasharray="${this.state.lineDash.map(v => SvgContext.fmt(v * scale)).join(' ')}"`;
+        if (opacity < 1) attrs += ` stroke-opacity="${SvgContext.fmt(opacity)}"`;
+        return attrs;
+    }
+
+    /**
+     * Serialize everything drawn so far as a standalone SVG document.
+     * @returns {string}
+     */
+    toString() {
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"` +
+            ` width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            ...this.elements,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    static fmt(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    static escapeXml(text) {
+        return text.replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[ch]));
+    }
+
+    // Older SVG viewers reject rgba() paint; split alpha into an opacity attribute
+    static splitColor(style) {
+        const match = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(style);
+        if (match) {
+            return { color: `rgb(${match[1]}, ${match[2]}, ${match[3]})`, alpha: parseFloat(match[4]) };
+        }
+        return { color: style, alpha: 1 };
+    }
+}
+
+// Export for browser global usage
+window.SvgContext = SvgContext;
@@ -0,0 +1,37 @@
+/**
+ * SVG Exporter - Renders a city to a standalone vector document
+ * Drives CityRenderer with an SvgContext, so the file matches the canvas:
+ * water, parks, roads (with their markings), buildings and the scale bar
+ * each land in their own <g> group, which Illustrator and Inkscape open as
+ * layers.
+ */
+
+class SvgExporter {
+    /**
+     * Render the whole map at 1:1, ignoring the on-screen pan and zoom.
+     * @param {{buildings:Array, roads:RoadGraph, parks:Array, water:Array}} city
+     * @param {{width:number, height:number, seed?:number, geo?:Object}} config map size,
+     *        the seed whose stream places decorative details such as trees, and
+     *        the georeference whose metres-per-pixel sizes the scale bar
+     * @param {Object} [options]
+     * @param {string} [options.renderMode='flat'] 'flat', 'oblique' or 'isometric'
+     * @param {number} [options.floorHeight] storey height in metres for the 2.5D views
+     * @param {boolean} [options.districts=false] outline the city's districts
+     * @returns {string} SVG markup
+     */
+    toSvg(city, config, { renderMode = 'flat', floorHeight, districts = false } = {}) {
+        const ctx = new SvgContext(config.width, config.height);
+        const canvas = { width: config.width, height: config.height, getContext: () => ctx };
+        const renderer = new CityRenderer(canvas);
+        renderer.setRandom(new SeededRandom(config.seed ?? 12345));
+        renderer.metresPerPixel = config.geo?.metresPerPixel ?? 1;
+        renderer.setRenderMode(renderMode);
+        if (floorHeight !== undefined) renderer.floorHeight = floorHeight;
+        renderer.setDistrictOutlines(districts);
+        renderer.render(city);
+        return ctx.toString();
+    }
+}
+
+// Export for browser global usage
+window.SvgExporter = SvgExporter;
@@ -0,0 +1,91 @@
+/**
+ * Config History - Undo/redo stack of generator configurations
+ * Each entry holds a config snapshot (weights, params, order, topography,
+ * blend and global settings) and an optional thumbnail of the city it
+ * produced. Pushing after an undo discards the redo branch.
+ */
+
+class ConfigHistory {
+    /**
+     * @param {number} [limit=50] oldest entries are dropped beyond this many
+     */
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.entries = [];
+        this.index = -1;
+    }
+
+    /**
+     * @returns {{config:Object, thumbnail:string|null, timestamp:number}|null}
+     */
+    get current() {
+        return this.entries[this.index] || null;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Record a config. A config identical to the current entry only refreshes
+     * its thumbnail, so regenerating or restoring does not add duplicates.
+     * @param {Object} config
+     * @param {string|null} [thumbnail] image data URL
+     * @returns {Object} the current entry
+     */
+    push(config, thumbnail = null) {
+        const snapshot = JSON.parse(JSON.stringify(config));
+        const current = this.current;
+        if (current && ConfigHistory.sameConfig(current.config, snapshot)) {
+            if (thumbnail) current.thumbnail = thumbnail;
+            return current;
+        }
+
+        this.entries = this.entries.slice(0, this.index + 1);
+        this.entries.push({ config: snapshot, thumbnail, timestamp: Date.now() });
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+        this.index = this.entries.length - 1;
+        return this.current;
+    }
+
+    /**
+     * @returns {Object|null} the entry to restore, or null at the oldest entry
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+        this.index--;
+        return this.current;
+    }
+
+    /**
+     * @returns {Object|null} the entry to restore, or null at the newest entry
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+        this.index++;
+        return this.current;
+    }
+
+    /**
+     * @param {number} index
+     * @returns {Object|null} the entry to restore, or null if out of range
+     */
+    jumpTo(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        return this.current;
+    }
+
+    static sameConfig(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+// Export for browser global usage
+window.ConfigHistory = ConfigHistory;
@@ -13,72 +13,165 @@ class CityGenerationTool {
         // flag for throttled rendering
         this.renderRequested = false;
         this.isGenerating = false;
+        // Painted blend mask (CityBlender.createMask) and whether the canvas paints it
+        this.blendMask = null;
+        this.isPaintingMask = false;
+        // Undo/redo stack of generated configs; snapshots wait for input to settle
+        this.history = new ConfigHistory();
+        this.historyTimer = null;
+        this.historyDelay = 400;
+        // Road network metrics for the current city (RoadNetworkAnalyzer.analyze)
+        this.networkAnalyzer = new RoadNetworkAnalyzer();
+        this.networkStats = null;
+        // Route planning: canvas clicks pick up to two world points, routed over the current roads
+        this.isRouting = false;
+        this.routeEnds = [];
+        this.router = null;
+        // Hand edits (a CityEdits log, part of the config) and the canvas tool drawing them
+        this.edits = [];
+        // Pinned regions (CityPins) and the current city before edits, which new pins are taken from
+        this.pins = [];
+        this.baseCity = null;
+        this.editTool = '';
+        this.editGesture = null;
+        this.generationTime = 0;
         
         this.initializeAlgorithms();
         this.setupEventListeners();
         this.updateCanvasSize();
-        // Initial topography preview only; city generation awaits user action
+        // Initial topography preview only; city generation awaits user action,
+        // unless the URL carries a shared configuration
         this.generateTopography(true);
+        this.loadFromUrl();
+        this.loadPresets();
     }
 
     initializeAlgorithms() {
-        this.algorithms = {
-            gridLayout: new GridLayoutAlgorithm(),
-            poissonDisk: new PoissonDiskAlgorithm(),
-            randomWalk: new RandomWalkAlgorithm(),
-            cellularAutomata: new CellularAutomataAlgorithm(),
-            voronoi: new VoronoiAlgorithm(),
-            wfc: new WFCAlgorithm()
-        };
-    }
+        this.algorithms = CityGenerator.createDefaultAlgorithms();
+        this.generator = new CityGenerator(this.algorithms);
+        // The first algorithm starts enabled at half weight
+        AlgorithmRegistry.keys().forEach((key, index) => this.addAlgorithmPanel(key, index === 0 ? 50 : 0));
 
-    setupEventListeners() {
-        // Algorithm checkboxes and weight sliders
-        document.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
-            checkbox.addEventListener('change', (e) => {
-                const algorithmName = e.target.id.replace('-', '');
-                const weightSlider = document.getElementById(algorithmName.replace(/([A-Z])/g, '-$1').toLowerCase() + '-weight');
-                // Keep slider always enabled; if user unchecked box manually, reset weight to 0
-                if (!e.target.checked && weightSlider) {
-                    weightSlider.value = 0;
-                    this.updateWeightDisplay(weightSlider);
-                }
-                this.normalizeWeights();
-                this.generateCity();
-            });
+        // Algorithms registered once the page is up join the sidebar straight away
+        AlgorithmRegistry.onRegister((key, definition) => {
+            this.algorithms[key] = definition;
+            this.addRangeIndicators(this.addAlgorithmPanel(key));
+            this.updateUrlState();
         });
+    }
 
-        // Weight sliders (auto-enable on input ONLY; pointerdown interferes with drag)
-        document.querySelectorAll('.blend-slider').forEach(slider => {
-            slider.addEventListener('pointerdown',   e => e.stopPropagation());
-            slider.addEventListener('pointermove',   e => e.stopPropagation());
-            slider.addEventListener('pointerup',     e => e.stopPropagation());
-            slider.addEventListener('pointercancel', e => e.stopPropagation());
-            slider.addEventListener('click',        e => e.stopPropagation());
-            const associatedCheckbox = slider.closest('.algorithm-item').querySelector('input[type="checkbox"]');
-            slider.addEventListener('input', (e) => {
-                if (associatedCheckbox && !associatedCheckbox.checked) {
-                    associatedCheckbox.checked = true;
-                }
-                this.updateWeightDisplay(e.target);
-                this.normalizeWeights();
-                this.generateCity();
-            });
+    /**
+     * Build the sidebar panel of a registered algorithm from its definition:
+     * checkbox, weight slider and a range input per schema parameter. A panel
+     * already in the list for the key is replaced in place.
+     * @param {string} key
+     * @param {number} [weight=0] initial weight in percent; above 0 also ticks the checkbox
+     * @returns {HTMLElement} the panel
+     */
+    addAlgorithmPanel(key, weight = 0) {
+        const definition = AlgorithmRegistry.get(key);
+        const item = document.createElement('div');
+        item.className = 'algorithm-item';
+        item.dataset.algorithm = key;
+        if (definition.description) item.title = definition.description;
+
+        const header = document.createElement('label');
+        header.className = 'algorithm-header';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `algorithm-${key}`;
+        checkbox.checked = weight > 0;
+        const name = document.createElement('span');
+        name.textContent = definition.name;
+        const weightSlider = document.createElement('input');
+        weightSlider.type = 'range';
+        weightSlider.className = 'blend-slider';
+        weightSlider.id = `algorithm-${key}-weight`;
+        weightSlider.min = 0;
+        weightSlider.max = 100;
+        weightSlider.value = weight;
+        const weightVal = document.createElement('span');
+        weightVal.className = 'weight-value';
+        weightVal.textContent = `${weight}%`;
+        header.append(checkbox, name, weightSlider, weightVal);
+
+        const group = document.createElement('div');
+        group.className = 'param-group';
+        Object.entries(AlgorithmRegistry.params(key)).forEach(([param, spec]) => {
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.id = `algorithm-${key}-${param}`;
+            input.dataset.param = param;
+            // Range first so the default isn't clamped to 0-100
+            input.min = spec.min;
+            input.max = spec.max;
+            input.step = spec.step;
+            input.value = spec.default;
+            input.addEventListener('input', () => this.generateCity());
+            const label = document.createElement('label');
+            label.append(`${spec.label}: `, input);
+            group.appendChild(label);
         });
+        const params = document.createElement('div');
+        params.className = 'algorithm-params';
+        params.appendChild(group);
+        item.append(header, params);
 
-        /* ------- Algorithm checkbox -> dim value text if unchecked, but always enable sliders ------- */
-        document.querySelectorAll('.algorithm-item').forEach(item => {
-            const checkbox = item.querySelector('input[type="checkbox"]');
-            const weightVal = item.querySelector('.weight-value');
-            const syncDim = () => {
-                if (weightVal) weightVal.style.opacity = checkbox.checked ? '1' : '0.4';
-            };
-            checkbox.addEventListener('change', syncDim);
+        // Dim the weight text while unchecked, but keep the slider usable
+        const syncDim = () => {
+            weightVal.style.opacity = checkbox.checked ? '1' : '0.4';
+        };
+        syncDim();
+        checkbox.addEventListener('change', () => {
+            // Unticking by hand resets the weight to 0
+            if (!checkbox.checked) {
+                weightSlider.value = 0;
+                this.updateWeightDisplay(weightSlider);
+            }
             syncDim();
+            this.normalizeWeights();
+            this.generateCity();
         });
 
-        // Slider value indicators
-        document.querySelectorAll('input[type="range"]').forEach(range => {
+        // Auto-enable on input ONLY; pointerdown interferes with drag
+        ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'click'].forEach(type => {
+            weightSlider.addEventListener(type, e => e.stopPropagation());
+        });
+        weightSlider.addEventListener('input', () => {
+            if (!checkbox.checked) {
+                checkbox.checked = true;
+                syncDim();
+            }
+            this.updateWeightDisplay(weightSlider);
+            this.normalizeWeights();
+            this.generateCity();
+        });
+
+        const existing = this.getAlgorithmItem(key);
+        if (existing) {
+            existing.replaceWith(item);
+        } else {
+            document.getElementById('algorithm-list').appendChild(item);
+        }
+
+        // Matching mask brush, kept ahead of the eraser
+        const brushes = document.getElementById('mask-brush');
+        let brush = Array.from(brushes.options).find(option => option.value === key);
+        if (!brush) {
+            brush = document.createElement('option');
+            brush.value = key;
+            brushes.insertBefore(brush, Array.from(brushes.options).find(option => option.value === '') || null);
+        }
+        brush.textContent = definition.name;
+        return item;
+    }
+
+    /**
+     * Show each range input's value in a span after it, once per input.
+     * @param {ParentNode} root
+     */
+    addRangeIndicators(root) {
+        root.querySelectorAll('input[type="range"]').forEach(range => {
             if (range.dataset.hasIndicator) return;
             const span = document.createElement('span');
             span.className = 'slider-val';
@@ -90,13 +183,11 @@ class CityGenerationTool {
                 span.textContent = range.value;
             });
         });
+    }
 
-        // Parameter controls
-        document.querySelectorAll('.algorithm-params input').forEach(input => {
-            input.addEventListener('input', () => {
-                this.generateCity();
-            });
-        });
+    setupEventListeners() {
+        // Slider value indicators
+        this.addRangeIndicators(document);
 
         // Global controls
         document.querySelectorAll('.global-controls input').forEach(input => {
@@ -111,11 +202,15 @@ class CityGenerationTool {
             this.renderRequested = true;
             requestAnimationFrame(() => {
                 this.renderRequested = false;
-                this.renderer.render(this.currentCity);
+                // Before the first generation only the topography preview exists
+                this.renderer.render(this.currentCity
+                    || { buildings: [], roads: new RoadGraph(), parks: [], water: this.coastPolygons || [] });
             });
         };
         this.isPanning = false;
         let lastX = 0, lastY = 0;
+        // Where the current press started; a press that barely moves is a click
+        let downX = 0, downY = 0;
         this.canvas.addEventListener('wheel', (e) => {
             if (e.target !== this.canvas) return;
             if (!e.ctrlKey && !e.metaKey) return; // require modifier to avoid page zoom
@@ -131,14 +226,44 @@ class CityGenerationTool {
         this.canvas.addEventListener('pointerdown', (e) => {
             if (e.target !== this.canvas) return;
             if (e.button !== 0) return;
+            if (this.isPaintingMask) {
+                this.maskStrokeActive = true;
+                this.paintMaskAt(e);
+                return;
+            }
+            if (this.isRouting) {
+                this.addRoutePoint(e);
+                return;
+            }
+            if (this.editTool) {
+                this.beginEdit(e);
+                return;
+            }
             this.isPanning = true;
-            lastX = e.clientX;
-            lastY = e.clientY;
+            lastX = downX = e.clientX;
+            lastY = downY = e.clientY;
 
         });
         this.canvas.addEventListener('pointermove', (e) => {
             if (e.target !== this.canvas) return;
-            if (!this.isPanning) return;
+            if (this.maskStrokeActive) {
+                this.paintMaskAt(e);
+                return;
+            }
+            if (this.editGesture) {
+                this.continueEdit(e);
+                return;
+            }
+            if (!this.isPanning) {
+                if (this.editTool === 'erase') {
+                    // Show the eraser under the pointer
+                    this.renderer.setEditPreview({ points: [this.eventToWorld(e)], width: this.getEraserRadius() * 2 });
+                    this.requestRender();
+                } else if (!this.isPaintingMask && !this.isRouting && (!this.editTool || this.editTool === 'move')) {
+                    this.updateHover(e);
+                }
+                return;
+            }
             const dx = e.clientX - lastX;
             const dy = e.clientY - lastY;
             lastX = e.clientX;
@@ -148,7 +273,43 @@ class CityGenerationTool {
         });
         this.canvas.addEventListener('pointerup', (e) => {
             if (e.target !== this.canvas) return;
+            if (this.editGesture) {
+                this.finishEdit(e);
+                return;
+            }
+            if (this.isPanning && Math.hypot(e.clientX - downX, e.clientY - downY) < 4) {
+                this.inspectAt(e);
+            }
             this.isPanning = false;
+            if (this.maskStrokeActive) {
+                // Regenerate once per stroke rather than per brush dab
+                this.maskStrokeActive = false;
+                this.updateUrlState();
+                this.generateCity();
+            }
+        });
+
+        this.canvas.addEventListener('pointerleave', () => {
+            if (this.editTool === 'erase' && !this.editGesture) {
+                this.renderer.setEditPreview(null);
+                this.requestRender();
+            }
+            if (!this.renderer.hover) return;
+            this.renderer.setHover(null);
+            this.requestRender();
+        });
+
+        // Inspector card
+        document.getElementById('inspector-close').addEventListener('click', () => this.clearSelection());
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            if (this.editGesture) {
+                this.editGesture = null;
+                this.renderer.setEditPreview(null);
+                this.requestRender();
+            } else if (this.renderer.selection) {
+                this.clearSelection();
+            }
         });
 
         /* ------- Touch pinch-zoom & two-finger pan ------- */
@@ -213,20 +374,6 @@ class CityGenerationTool {
             clearPointer(e);
         });
 
-        /* ------- Drag-and-drop algorithm ordering (SortableJS) ------- */
-        if (window.Sortable) {
-            new Sortable(document.querySelector('.algorithm-list'), {
-                animation: 150,
-                handle: '.algorithm-header',
-                fallbackOnBody: true,
-                swapThreshold: 0.65,
-                onEnd: () => {
-                    // After reorder, regenerate city to respect new primary algorithm
-                    this.generateCity();
-                }
-            });
-        }
-
         // Topography controls
         const waterSlider = document.getElementById('water-coverage');
         const waterVal = document.getElementById('water-coverage-val');
@@ -260,6 +407,112 @@ class CityGenerationTool {
         document.getElementById('bay-direction').addEventListener('change', () => {
             this.generateTopography(true);
         });
+        // Slope limit leaves the water alone, so only the city needs regenerating
+        const maxSlopeVal = document.getElementById('max-slope-val');
+        document.getElementById('max-slope').addEventListener('input', (e) => {
+            maxSlopeVal.textContent = parseFloat(e.target.value).toFixed(2);
+            if (this.currentCity) this.generateCity();
+        });
+
+        // Blend controls
+        document.getElementById('blend-mode').addEventListener('change', () => {
+            this.syncBlendControls();
+            this.generateCity();
+        });
+        document.getElementById('blend-field').addEventListener('change', () => {
+            this.syncBlendControls();
+            this.generateCity();
+        });
+        document.getElementById('mask-paint-btn').addEventListener('click', () => {
+            this.setMaskPainting(!this.isPaintingMask);
+        });
+        document.getElementById('mask-clear-btn').addEventListener('click', () => {
+            this.blendMask = null;
+            this.renderer.setBlendMask(this.isPaintingMask ? this.getBlendMask() : null);
+            this.updateUrlState();
+            this.generateCity();
+        });
+
+        document.getElementById('resolve-collisions').addEventListener('change', () => {
+            this.generateCity();
+        });
+
+        // Edit tools draw on the canvas instead of panning; edits are replayed on every regeneration
+        document.getElementById('edit-tool').addEventListener('change', (e) => {
+            this.setEditTool(e.target.value);
+        });
+        document.getElementById('edit-clear-btn').addEventListener('click', () => {
+            if (!this.edits.length) return;
+            this.edits = [];
+            this.updateEditCount();
+            this.updateUrlState();
+            this.generateCity();
+        });
+        document.getElementById('pin-clear-btn').addEventListener('click', () => {
+            if (!this.pins.length) return;
+            this.pins = [];
+            this.renderPinList();
+            this.updateUrlState();
+            this.generateCity();
+        });
+
+        // Georeference only affects the scale bar and exports, so redraw without regenerating
+        document.querySelectorAll('.geo-controls input').forEach(input => {
+            input.addEventListener('input', () => {
+                this.renderer.metresPerPixel = this.getGeoParams().metresPerPixel;
+                if (this.currentCity) {
+                    this.analyzeNetwork(this.currentCity);
+                    this.updateRoute();
+                }
+                this.requestRender();
+            });
+        });
+        document.getElementById('export-geojson-btn').addEventListener('click', () => {
+            this.exportGeoJson();
+        });
+
+        // Network metrics are measured on the current city; nothing is regenerated
+        document.getElementById('access-distance').addEventListener('input', () => {
+            if (this.currentCity) this.analyzeNetwork(this.currentCity);
+        });
+        document.getElementById('highlight-fragments').addEventListener('change', () => {
+            this.syncRoadHighlight();
+            this.requestRender();
+        });
+        document.getElementById('route-btn').addEventListener('click', () => {
+            this.setRouting(!this.isRouting);
+        });
+        document.getElementById('route-clear-btn').addEventListener('click', () => {
+            this.routeEnds = [];
+            this.updateRoute();
+            this.requestRender();
+        });
+
+        // View mode is presentation only: redraw the same city
+        document.getElementById('render-mode').addEventListener('change', (e) => {
+            this.renderer.setRenderMode(e.target.value);
+            this.requestRender();
+        });
+        document.getElementById('show-districts').addEventListener('change', (e) => {
+            this.renderer.setDistrictOutlines(e.target.checked);
+            this.requestRender();
+        });
+
+        // History: buttons and Ctrl+Z / Ctrl+Shift+Z
+        document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            // Leave text editing shortcuts alone
+            const target = e.target;
+            if (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && ['text', 'number'].includes(target.type))) return;
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
 
         // Action buttons
         document.getElementById('generate-btn').addEventListener('click', () => {
@@ -274,15 +527,45 @@ class CityGenerationTool {
             this.exportCity();
         });
 
+        document.getElementById('export-svg-btn').addEventListener('click', () => {
+            this.exportSvg();
+        });
+
+        document.getElementById('export-glb-btn').addEventListener('click', () => {
+            this.exportMesh('glb');
+        });
+
+        document.getElementById('export-obj-btn').addEventListener('click', () => {
+            this.exportMesh('obj');
+        });
+
+        const importInput = document.getElementById('import-file');
+        document.getElementById('import-btn').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                this.importCity(JSON.parse(await file.text()));
+            } catch (error) {
+                console.error('Error importing city:', error);
+                alert(`Could not import ${file.name}: ${error.message}`);
+            } finally {
+                // Allow re-importing the same file
+                importInput.value = '';
+            }
+        });
+
         // Canvas resize handling
         window.addEventListener('resize', () => {
             this.updateCanvasSize();
             if (this.currentCity) {
-               // Ensure no buildings overlap water
-            if (this.waterCells && this.waterCells.length) {
-                this.currentCity.buildings = this.currentCity.buildings.filter(b => !this.isInWater(b));
-            }
-            this.renderer.render(this.currentCity);
+                // Ensure no buildings overlap water
+                if (this.waterCells && this.waterCells.length) {
+                    this.currentCity.buildings = this.currentCity.buildings.filter(b => !this.generator.isInWater(b, this.waterCells));
+                }
+                this.renderer.render(this.currentCity);
             }
         });
 
@@ -292,12 +575,9 @@ class CityGenerationTool {
             // Restore saved order
             try {
                 const saved = JSON.parse(localStorage.getItem('algorithmOrder') || '[]');
-                saved.forEach(id => {
-                    const checkbox = document.getElementById(id);
-                    if (checkbox) {
-                        const item = checkbox.closest('.algorithm-item');
-                        if (item) algoList.appendChild(item);
-                    }
+                saved.forEach(key => {
+                    const item = this.getAlgorithmItem(key);
+                    if (item) algoList.appendChild(item);
                 });
             } catch {}
             Sortable.create(algoList, {
@@ -305,20 +585,94 @@ class CityGenerationTool {
                 ghostClass: 'sortable-ghost',
                 draggable: '.algorithm-item',
                 onEnd: () => {
-                    const order = Array.from(algoList.children).map(item => {
-                        const cb = item.querySelector('input[type="checkbox"]');
-                        return cb ? cb.id : null;
-                    }).filter(Boolean);
-                    localStorage.setItem('algorithmOrder', JSON.stringify(order));
+                    this.saveAlgorithmOrder();
+                    this.updateUrlState();
                     this.generateCity();
                 }
             });
         }
 
+        // Keep the URL hash in sync with every sidebar change
+        const sidebar = document.querySelector('.sidebar');
+        sidebar.addEventListener('input', () => this.updateUrlState());
+        sidebar.addEventListener('change', () => this.updateUrlState());
+        window.addEventListener('hashchange', () => this.loadFromUrl());
+
         // Initial topography preview on load
         this.generateTopography(true);
     }
 
+    updateUrlState() {
+        history.replaceState(null, '', UrlState.encode(this.getConfig()));
+    }
+
+    /**
+     * Apply a configuration shared through the URL hash and generate its city.
+     * @returns {boolean} whether the hash held a configuration
+     */
+    loadFromUrl() {
+        let config;
+        try {
+            config = UrlState.decode(window.location.hash);
+        } catch (error) {
+            console.warn('Ignoring malformed configuration in URL:', error);
+            return false;
+        }
+        if (!config) return false;
+        // A link with values outside the schemas is rejected whole rather than half applied
+        const problems = CityGenerator.validateConfig(config);
+        if (problems.length) {
+            console.error(`Ignoring invalid configuration in URL:\n  ${problems.join('\n  ')}`);
+            alert(`The configuration in this link is invalid and was not loaded:\n  ${problems.join('\n  ')}`);
+            return false;
+        }
+
+        // Generate at the sender's map size so the layout matches exactly
+        if (config.width && config.height) {
+            this.sharedSize = { width: config.width, height: config.height };
+            this.updateCanvasSize();
+        }
+        this.applyConfig(config);
+        this.generateTopography(false);
+        this.generateCity();
+        return true;
+    }
+
+    /**
+     * Fill the preset menu from data/presets.json. A broken preset file only
+     * costs the menu, so it is reported and otherwise ignored.
+     */
+    async loadPresets() {
+        try {
+            this.presets = await CityPresets.load();
+        } catch (error) {
+            console.warn('Presets unavailable:', error);
+            this.presets = [];
+        }
+        const select = document.getElementById('preset-select');
+        this.presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            option.title = preset.description;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            const preset = this.presets.find(candidate => candidate.id === select.value);
+            if (preset) this.applyPreset(preset);
+        });
+    }
+
+    /**
+     * Switch the sidebar to a preset's algorithms and settings and generate it.
+     * @param {{config:Object}} preset
+     */
+    applyPreset(preset) {
+        this.applyConfig(CityPresets.apply(this.getConfig(), preset));
+        this.generateTopography(false);
+        this.generateCity();
+    }
+
     updateWeightDisplay(slider) {
         const valueElement = slider.nextElementSibling;
         if (valueElement && valueElement.classList.contains('weight-value')) {
@@ -345,82 +699,51 @@ class CityGenerationTool {
         }
     }
 
-    getActiveAlgorithms() {
-        const active = [];
-        const sliderIdMap = {
-            'grid-layout': 'grid-weight',
-            'poisson-disk': 'poisson-weight',
-            'random-walk': 'random-walk-weight',
-            'cellular-automata': 'cellular-automata-weight',
-            'voronoi': 'voronoi-weight',
-            'wfc': 'wfc-weight'
-        };
-        document.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => {
-            const algorithmKey = this.getAlgorithmKey(checkbox.id);
-            const sliderId = sliderIdMap[checkbox.id];
-            const weightSlider = document.getElementById(sliderId);
-            if (!weightSlider) {
-                console.warn(`Weight slider not found for algorithm: ${algorithmKey} (expected id: ${sliderId})`);
-                return; // Skip this algorithm if slider is missing
-            }
-            const weight = parseInt(weightSlider.value) / 100;
-            
-            if (weight > 0 && this.algorithms[algorithmKey]) {
-                active.push({
-                    name: algorithmKey,
-                    algorithm: this.algorithms[algorithmKey],
-                    weight: weight,
-                    params: this.getAlgorithmParams(algorithmKey)
-                });
-            }
+    saveAlgorithmOrder() {
+        const order = Array.from(document.querySelectorAll('.algorithm-item'))
+            .map(item => item.dataset.algorithm);
+        localStorage.setItem('algorithmOrder', JSON.stringify(order));
+    }
+
+    /**
+     * Every algorithm in sidebar order, including disabled ones, so the
+     * config captures checkboxes, weights, params and ordering.
+     * @returns {Array<{name:string, enabled:boolean, weight:number, params:Object}>}
+     */
+    getAlgorithmSettings() {
+        const settings = [];
+        document.querySelectorAll('.algorithm-item').forEach(item => {
+            const algorithmKey = item.dataset.algorithm;
+            if (!this.algorithms[algorithmKey]) return;
+
+            settings.push({
+                name: algorithmKey,
+                enabled: item.querySelector('input[type="checkbox"]').checked,
+                weight: parseInt(item.querySelector('.blend-slider').value) / 100,
+                params: this.getAlgorithmParams(algorithmKey)
+            });
         });
 
-        return active;
+        return settings;
     }
 
-    getAlgorithmKey(checkboxId) {
-        const keyMap = {
-            'grid-layout': 'gridLayout',
-            'poisson-disk': 'poissonDisk',
-            'random-walk': 'randomWalk',
-            'cellular-automata': 'cellularAutomata',
-            'voronoi': 'voronoi',
-            'wfc': 'wfc'
-        };
-        return keyMap[checkboxId] || checkboxId;
+    getAlgorithmItem(algorithmKey) {
+        return Array.from(document.querySelectorAll('.algorithm-item'))
+            .find(item => item.dataset.algorithm === algorithmKey) || null;
     }
 
+    /**
+     * Current sidebar value of every parameter in an algorithm's schema.
+     * @param {string} algorithmKey
+     * @returns {Object<string, number>}
+     */
     getAlgorithmParams(algorithmKey) {
-        const paramMap = {
-            gridLayout: {
-                gridSize: document.getElementById('grid-size')?.value || 20,
-                streetWidth: document.getElementById('street-width')?.value || 2,
-                density: document.getElementById('grid-density')?.value || 0.7
-            },
-            poissonDisk: {
-                minDistance: document.getElementById('poisson-distance')?.value || 30,
-                maxAttempts: document.getElementById('poisson-attempts')?.value || 30
-            },
-            randomWalk: {
-                walkerCount: document.getElementById('walker-count')?.value || 5,
-                steps: document.getElementById('walker-steps')?.value || 200,
-                depositChance: document.getElementById('deposit-chance')?.value || 0.3
-            },
-            cellularAutomata: {
-                generations: document.getElementById('cellular-generations')?.value || 5,
-                neighborThreshold: document.getElementById('neighbor-threshold')?.value || 4
-            },
-            voronoi: {
-                seedPoints: document.getElementById('voronoi-seeds')?.value || 25,
-                buildingsPerCell: document.getElementById('buildings-per-cell')?.value || 5
-            },
-            wfc: {
-                tileSize: document.getElementById('tile-size')?.value || 10,
-                entropyThreshold: document.getElementById('entropy-threshold')?.value || 3
-            }
-        };
-
-        return paramMap[algorithmKey] || {};
+        const item = this.getAlgorithmItem(algorithmKey);
+        const params = {};
+        Object.entries(AlgorithmRegistry.params(algorithmKey)).forEach(([param, spec]) => {
+            params[param] = item?.querySelector(`input[data-param="${param}"]`)?.value || spec.default;
+        });
+        return AlgorithmRegistry.coerceParams(algorithmKey, params);
     }
 
     getGlobalParams() {
@@ -433,30 +756,684 @@ class CityGenerationTool {
         };
     }
 
+    getBlendParams() {
+        return {
+            mode: document.getElementById('blend-mode').value,
+            field: document.getElementById('blend-field').value,
+            mask: this.blendMask
+        };
+    }
+
+    /**
+     * Show the weight-field and mask-painting controls only where they apply.
+     */
+    syncBlendControls() {
+        const { mode, field } = this.getBlendParams();
+        const painted = mode === 'mask' && field === 'painted';
+        document.getElementById('blend-field-container').style.display = mode === 'mask' ? 'flex' : 'none';
+        document.getElementById('mask-paint-container').style.display = painted ? 'flex' : 'none';
+        if (!painted && this.isPaintingMask) this.setMaskPainting(false);
+    }
+
+    /**
+     * The painted mask, created on first use at the current canvas size.
+     */
+    getBlendMask() {
+        if (!this.blendMask || this.blendMask.cols !== Math.ceil(this.canvas.width / this.blendMask.cellSize)
+            || this.blendMask.rows !== Math.ceil(this.canvas.height / this.blendMask.cellSize)) {
+            this.blendMask = CityBlender.createMask(this.canvas.width, this.canvas.height);
+        }
+        return this.blendMask;
+    }
+
+    setMaskPainting(enabled) {
+        if (enabled && this.isRouting) this.setRouting(false);
+        if (enabled && this.editTool) this.setEditTool('');
+        this.isPaintingMask = enabled;
+        this.maskStrokeActive = false;
+        document.getElementById('mask-paint-btn').classList.toggle('active', enabled);
+        this.renderer.setBlendMask(enabled ? this.getBlendMask() : null);
+        this.requestRender();
+    }
+
+    /**
+     * Map position under a pointer event.
+     * @returns {{x:number, y:number}}
+     */
+    eventToWorld(e) {
+        const { x, y } = this.eventToScreen(e);
+        return this.renderer.screenToWorld(x, y);
+    }
+
+    /**
+     * Canvas pixel under a pointer event.
+     * @returns {{x:number, y:number}}
+     */
+    eventToScreen(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        // The canvas may be scaled down by CSS
+        return {
+            x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (e.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+
+    /**
+     * Highlight the feature under the pointer.
+     * @param {PointerEvent} e
+     */
+    updateHover(e) {
+        const { x, y } = this.eventToScreen(e);
+        const hit = this.currentCity ? this.renderer.hitTest(this.currentCity, x, y) : null;
+        if (hit?.feature === this.renderer.hover?.feature) return;
+        this.renderer.setHover(hit);
+        this.canvas.style.cursor = hit ? 'pointer' : '';
+        this.requestRender();
+    }
+
+    /**
+     * Select the feature under a click and open its details card, or close
+     * the card when the click hits nothing.
+     * @param {PointerEvent} e
+     */
+    inspectAt(e) {
+        const { x, y } = this.eventToScreen(e);
+        const hit = this.currentCity ? this.renderer.hitTest(this.currentCity, x, y) : null;
+        if (!hit) {
+            this.clearSelection();
+            return;
+        }
+        this.renderer.setSelection(hit);
+        this.showInspector(hit, e);
+        this.requestRender();
+    }
+
+    clearSelection() {
+        this.renderer.setSelection(null);
+        document.getElementById('inspector-card').hidden = true;
+        this.requestRender();
+    }
+
+    // Drop hover and selection, which point into the city being replaced
+    clearInspection() {
+        this.renderer.setHover(null);
+        this.renderer.setSelection(null);
+        document.getElementById('inspector-card').hidden = true;
+    }
+
+    showInspector(hit, e) {
+        const { title, rows } = this.describeFeature(hit);
+        const card = document.getElementById('inspector-card');
+        document.getElementById('inspector-title').textContent = title;
+        const details = document.getElementById('inspector-details');
+        details.replaceChildren();
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            details.append(dt, dd);
+        });
+
+        // Next to the click, inside the canvas area
+        card.hidden = false;
+        const area = card.parentElement.getBoundingClientRect();
+        const left = Math.min(e.clientX - area.left + 12, area.width - card.offsetWidth - 8);
+        const top = Math.min(e.clientY - area.top + 12, area.height - card.offsetHeight - 8);
+        card.style.left = `${Math.max(8, left)}px`;
+        card.style.top = `${Math.max(8, top)}px`;
+    }
+
+    /**
+     * Title and label/value rows for a hit-tested feature. Sizes use the
+     * Georeference metres per pixel.
+     * @param {{layer:string, feature:Object}} hit
+     * @returns {{title:string, rows:Array<Array<string>>}}
+     */
+    describeFeature({ layer, feature }) {
+        const metresPerPixel = this.getGeoParams().metresPerPixel;
+        const area = px => `${Math.round(px * metresPerPixel * metresPerPixel)} m²`;
+        const metres = px => `${(px * metresPerPixel).toFixed(1)} m`;
+        const source = ['Source algorithm', `${feature.source || 'unknown'}${feature.pinned ? ' (pinned)' : ''}`];
+
+        switch (layer) {
+            case 'buildings': {
+                const rows = [
+                    ['Type', feature.type || 'unknown'],
+                    ['Floors', String(feature.floors ?? '—')],
+                    ['Footprint', `${metres(feature.width)} × ${metres(feature.height)} (${area(feature.width * feature.height)})`],
+                    source
+                ];
+                if (feature.district !== undefined) rows.push(['District', `#${feature.district}`]);
+                if (feature.wfcTile !== undefined) rows.push(['WFC tile', String(feature.wfcTile)]);
+                return { title: 'Building', rows };
+            }
+            case 'roads':
+                return {
+                    title: 'Road',
+                    rows: [
+                        ['Class', feature.class],
+                        ['Width', metres(feature.width)],
+                        ['Length', this.formatDistance(RoadGraph.edgeLength(feature) * metresPerPixel)],
+                        source
+                    ]
+                };
+            case 'parks':
+                return {
+                    title: 'Park',
+                    rows: [
+                        ['Type', feature.type || 'park'],
+                        ['Area', area(feature.width * feature.height)],
+                        ['Features', (feature.features || []).join(', ') || '—'],
+                        source
+                    ]
+                };
+            default:
+                return {
+                    title: 'Water',
+                    rows: Array.isArray(feature)
+                        ? [['Kind', 'Coastline body'], ['Area', area(Math.abs(Polygon.signedArea(feature)))]]
+                        : [['Kind', 'Water cell'], ['Area', area(feature.width * feature.height)]]
+                };
+        }
+    }
+
+    /**
+     * @param {number} metres
+     * @returns {string} e.g. "850 m" or "1.25 km"
+     */
+    formatDistance(metres) {
+        return metres >= 1000 ? `${(metres / 1000).toFixed(2)} km` : `${Math.round(metres)} m`;
+    }
+
+    paintMaskAt(e) {
+        const { x, y } = this.eventToWorld(e);
+        const brush = document.getElementById('mask-brush').value || null;
+        const mask = this.getBlendMask();
+        this.blendMask = CityBlender.paintMask(mask, x, y, brush, mask.cellSize * 1.5);
+        this.renderer.setBlendMask(this.blendMask);
+        this.requestRender();
+    }
+
+    /**
+     * Toggle route planning, in which canvas clicks set the route's start and
+     * destination instead of panning.
+     * @param {boolean} enabled
+     */
+    setRouting(enabled) {
+        if (enabled && this.isPaintingMask) this.setMaskPainting(false);
+        if (enabled && this.editTool) this.setEditTool('');
+        this.isRouting = enabled;
+        document.getElementById('route-btn').classList.toggle('active', enabled);
+        this.updateRoute();
+        this.requestRender();
+    }
+
+    // First click sets the start, the second the destination; a third starts over
+    addRoutePoint(e) {
+        const point = this.eventToWorld(e);
+        this.routeEnds = this.routeEnds.length === 1 ? [this.routeEnds[0], point] : [point];
+        this.updateRoute();
+        this.requestRender();
+    }
+
+    /**
+     * Route between the picked points over the current city's roads and
+     * refresh the overlay and route length. Call before rendering the city.
+     */
+    updateRoute() {
+        const info = document.getElementById('route-info');
+        const [from, to] = this.routeEnds;
+        if (!this.currentCity || !from) {
+            this.renderer.setRoute(null);
+            info.textContent = this.isRouting ? 'Click the start point' : '';
+            return;
+        }
+        if (!to) {
+            this.renderer.setRoute({ from, to: null, points: null });
+            info.textContent = 'Click the destination';
+            return;
+        }
+
+        if (!this.router || this.router.graph !== this.currentCity.roads) {
+            this.router = new RoadRouter(this.currentCity.roads);
+        }
+        const route = this.router.route(from, to);
+        if (!route) {
+            this.renderer.setRoute({ from, to, points: null });
+            info.textContent = 'No route: the points are on disconnected roads';
+            return;
+        }
+        // Markers sit where the route joins the roads
+        const { points } = route;
+        this.renderer.setRoute({ from: points[0], to: points[points.length - 1], points });
+        info.textContent = `Route: ${this.formatDistance(route.length * this.getGeoParams().metresPerPixel)}`;
+    }
+
+    /**
+     * Switch the canvas to an edit tool, or back to panning with ''. Editing,
+     * mask painting and route planning are exclusive.
+     * @param {''|'move'|'building'|'road'|'park'|'erase'} tool
+     */
+    setEditTool(tool) {
+        if (tool && this.isPaintingMask) this.setMaskPainting(false);
+        if (tool && this.isRouting) this.setRouting(false);
+        this.editTool = tool;
+        this.editGesture = null;
+        document.getElementById('edit-tool').value = tool;
+        this.renderer.setEditPreview(null);
+        this.renderer.setHover(null);
+        this.canvas.style.cursor = tool && tool !== 'move' ? 'crosshair' : '';
+        this.requestRender();
+    }
+
+    getEraserRadius() {
+        return parseFloat(document.getElementById('edit-brush').value) / this.renderer.scale;
+    }
+
+    // Start a drag with the current edit tool; moves must start on a feature
+    beginEdit(e) {
+        if (!this.currentCity) return;
+        const start = this.eventToWorld(e);
+        if (this.editTool === 'move') {
+            const { x, y } = this.eventToScreen(e);
+            const hit = this.renderer.hitTest(this.currentCity, x, y);
+            // Water belongs to the topography, not to the city layers
+            if (!hit || hit.layer === 'water') return;
+            this.editGesture = { start, end: start, hit };
+        } else {
+            const snapped = this.editTool === 'road' ? this.snapToRoad(start) : start;
+            this.editGesture = { start: snapped, end: snapped, points: [start] };
+        }
+        this.renderer.setHover(null);
+        this.continueEdit(e);
+    }
+
+    continueEdit(e) {
+        const gesture = this.editGesture;
+        const point = this.eventToWorld(e);
+        gesture.end = this.editTool === 'road' ? this.snapToRoad(point) : point;
+        const last = gesture.points?.[gesture.points.length - 1];
+        if (last && Math.hypot(point.x - last.x, point.y - last.y) >= 2 / this.renderer.scale) gesture.points.push(point);
+        this.renderer.setEditPreview(this.getEditPreview(gesture));
+        this.requestRender();
+    }
+
+    finishEdit(e) {
+        this.continueEdit(e);
+        const gesture = this.editGesture;
+        this.editGesture = null;
+        this.renderer.setEditPreview(null);
+        if (this.editTool.startsWith('pin-')) {
+            this.pinRegion(this.getPinRegion(gesture));
+            return;
+        }
+        const edit = this.createEdit(gesture);
+        if (edit) this.commitEdit(edit);
+        else this.requestRender();
+    }
+
+    /**
+     * Region outlined by the pin tools.
+     * @returns {Array<{x:number, y:number}>|null} polygon, or null when too small to pin
+     */
+    getPinRegion({ start, end, points }) {
+        const region = this.editTool === 'pin-rect' ? CityPins.rectRegion(start, end) : points;
+        const { width, height } = CityPins.bounds(region);
+        const minSize = 4 / this.renderer.scale;
+        return region.length >= 3 && width >= minSize && height >= minSize ? region : null;
+    }
+
+    /**
+     * Footprint dragged out by the building or park tool; a click places a
+     * default-sized one centred on it.
+     */
+    getEditRect({ start, end }) {
+        const width = Math.abs(end.x - start.x);
+        const height = Math.abs(end.y - start.y);
+        if (width * this.renderer.scale < 3 || height * this.renderer.scale < 3) {
+            const size = this.editTool === 'park' ? 30 : 12;
+            return { x: start.x - size / 2, y: start.y - size / 2, width: size, height: size };
+        }
+        return { x: Math.min(start.x, end.x), y: Math.min(start.y, end.y), width, height };
+    }
+
+    getEditPreview(gesture) {
+        const { start, end } = gesture;
+        switch (this.editTool) {
+            case 'building':
+            case 'park':
+                return { rect: this.getEditRect(gesture) };
+            case 'road': {
+                const roadClass = document.getElementById('edit-road-class').value;
+                return { points: [start, end], width: CityEdits.ROAD_WIDTHS[roadClass] };
+            }
+            case 'erase':
+                return { points: gesture.points, width: this.getEraserRadius() * 2 };
+            case 'pin-rect':
+                return { rect: CityPins.bounds(CityPins.rectRegion(start, end)) };
+            case 'pin-lasso':
+                return { points: [...gesture.points, gesture.points[0]], width: 2 / this.renderer.scale };
+            case 'move': {
+                const { layer, feature } = gesture.hit;
+                const dx = end.x - start.x;
+                const dy = end.y - start.y;
+                if (layer === 'roads') {
+                    return { points: feature.points.map(p => ({ x: p.x + dx, y: p.y + dy })), width: feature.width };
+                }
+                return { rect: { x: feature.x + dx, y: feature.y + dy, width: feature.width, height: feature.height } };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Turn a finished drag into a CityEdits entry.
+     * @returns {Object|null} null when the drag made no change
+     */
+    createEdit(gesture) {
+        const { start, end } = gesture;
+        switch (this.editTool) {
+            case 'building':
+                return CityEdits.addRect(this.edits, 'buildings', this.getEditRect(gesture), {
+                    type: document.getElementById('edit-building-type').value,
+                    floors: Math.max(1, parseInt(document.getElementById('edit-floors').value) || 1)
+                });
+            case 'park':
+                return CityEdits.addRect(this.edits, 'parks', this.getEditRect(gesture));
+            case 'road':
+                if (Math.hypot(end.x - start.x, end.y - start.y) * this.renderer.scale < 4) return null;
+                return CityEdits.addRoad(this.edits, [start, end], document.getElementById('edit-road-class').value);
+            case 'erase':
+                return { op: 'erase', points: gesture.points, radius: this.getEraserRadius() };
+            case 'move': {
+                const dx = end.x - start.x;
+                const dy = end.y - start.y;
+                if (Math.hypot(dx, dy) * this.renderer.scale < 1) return null;
+                const { layer, feature } = gesture.hit;
+                return { op: 'move', layer, key: CityEdits.featureKey(layer, feature), dx, dy };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Append an edit and apply it to the current city without regenerating.
+     * @param {Object} edit
+     */
+    commitEdit(edit) {
+        this.edits = [...this.edits, edit];
+        this.currentCity = CityEdits.apply(this.currentCity, [edit]);
+        this.updateEditCount();
+        this.showChangedCity();
+    }
+
+    /**
+     * Pin the features inside a region so regeneration keeps them. The
+     * snapshot is taken before hand edits, which keep applying on top.
+     * @param {Array<{x:number, y:number}>|null} region
+     */
+    async pinRegion(region) {
+        if (!region || !this.currentCity) {
+            this.requestRender();
+            return;
+        }
+        const snapshot = CityPins.capture(await this.getBaseCity(), region);
+        // Only the region and config go into the pin; the features stay with the generator
+        const pin = CityPins.create(region, this.currentConfig || this.getConfig());
+        this.pins = [...this.pins, pin];
+        this.generator.rememberPin(this.pins, snapshot);
+        this.baseCity = CityPins.apply(this.baseCity, [snapshot]);
+        this.currentCity = CityEdits.apply(this.baseCity, this.edits);
+        this.renderPinList();
+        this.showChangedCity();
+    }
+
+    /**
+     * The current city without hand edits. An imported city has its edits
+     * baked in, so its base is generated again from the config.
+     * @returns {Promise<Object>}
+     */
+    async getBaseCity() {
+        if (!this.baseCity) {
+            this.baseCity = await this.generator.generate({ ...this.getConfig(), edits: [] }, {
+                waterCells: this.waterCells,
+                coastPolygons: this.coastPolygons,
+                elevation: this.elevation
+            });
+        }
+        return this.baseCity;
+    }
+
+    unpin(index) {
+        this.pins = this.pins.filter((_, i) => i !== index);
+        this.renderPinList();
+        this.updateUrlState();
+        this.generateCity();
+    }
+
+    // List the pins with an Unpin button each, and outline them on the map
+    renderPinList() {
+        const list = document.getElementById('pin-list');
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        list.replaceChildren();
+        this.pins.forEach((pin, index) => {
+            const item = document.createElement('div');
+            item.className = 'pin-item';
+            const label = document.createElement('span');
+            // Features of pins loaded from a link are only known once generated
+            const snapshot = this.generator.pinSnapshot(this.pins, index);
+            label.textContent = snapshot
+                ? `Pin ${index + 1}: ${plural(snapshot.buildings.length, 'building')}, ${plural(snapshot.parks.length, 'park')}`
+                : `Pin ${index + 1}`;
+            const button = document.createElement('button');
+            button.className = 'small-btn';
+            button.textContent = 'Unpin';
+            button.addEventListener('click', () => this.unpin(index));
+            item.append(label, button);
+            list.appendChild(item);
+        });
+        const count = this.pins.length;
+        document.getElementById('pin-count').textContent = count ? plural(count, 'pinned region') : 'No pinned regions';
+        this.renderer.setPinnedRegions(count ? this.pins.map(pin => pin.region) : null);
+    }
+
+    /**
+     * Refresh everything derived from the current city after an edit or pin
+     * changed it without regenerating; the change lands in the config, so the
+     * URL and history pick it up.
+     */
+    showChangedCity() {
+        this.currentConfig = this.getConfig();
+        // A generation already under way started from the old config
+        if (this.isGenerating) this.generationPending = true;
+        this.clearInspection();
+        this.analyzeNetwork(this.currentCity);
+        this.updateRoute();
+        this.requestRender();
+        this.updateStats(this.currentCity, this.generationTime);
+        this.updateUrlState();
+        this.scheduleHistorySnapshot();
+    }
+
+    // Road ends snap to a nearby junction, or onto a nearby road to make a T-junction
+    snapToRoad(point) {
+        const reach = 8 / this.renderer.scale;
+        const roads = RoadGraph.from(this.currentCity.roads);
+        let best = null;
+        roads.nodes.forEach(node => {
+            const distance = Math.hypot(node.x - point.x, node.y - point.y);
+            if (distance <= reach && (!best || distance < best.distance)) best = { point: node, distance };
+        });
+        if (best) return { x: best.point.x, y: best.point.y };
+        roads.edges.forEach(edge => {
+            const hit = RoadRouter.projectOnEdge(edge, point.x, point.y);
+            if (hit.distance <= reach && (!best || hit.distance < best.distance)) best = hit;
+        });
+        return best ? best.point : point;
+    }
+
+    updateEditCount() {
+        const count = this.edits.length;
+        document.getElementById('edit-count').textContent = count ? `${count} edit${count === 1 ? '' : 's'}` : 'No edits';
+    }
+
+    getTopographyParams() {
+        return {
+            waterCoverage: parseInt(document.getElementById('water-coverage').value) / 100,
+            mode: document.getElementById('topo-mode').value,
+            riverWidth: parseInt(document.getElementById('river-width').value),
+            bayDirection: document.getElementById('bay-direction').value,
+            maxSlope: parseFloat(document.getElementById('max-slope').value)
+        };
+    }
+
+    /**
+     * Map placement for the scale bar and GeoJSON export. Blank or invalid
+     * fields fall back to the defaults (null island at 1 m per pixel).
+     * @returns {{originLat:number, originLon:number, metresPerPixel:number}}
+     */
+    getGeoParams() {
+        const read = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const metresPerPixel = read('geo-mpp', 1);
+        return {
+            originLat: Math.max(-85, Math.min(85, read('geo-origin-lat', 0))),
+            originLon: read('geo-origin-lon', 0),
+            metresPerPixel: metresPerPixel > 0 ? metresPerPixel : 1
+        };
+    }
+
+    /**
+     * Collect the current UI state into a plain CityGenerator config.
+     * @returns {Object}
+     */
+    getConfig() {
+        const { scale, randomness, seed } = this.getGlobalParams();
+        return {
+            width: this.canvas.width,
+            height: this.canvas.height,
+            seed,
+            scale,
+            randomness,
+            resolveCollisions: document.getElementById('resolve-collisions').checked,
+            algorithms: this.getAlgorithmSettings(),
+            topography: this.getTopographyParams(),
+            blend: this.getBlendParams(),
+            geo: this.getGeoParams(),
+            pins: this.pins,
+            edits: this.edits
+        };
+    }
+
+    /**
+     * Push a config back into the sidebar: algorithm order, checkboxes,
+     * weights, params, topography and global settings.
+     * @param {Object} config
+     */
+    applyConfig(config) {
+        const normalized = CityGenerator.normalizeConfig(config);
+        const algoList = document.getElementById('algorithm-list');
+        const configured = new Map(normalized.algorithms.map(entry => [entry.name, entry]));
+
+        // Configured algorithms first, in config order; the rest keep their relative order
+        normalized.algorithms.forEach(entry => {
+            const item = this.getAlgorithmItem(entry.name);
+            if (item) algoList.appendChild(item);
+        });
+        Array.from(algoList.querySelectorAll('.algorithm-item')).forEach(item => {
+            if (!configured.has(item.dataset.algorithm)) algoList.appendChild(item);
+        });
+        this.saveAlgorithmOrder();
+
+        algoList.querySelectorAll('.algorithm-item').forEach(item => {
+            const entry = configured.get(item.dataset.algorithm);
+            const checkbox = item.querySelector('input[type="checkbox"]');
+            const weightSlider = item.querySelector('.blend-slider');
+            checkbox.checked = !!entry && entry.enabled && entry.weight > 0;
+            weightSlider.value = entry ? Math.round(entry.weight * 100) : 0;
+            this.updateWeightDisplay(weightSlider);
+            item.querySelector('.weight-value').style.opacity = checkbox.checked ? '1' : '0.4';
+
+            // Params the entry leaves out (or gets wrong) generate at their defaults, so show those
+            const params = entry
+                ? { ...AlgorithmRegistry.defaults(entry.name), ...AlgorithmRegistry.coerceParams(entry.name, entry.params) }
+                : {};
+            item.querySelectorAll('input[data-param]').forEach(input => {
+                const value = params[input.dataset.param];
+                if (value !== undefined) input.value = value;
+            });
+        });
+
+        const { topography } = normalized;
+        document.getElementById('water-coverage').value = Math.round(topography.waterCoverage * 100);
+        document.getElementById('water-coverage-val').textContent = `${Math.round(topography.waterCoverage * 100)}%`;
+        document.getElementById('topo-mode').value = topography.mode;
+        document.getElementById('river-width').value = topography.riverWidth;
+        document.getElementById('river-width-val').textContent = topography.riverWidth;
+        document.getElementById('bay-direction').value = topography.bayDirection;
+        document.getElementById('max-slope').value = topography.maxSlope;
+        document.getElementById('max-slope-val').textContent = topography.maxSlope.toFixed(2);
+        document.getElementById('river-width-container').style.display = topography.mode === 'river' ? 'block' : 'none';
+        document.getElementById('bay-direction-container').style.display = topography.mode === 'bay' ? 'block' : 'none';
+
+        const { blend } = normalized;
+        document.getElementById('blend-mode').value = blend.mode;
+        document.getElementById('blend-field').value = blend.field;
+        this.blendMask = blend.mask;
+        this.syncBlendControls();
+        if (this.isPaintingMask) this.renderer.setBlendMask(this.getBlendMask());
+
+        document.getElementById('global-scale').value = normalized.scale;
+        document.getElementById('global-randomness').value = normalized.randomness;
+        document.getElementById('global-seed').value = normalized.seed;
+        document.getElementById('resolve-collisions').checked = normalized.resolveCollisions;
+
+        const { geo } = normalized;
+        document.getElementById('geo-origin-lat').value = geo.originLat;
+        document.getElementById('geo-origin-lon').value = geo.originLon;
+        document.getElementById('geo-mpp').value = geo.metresPerPixel;
+        this.renderer.metresPerPixel = geo.metresPerPixel;
+
+        this.pins = normalized.pins;
+        this.renderPinList();
+        this.edits = normalized.edits;
+        this.updateEditCount();
+
+        this.syncRangeIndicators();
+        this.updateUrlState();
+    }
+
+    syncRangeIndicators() {
+        document.querySelectorAll('input[type="range"]').forEach(range => {
+            const span = range.nextElementSibling;
+            if (span && span.classList.contains('slider-val')) span.textContent = range.value;
+        });
+    }
+
     /**
      * Generate water topography grid. If preview === true we immediately render
      * the water-only layer so the user can see the result; otherwise we just
-     * compute the waterCells array for use during full city generation.
+     * compute the water and elevation grids for use during full city generation.
      * @param {boolean} [preview=true]
      */
     generateTopography(preview = true) {
-        const coverage = parseInt(document.getElementById('water-coverage').value) / 100;
-        const mode = document.getElementById('topo-mode').value;
-        const riverWidth = mode === 'river' ? parseInt(document.getElementById('river-width').value) : 0;
-        const bayDirection = mode === 'bay' ? document.getElementById('bay-direction').value : 'top';
-        const topoGen = new TopographyGenerator(this.canvas.width, this.canvas.height, 10, {
-            waterCoverage: coverage,
-            seed: this.getGlobalParams().seed,
-            mode,
-            riverWidth,
-            bayDirection
-        });
-        console.debug('Topography preview [preview=' + preview + ']:', { coverage, mode, riverWidth, bayDirection });
-        this.waterCells = topoGen.generate();
-        this.coastPolygons = topoGen.extractCoastlines();
+        const config = this.getConfig();
+        console.debug('Topography preview [preview=' + preview + ']:', config.topography);
+        const { waterCells, coastPolygons, elevation } = this.generator.generateTopography(config);
+        this.waterCells = waterCells;
+        this.coastPolygons = coastPolygons;
+        this.elevation = elevation;
         // If requested, render only the topography so the user can preview the smooth coastlines
         if (preview) {
-            this.renderer.render({ buildings: [], roads: [], parks: [], water: this.coastPolygons });
+            this.renderer.setRoadHighlight(null);
+            this.renderer.setRoute(null);
+            this.clearInspection();
+            this.renderer.render({ buildings: [], roads: new RoadGraph(), parks: [], water: this.coastPolygons });
         }
     }
 
@@ -465,103 +1442,128 @@ class CityGenerationTool {
         if (!this.waterCells) {
             this.generateTopography(false);
         }
-        if (this.isGenerating) return;
+        if (this.isGenerating) {
+            // Run once more when the current generation finishes, so the last change is not lost
+            this.generationPending = true;
+            return;
+        }
         
         this.isGenerating = true;
         const startTime = performance.now();
         
         try {
-            const activeAlgorithms = this.getActiveAlgorithms();
-            const globalParams = this.getGlobalParams();
-            
-            if (activeAlgorithms.length === 0) {
-                this.currentCity = { buildings: [], roads: [], parks: [], water: this.waterCells };
-            } else {
-                this.currentCity = await this.blendAlgorithms(activeAlgorithms, globalParams);
-            }
+            const config = this.getConfig();
+            this.currentConfig = config;
+            // Keep the city before edits for pinning; the edits are then replayed the same way generate() would
+            this.baseCity = await this.generator.generate({ ...config, edits: [] }, {
+                waterCells: this.waterCells,
+                coastPolygons: this.coastPolygons,
+                elevation: this.elevation
+            });
+            this.currentCity = CityEdits.apply(this.baseCity, config.edits);
+            if (config.pins.length) this.renderPinList();
             
+            this.renderer.setRandom(new SeededRandom(config.seed));
+            this.clearInspection();
+            this.analyzeNetwork(this.currentCity);
+            this.updateRoute();
             this.renderer.render(this.currentCity);
             
             const endTime = performance.now();
-            this.updateStats(this.currentCity, endTime - startTime);
+            this.generationTime = endTime - startTime;
+            this.updateStats(this.currentCity, this.generationTime);
+            this.scheduleHistorySnapshot();
             
         } catch (error) {
             console.error('Error generating city:', error);
         } finally {
             this.isGenerating = false;
+            if (this.generationPending) {
+                this.generationPending = false;
+                this.generateCity();
+            }
         }
     }
 
-    async blendAlgorithms(activeAlgorithms, globalParams) {
-        const results = [];
-        
-        // Generate results from each active algorithm
-        for (const algorithmConfig of activeAlgorithms) {
-            const result = await algorithmConfig.algorithm.generate({
-                ...algorithmConfig.params,
-                ...globalParams
-            });
-            
-            results.push({
-                ...result,
-                weight: algorithmConfig.weight
-            });
+    /**
+     * Record the current config in the history once generation has been
+     * idle for historyDelay ms, so a slider drag becomes a single entry.
+     */
+    scheduleHistorySnapshot() {
+        clearTimeout(this.historyTimer);
+        this.historyTimer = setTimeout(() => {
+            if (!this.currentConfig) return;
+            this.history.push(this.currentConfig, this.createThumbnail());
+            this.renderHistoryTimeline();
+        }, this.historyDelay);
+    }
+
+    /**
+     * Small PNG of the canvas for the history timeline.
+     * @returns {string|null} data URL, or null if the canvas can't be copied
+     */
+    createThumbnail() {
+        const thumb = document.createElement('canvas');
+        thumb.width = 96;
+        thumb.height = Math.max(1, Math.round(96 * this.canvas.height / this.canvas.width));
+        const ctx = thumb.getContext('2d');
+        if (!ctx) return null;
+        try {
+            ctx.drawImage(this.canvas, 0, 0, thumb.width, thumb.height);
+            return thumb.toDataURL('image/png');
+        } catch (error) {
+            console.warn('Could not create history thumbnail:', error);
+            return null;
         }
-        
-        // Blend the results
-        return this.blendResults(results, globalParams);
     }
 
-    isInWater(rect) {
-        if (!this.waterCells) return false;
-        return this.waterCells.some(w => rect.x < w.x + w.width && rect.x + rect.width > w.x && rect.y < w.y + w.height && rect.y + rect.height > w.y);
+    undo() {
+        const entry = this.history.undo();
+        if (entry) this.restoreHistoryEntry(entry);
     }
 
-    blendResults(results, globalParams) {
-        const blended = {
-            // Use smooth coastline polygons if available, otherwise fall back to waterCells squares
-            water: (this.coastPolygons && this.coastPolygons.length)
-                ? this.coastPolygons
-                : (this.waterCells || []),
-            buildings: [],
-            roads: [],
-            parks: []
-        };
-        
-        results.forEach(result => {
-            // Scale each result by its weight and add to blended output
-            Object.keys(blended).forEach(key => {
-                if (result[key]) {
-                    const scaledFeatures = result[key].map(feature => ({
-                        ...feature,
-                        opacity: (feature.opacity || 1) * result.weight
-                    }));
-                    blended[key].push(...scaledFeatures);
-                }
-            });
-        });
-        
-        // Apply global randomness and cleanup
-        this.applyGlobalEffects(blended, globalParams);
-        
-        return blended;
+    redo() {
+        const entry = this.history.redo();
+        if (entry) this.restoreHistoryEntry(entry);
     }
 
-    applyGlobalEffects(city, globalParams) {
-        const { randomness, seed } = globalParams;
-        
-        // Seed random number generator for consistent results
-        Math.seedrandom(seed);
-        
-        // Apply randomness to positions and properties
-        Object.keys(city).forEach(key => {
-            city[key].forEach(feature => {
-                if (randomness > 0) {
-                    feature.x += (Math.random() - 0.5) * randomness * 20;
-                    feature.y += (Math.random() - 0.5) * randomness * 20;
-                }
+    /**
+     * Push a history entry's config into the sidebar and regenerate its city.
+     * @param {{config:Object}} entry
+     */
+    restoreHistoryEntry(entry) {
+        clearTimeout(this.historyTimer);
+        this.applyConfig(entry.config);
+        this.generateTopography(false);
+        this.updateUrlState();
+        this.renderHistoryTimeline();
+        this.generateCity();
+    }
+
+    renderHistoryTimeline() {
+        const timeline = document.getElementById('history-timeline');
+        timeline.innerHTML = '';
+        this.history.entries.forEach((entry, index) => {
+            const button = document.createElement('button');
+            button.className = 'history-thumb' + (index === this.history.index ? ' active' : '');
+            button.title = `#${index + 1} · seed ${entry.config.seed} · ${new Date(entry.timestamp).toLocaleTimeString()}`;
+            if (entry.thumbnail) {
+                const img = document.createElement('img');
+                img.src = entry.thumbnail;
+                img.alt = `History entry ${index + 1}`;
+                button.appendChild(img);
+            } else {
+                button.textContent = index + 1;
+            }
+            button.addEventListener('click', () => {
+                const target = this.history.jumpTo(index);
+                if (target) this.restoreHistoryEntry(target);
             });
+            timeline.appendChild(button);
         });
+        timeline.scrollLeft = timeline.scrollWidth;
+        document.getElementById('undo-btn').disabled = !this.history.canUndo();
+        document.getElementById('redo-btn').disabled = !this.history.canRedo();
     }
 
     randomizeParameters() {
@@ -583,88 +1585,206 @@ class CityGenerationTool {
             this.updateWeightDisplay(slider);
         });
         
-        // Randomize parameters
-        document.querySelectorAll('.algorithm-params input').forEach(input => {
-            const min = parseFloat(input.min);
-            const max = parseFloat(input.max);
-            const step = parseFloat(input.step) || 1;
-            const range = max - min;
-            const value = min + Math.floor(Math.random() * (range / step)) * step;
-            input.value = value;
+        // Randomize parameters within each algorithm's schema
+        document.querySelectorAll('.algorithm-item').forEach(item => {
+            Object.entries(AlgorithmRegistry.params(item.dataset.algorithm)).forEach(([param, spec]) => {
+                const input = item.querySelector(`input[data-param="${param}"]`);
+                if (input) input.value = AlgorithmRegistry.randomValue(spec);
+            });
         });
         
         // Randomize global seed
         document.getElementById('global-seed').value = Math.floor(Math.random() * 100000);
+        this.syncRangeIndicators();
         
         this.normalizeWeights();
+        this.updateUrlState();
         this.generateCity();
     }
 
     exportCity() {
         if (!this.currentCity) return;
         
-        const exportData = {
-            timestamp: new Date().toISOString(),
-            city: this.currentCity,
-            parameters: {
-                algorithms: this.getActiveAlgorithms(),
-                global: this.getGlobalParams()
-            }
-        };
-        
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+        const config = { ...(this.currentConfig || this.getConfig()), geo: this.getGeoParams() };
+        const exportData = this.generator.createExport(this.currentCity, config);
+        this.downloadFile(JSON.stringify(exportData, null, 2), 'application/json', `city-${Date.now()}.json`);
+    }
+
+    /**
+     * Save the current city as a layered SVG for vector editors.
+     */
+    exportSvg() {
+        if (!this.currentCity) return;
+
+        const config = { ...(this.currentConfig || this.getConfig()), geo: this.getGeoParams() };
+        const svg = new SvgExporter().toSvg(this.currentCity, config, {
+            renderMode: this.renderer.renderMode,
+            districts: this.renderer.showDistricts
+        });
+        this.downloadFile(svg, 'image/svg+xml', `city-${Date.now()}.svg`);
+    }
+
+    /**
+     * Save the current city as GeoJSON placed at the georeference origin,
+     * for QGIS or web maps.
+     */
+    exportGeoJson() {
+        if (!this.currentCity) return;
+
+        const geoJson = new GeoJsonExporter(this.getGeoParams()).stringify(this.currentCity);
+        this.downloadFile(geoJson, 'application/geo+json', `city-${Date.now()}.geojson`);
+    }
+
+    /**
+     * Save the current city as an extruded 3D blockout for game engines.
+     * @param {'glb'|'obj'} format
+     */
+    exportMesh(format) {
+        if (!this.currentCity) return;
+
+        const exporter = new MeshExporter({ metresPerPixel: this.getGeoParams().metresPerPixel });
+        const name = `city-${Date.now()}`;
+        if (format === 'glb') {
+            this.downloadFile(exporter.toGlb(this.currentCity), 'model/gltf-binary', `${name}.glb`);
+        } else {
+            // The OBJ names its materials; the .mtl beside it defines them
+            this.downloadFile(exporter.toObj(this.currentCity, `${name}.mtl`), 'model/obj', `${name}.obj`);
+            this.downloadFile(exporter.toMtl(), 'model/mtl', `${name}.mtl`);
+        }
+    }
+
+    downloadFile(contents, type, filename) {
+        const blob = new Blob([contents], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `city-${Date.now()}.json`;
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Restore a session from an Export file: sidebar state plus the stored
+     * geometry, which is displayed as-is rather than regenerated.
+     * @param {Object} exportData
+     */
+    importCity(exportData) {
+        const { city } = exportData || {};
+        // Roads are a serialized graph, or a rectangle list in files from before the road graph
+        const hasRoads = Array.isArray(city?.roads) || Array.isArray(city?.roads?.edges);
+        if (!city || !Array.isArray(city.buildings) || !hasRoads) {
+            throw new Error('File does not contain an exported city');
+        }
+
+        // Check and convert everything before touching the UI, so a bad file changes nothing
+        const stored = CityGenerator.configFromExport(exportData);
+        const problems = CityGenerator.validateConfig(stored);
+        if (problems.length) {
+            throw new Error(`Invalid parameters:\n  ${problems.join('\n  ')}`);
+        }
+        const config = CityGenerator.normalizeConfig(stored);
+        const roads = RoadGraph.from(city.roads);
+
+        // Restore the exported map size first, as loadFromUrl does, so the config and geometry line up
+        this.sharedSize = { width: config.width, height: config.height };
+        this.updateCanvasSize();
+        this.applyConfig(config);
+        // Keep water data in sync with the restored topography for later regeneration
+        this.generateTopography(false);
+
+        this.currentConfig = this.getConfig();
+        this.currentCity = { buildings: [], parks: [], water: [], ...city, roads };
+        this.baseCity = null;
+        this.renderer.setRandom(new SeededRandom(config.seed));
+        this.clearInspection();
+        this.analyzeNetwork(this.currentCity);
+        this.updateRoute();
+        this.renderer.render(this.currentCity);
+        this.updateStats(this.currentCity, 0);
+        this.scheduleHistorySnapshot();
+    }
+
     updateStats(city, generationTime) {
         const buildingCount = city.buildings?.length || 0;
-        const roadCount = city.roads?.length || 0;
+        const roadCount = RoadGraph.from(city.roads).edges.length;
         const statsElement = document.getElementById('generation-stats');
         
         if (statsElement) {
+            const collisions = city.collisions;
+            const collisionStats = collisions
+                ? `<span>Collisions fixed: ${collisions.nudged + collisions.shrunk + collisions.removed} ` +
+                  `(${collisions.nudged} nudged, ${collisions.shrunk} shrunk, ${collisions.removed} removed)</span>`
+                : '';
             statsElement.innerHTML = `
                 <span>Buildings: ${buildingCount}</span>
                 <span>Roads: ${roadCount}</span>
+                ${collisionStats}
                 <span>Time: ${Math.round(generationTime)}ms</span>
             `;
         }
     }
 
+    /**
+     * Measure the city's road network and refresh the Road Network panel and
+     * fragment highlight. Call before rendering the city.
+     * @param {Object} city
+     */
+    analyzeNetwork(city) {
+        const accessDistance = parseFloat(document.getElementById('access-distance').value);
+        this.networkAnalyzer.accessDistance = accessDistance > 0 ? accessDistance : 50;
+        const { width, height } = this.currentConfig || this.getConfig();
+        const stats = this.networkAnalyzer.analyze(city, {
+            width,
+            height,
+            metresPerPixel: this.getGeoParams().metresPerPixel
+        });
+        this.networkStats = stats;
+        this.syncRoadHighlight();
+
+        const statsElement = document.getElementById('network-stats');
+        if (!statsElement) return;
+        const percent = share => `${Math.round(share * 100)}%`;
+        const access = stats.buildingAccess === null ? 'n/a' : percent(stats.buildingAccess);
+        statsElement.innerHTML = `
+            <span>Components: ${stats.components} (largest ${percent(stats.largestComponentShare)} of length)</span>
+            <span>Dead ends: ${stats.deadEnds}</span>
+            <span>Intersections: ${stats.intersections} (${stats.intersectionDensity.toFixed(1)}/km²)</span>
+            <span>Blocks: ${stats.blocks} (avg ${Math.round(stats.averageBlockArea)} m²)</span>
+            <span>Buildings within ${this.networkAnalyzer.accessDistance} m of a road: ${access}</span>
+        `;
+    }
+
+    // Outline the fragments cut off from the main network when the checkbox is on
+    syncRoadHighlight() {
+        const enabled = document.getElementById('highlight-fragments').checked;
+        const fragments = this.networkStats?.fragmentEdges;
+        this.renderer.setRoadHighlight(enabled && fragments?.length ? fragments : null);
+    }
+
     updateCanvasSize() {
         const container = this.canvas.parentElement;
         const containerRect = container.getBoundingClientRect();
         const maxWidth = containerRect.width - 32; // Account for padding
         const maxHeight = window.innerHeight - 300; // Leave space for controls
         
-        this.canvas.width = Math.min(800, maxWidth);
-        this.canvas.height = Math.min(600, maxHeight);
+        if (this.sharedSize) {
+            this.canvas.width = this.sharedSize.width;
+            this.canvas.height = this.sharedSize.height;
+        } else {
+            this.canvas.width = Math.min(800, maxWidth);
+            this.canvas.height = Math.min(600, maxHeight);
+        }
         this.canvas.style.width = this.canvas.width + 'px';
         this.canvas.style.height = this.canvas.height + 'px';
     }
 
     generateInitialCity() {
         // Generate an initial city with grid layout
-        document.getElementById('grid-layout').checked = true;
+        document.getElementById('algorithm-gridLayout').checked = true;
         this.generateCity();
     }
 }
 
-// Utility function for seeded random numbers
-Math.seedrandom = function(seed) {
-    Math._seed = seed % 2147483647;
-    if (Math._seed <= 0) Math._seed += 2147483646;
-};
-
-Math.seededRandom = function() {
-    Math._seed = Math._seed * 16807 % 2147483647;
-    return (Math._seed - 1) / 2147483646;
-};
-
 // Initialize the application when the DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.cityTool = new CityGenerationTool();
@@ -0,0 +1,121 @@
+/**
+ * Node loader for the generation core
+ * Evaluates the browser scripts in a sandboxed context (same order as
+ * index.html) so CityGenerator and CityRenderer can run without a DOM.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Scripts that make up the headless core, in load order
+const CORE_SCRIPTS = [
+    'js/random.js',
+    'js/spatialIndex.js',
+    'js/polygon.js',
+    'js/roadGraph.js',
+    'js/roadAnalysis.js',
+    'js/roadRouter.js',
+    'js/delaunay.js',
+    'js/parcels.js',
+    'js/algorithmRegistry.js',
+    'js/algorithms/gridLayout.js',
+    'js/algorithms/poissonDisk.js',
+    'js/algorithms/randomWalk.js',
+    'js/algorithms/cellularAutomata.js',
+    'js/algorithms/voronoi.js',
+    'js/algorithms/wfc.js',
+    'js/algorithms/roadGrowth.js',
+    'js/topography.js',
+    'js/blending.js',
+    'js/collisions.js',
+    'js/terrain.js',
+    'js/cityEdits.js',
+    'js/cityPins.js',
+    'js/cityGenerator.js',
+    'js/presets.js',
+    'js/renderer.js',
+    'js/exporters/svgContext.js',
+    'js/exporters/svgExporter.js',
+    'js/exporters/geoJsonExporter.js',
+    'js/exporters/meshExporter.js'
+];
+
+// Globals exposed to Node callers
+const EXPORTED_NAMES = [
+    'CityGenerator',
+    'CityPresets',
+    'CityBlender',
+    'CollisionResolver',
+    'SeededRandom',
+    'SpatialGrid',
+    'Polygon',
+    'RoadGraph',
+    'RoadNetworkAnalyzer',
+    'RoadRouter',
+    'Delaunay',
+    'ParcelSubdivider',
+    'AlgorithmRegistry',
+    'CityEdits',
+    'CityPins',
+    'Terrain',
+    'TopographyGenerator',
+    'CityRenderer',
+    'SvgContext',
+    'SvgExporter',
+    'GeoJsonExporter',
+    'MeshExporter',
+    'GridLayoutAlgorithm',
+    'PoissonDiskAlgorithm',
+    'RandomWalkAlgorithm',
+    'CellularAutomataAlgorithm',
+    'VoronoiAlgorithm',
+    'WFCAlgorithm',
+    'RoadGrowthAlgorithm'
+];
+
+/**
+ * Minimal fetch() for relative data files such as the WFC tileset.
+ * @param {string} url path relative to the repository root
+ */
+async function fetchLocal(url) {
+    const text = await fs.promises.readFile(path.join(ROOT, url), 'utf8');
+    return {
+        ok: true,
+        json: async () => JSON.parse(text),
+        text: async () => text
+    };
+}
+
+/**
+ * Load the generation core into a fresh context.
+ * @param {Object} [options]
+ * @param {string[]} [options.plugins] extra algorithm scripts, run after the
+ *        core so they can call AlgorithmRegistry.register() (paths relative to
+ *        the working directory)
+ * @returns {Object<string, Function>} the exported classes by name
+ */
+function loadCore(options = {}) {
+    const sandbox = { console, fetch: fetchLocal, performance, TextEncoder };
+    sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+
+    CORE_SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    (options.plugins || []).forEach(file => {
+        const source = fs.readFileSync(path.resolve(file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    const exported = {};
+    EXPORTED_NAMES.forEach(name => {
+        exported[name] = vm.runInContext(name, context);
+    });
+    return exported;
+}
+
+module.exports = { loadCore, CORE_SCRIPTS, ROOT };
@@ -0,0 +1,376 @@
+/**
+ * Raster Context - Software CanvasRenderingContext2D for Node
+ * Implements the subset of the 2D context API used by CityRenderer and
+ * encodes the result as PNG, so maps can be rasterized without a browser.
+ * Text is not rasterized.
+ */
+
+const zlib = require('zlib');
+
+// Segments used to approximate one full circle
+const CIRCLE_SEGMENTS = 16;
+
+class RasterContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = new Uint8ClampedArray(width * height * 4);
+        this.stack = [];
+        this.subpaths = [];
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.lineDash = [];
+        this.matrix = [1, 0, 0, 1, 0, 0];
+    }
+
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            globalAlpha: this.globalAlpha,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            lineDash: [...this.lineDash],
+            matrix: [...this.matrix]
+        });
+    }
+
+    restore() {
+        if (this.stack.length) Object.assign(this, this.stack.pop());
+    }
+
+    scale(sx, sy) {
+        this.transform(sx, 0, 0, sy, 0, 0);
+    }
+
+    translate(tx, ty) {
+        this.transform(1, 0, 0, 1, tx, ty);
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [ma, mb, mc, md, me, mf] = this.matrix;
+        this.matrix = [
+            ma * a + mc * b,
+            mb * a + md * b,
+            ma * c + mc * d,
+            mb * c + md * d,
+            ma * e + mc * f + me,
+            mb * e + md * f + mf
+        ];
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    apply(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    matrixScale() {
+        const [a, b] = this.matrix;
+        return Math.hypot(a, b);
+    }
+
+    clearRect(x, y, width, height) {
+        const p0 = this.apply(x, y);
+        const p1 = this.apply(x + width, y + height);
+        const x0 = Math.max(0, Math.round(Math.min(p0.x, p1.x)));
+        const x1 = Math.min(this.width, Math.round(Math.max(p0.x, p1.x)));
+        const y0 = Math.max(0, Math.round(Math.min(p0.y, p1.y)));
+        const y1 = Math.min(this.height, Math.round(Math.max(p0.y, p1.y)));
+        for (let py = y0; py < y1; py++) {
+            this.pixels.fill(0, (py * this.width + x0) * 4, (py * this.width + x1) * 4);
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+    }
+
+    strokeRect(x, y, width, height) {
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+    }
+
+    beginPath() {
+        this.subpaths = [];
+    }
+
+    moveTo(x, y) {
+        this.subpaths.push({ points: [this.apply(x, y)], closed: false });
+    }
+
+    lineTo(x, y) {
+        if (!this.subpaths.length) {
+            this.moveTo(x, y);
+            return;
+        }
+        this.subpaths[this.subpaths.length - 1].points.push(this.apply(x, y));
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle) {
+        const sweep = endAngle - startAngle;
+        const steps = Math.max(2, Math.ceil(CIRCLE_SEGMENTS * Math.abs(sweep) / (2 * Math.PI)));
+        for (let i = 0; i <= steps; i++) {
+            const angle = startAngle + sweep * (i / steps);
+            const px = x + Math.cos(angle) * radius;
+            const py = y + Math.sin(angle) * radius;
+            if (i === 0) this.moveTo(px, py); else this.lineTo(px, py);
+        }
+    }
+
+    closePath() {
+        const current = this.subpaths[this.subpaths.length - 1];
+        if (current) current.closed = true;
+    }
+
+    fill() {
+        const rings = this.subpaths.map(sp => sp.points).filter(pts => pts.length > 2);
+        this.fillPolygons(rings, RasterContext.parseColor(this.fillStyle));
+    }
+
+    stroke() {
+        const color = RasterContext.parseColor(this.strokeStyle);
+        const halfWidth = (this.lineWidth * this.matrixScale()) / 2;
+        const dash = this.lineDash.map(v => v * this.matrixScale());
+        const quads = [];
+
+        this.subpaths.forEach(({ points, closed }) => {
+            const pts = closed ? [...points, points[0]] : points;
+            const segments = [];
+            for (let i = 0; i < pts.length - 1; i++) segments.push([pts[i], pts[i + 1]]);
+            RasterContext.dashSegments(segments, dash).forEach(([a, b]) => {
+                const len = Math.hypot(b.x - a.x, b.y - a.y);
+                if (len === 0) return;
+                const nx = -(b.y - a.y) / len * halfWidth;
+                const ny = (b.x - a.x) / len * halfWidth;
+                // Square caps extend the segment by half the width
+                const ex = this.lineCap === 'square' ? (b.x - a.x) / len * halfWidth : 0;
+                const ey = this.lineCap === 'square' ? (b.y - a.y) / len * halfWidth : 0;
+                quads.push([
+                    { x: a.x - ex + nx, y: a.y - ey + ny },
+                    { x: b.x + ex + nx, y: b.y + ey + ny },
+                    { x: b.x + ex - nx, y: b.y + ey - ny },
+                    { x: a.x - ex - nx, y: a.y - ey - ny }
+                ]);
+                if (this.lineCap === 'round') {
+                    quads.push(RasterContext.circle(a, halfWidth), RasterContext.circle(b, halfWidth));
+                }
+            });
+            // Round joins fill the gaps at corners; round caps already cover every segment end
+            if (this.lineJoin === 'round' && this.lineCap !== 'round') {
+                pts.slice(1, -1).forEach(p => quads.push(RasterContext.circle(p, halfWidth)));
+            }
+        });
+
+        // Fill each piece separately so overlapping pieces don't cancel out
+        quads.forEach(quad => this.fillPolygons([quad], color));
+    }
+
+    fillText() {
+        // Text rendering needs a font rasterizer; labels are omitted from PNG output
+    }
+
+    measureText(text) {
+        return { width: String(text).length * (parseFloat(this.font) || 10) * 0.6 };
+    }
+
+    /**
+     * Scanline-fill a set of rings with the even-odd rule, sampling pixel centres.
+     * @param {Array<Array<{x:number,y:number}>>} rings device-space rings
+     * @param {{r:number,g:number,b:number,a:number}} color
+     */
+    fillPolygons(rings, color) {
+        if (!rings.length) return;
+        const alpha = color.a * this.globalAlpha;
+        if (alpha <= 0) return;
+
+        let minY = Infinity, maxY = -Infinity;
+        const edges = [];
+        rings.forEach(ring => {
+            for (let i = 0; i < ring.length; i++) {
+                const a = ring[i];
+                const b = ring[(i + 1) % ring.length];
+                if (a.y === b.y) continue;
+                edges.push(a.y < b.y ? [a, b] : [b, a]);
+                minY = Math.min(minY, a.y, b.y);
+                maxY = Math.max(maxY, a.y, b.y);
+            }
+        });
+
+        const rowStart = Math.max(0, Math.floor(minY));
+        const rowEnd = Math.min(this.height - 1, Math.ceil(maxY));
+        for (let py = rowStart; py <= rowEnd; py++) {
+            const sampleY = py + 0.5;
+            const crossings = [];
+            edges.forEach(([a, b]) => {
+                if (sampleY >= a.y && sampleY < b.y) {
+                    crossings.push(a.x + (sampleY - a.y) * (b.x - a.x) / (b.y - a.y));
+                }
+            });
+            crossings.sort((p, q) => p - q);
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+                const x0 = Math.max(0, Math.ceil(crossings[k] - 0.5));
+                const x1 = Math.min(this.width - 1, Math.floor(crossings[k + 1] - 0.5));
+                for (let px = x0; px <= x1; px++) {
+                    this.blendPixel(px, py, color, alpha);
+                }
+            }
+        }
+    }
+
+    blendPixel(px, py, color, alpha) {
+        const i = (py * this.width + px) * 4;
+        const dstA = this.pixels[i + 3] / 255;
+        const outA = alpha + dstA * (1 - alpha);
+        if (outA === 0) return;
+        this.pixels[i] = (color.r * alpha + this.pixels[i] * dstA * (1 - alpha)) / outA;
+        this.pixels[i + 1] = (color.g * alpha + this.pixels[i + 1] * dstA * (1 - alpha)) / outA;
+        this.pixels[i + 2] = (color.b * alpha + this.pixels[i + 2] * dstA * (1 - alpha)) / outA;
+        this.pixels[i + 3] = outA * 255;
+    }
+
+    /**
+     * Encode the pixel buffer as a PNG file.
+     * @returns {Buffer}
+     */
+    toPNG() {
+        const rowLength = this.width * 4 + 1;
+        const raw = Buffer.alloc(rowLength * this.height);
+        for (let y = 0; y < this.height; y++) {
+            raw[y * rowLength] = 0; // filter: none
+            Buffer.from(this.pixels.buffer, y * this.width * 4, this.width * 4).copy(raw, y * rowLength + 1);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8;  // bit depth
+        header[9] = 6;  // colour type: RGBA
+        header[10] = 0; // compression
+        header[11] = 0; // filter
+        header[12] = 0; // interlace
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            RasterContext.pngChunk('IHDR', header),
+            RasterContext.pngChunk('IDAT', zlib.deflateSync(raw)),
+            RasterContext.pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    static pngChunk(type, data) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length, 0);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(RasterContext.crc32(body), 0);
+        return Buffer.concat([length, body, crc]);
+    }
+
+    static crc32(buffer) {
+        if (!RasterContext.crcTable) {
+            RasterContext.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
+        }
+        let crc = 0xffffffff;
+        for (const byte of buffer) crc = RasterContext.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static circle(center, radius) {
+        return Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+            const angle = (i / CIRCLE_SEGMENTS) * 2 * Math.PI;
+            return { x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius };
+        });
+    }
+
+    /**
+     * Split segments into the "on" pieces of a dash pattern.
+     * @param {Array<[{x:number,y:number},{x:number,y:number}]>} segments
+     * @param {number[]} dash
+     */
+    static dashSegments(segments, dash) {
+        if (!dash.length || dash.every(v => v <= 0)) return segments;
+        const pieces = [];
+        let dashIndex = 0;
+        let remaining = dash[0];
+        let on = true;
+        segments.forEach(([a, b]) => {
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            let pos = 0;
+            while (pos < len) {
+                const step = Math.min(remaining, len - pos);
+                if (on) {
+                    const t0 = pos / len, t1 = (pos + step) / len;
+                    pieces.push([
+                        { x: a.x + (b.x - a.x) * t0, y: a.y + (b.y - a.y) * t0 },
+                        { x: a.x + (b.x - a.x) * t1, y: a.y + (b.y - a.y) * t1 }
+                    ]);
+                }
+                pos += step;
+                remaining -= step;
+                if (remaining <= 0) {
+                    dashIndex = (dashIndex + 1) % dash.length;
+                    remaining = dash[dashIndex];
+                    on = !on;
+                }
+            }
+        });
+        return pieces;
+    }
+
+    /**
+     * Parse the colour formats CityRenderer uses: #rgb, #rrggbb, rgb() and rgba().
+     * @param {string} style
+     */
+    static parseColor(style) {
+        const value = String(style).trim();
+        if (value[0] === '#') {
+            const hex = value.length === 4
+                ? value.slice(1).split('').map(ch => ch + ch).join('')
+                : value.slice(1, 7);
+            return {
+                r: parseInt(hex.substr(0, 2), 16),
+                g: parseInt(hex.substr(2, 2), 16),
+                b: parseInt(hex.substr(4, 2), 16),
+                a: 1
+            };
+        }
+        const match = /^rgba?\(([^)]+)\)$/.exec(value);
+        if (match) {
+            const [r, g, b, a = 1] = match[1].split(',').map(parseFloat);
+            return { r, g, b, a };
+        }
+        return { r: 0, g: 0, b: 0, a: 1 };
+    }
+}
+
+module.exports = { RasterContext };
@@ -0,0 +1,272 @@
+/**
+ * Parcel Subdivider - Splits street blocks into lots and places a building on each
+ * A block is a convex polygon whose edges are marked as street frontage or
+ * not. It is cut recursively across its oriented bounding box until every lot
+ * is small enough, and a cut is only kept when both halves still touch a
+ * street, so deep blocks turn into strips along their streets. Each lot then
+ * gets an axis-aligned footprint inside its front, side and rear setbacks,
+ * pushed up to the front setback so buildings line the street.
+ *
+ * Blocks and lots have the shape {polygon, street}, where street[k] tells
+ * whether the edge from polygon[k] to the next corner faces a street.
+ */
+
+class ParcelSubdivider {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxLotArea=400] lots larger than this (px²) are split again
+     * @param {number} [options.minFrontage=6] street frontage each lot must keep (px)
+     * @param {{front?:number, side?:number, rear?:number}} [options.setbacks] clear space
+     *        between the footprint and the lot's street, side and back edges (px)
+     * @param {number} [options.minFootprint=4] narrowest building worth placing (px)
+     * @param {number} [options.jitter=0.2] how far cuts may wander from the middle, as a share of the lot
+     */
+    constructor(options = {}) {
+        this.maxLotArea = options.maxLotArea ?? 400;
+        this.minFrontage = options.minFrontage ?? 6;
+        this.setbacks = { front: 2, side: 1, rear: 2, ...options.setbacks };
+        this.minFootprint = options.minFootprint ?? 4;
+        this.jitter = options.jitter ?? 0.2;
+    }
+
+    // Widths and heights tried for a footprint, as width / height
+    static get ASPECTS() {
+        return [0.5, 0.75, 1, 1.5, 2];
+    }
+
+    /**
+     * Building footprints for a block, one per lot that has room for one.
+     * @param {{polygon:Array<{x:number, y:number}>, street:boolean[]}} block
+     * @param {SeededRandom} rng
+     * @returns {Array<{x:number, y:number, width:number, height:number}>}
+     */
+    footprints(block, rng) {
+        return this.subdivide(block, rng)
+            .map(lot => this.footprint(lot))
+            .filter(Boolean);
+    }
+
+    /**
+     * Split a block into lots. A block with no street edge at all is split by
+     * area alone.
+     * @param {{polygon:Array<{x:number, y:number}>, street:boolean[]}} block
+     * @param {SeededRandom} rng
+     * @returns {Array<{polygon:Array<{x:number, y:number}>, street:boolean[]}>}
+     */
+    subdivide(block, rng) {
+        const vertices = ParcelSubdivider.toVertices(block);
+        if (vertices.length < 3) return [];
+        const lots = [];
+        this.splitLot(vertices, rng, ParcelSubdivider.frontage(vertices) === 0, lots, 0);
+        return lots.map(ParcelSubdivider.fromVertices);
+    }
+
+    splitLot(vertices, rng, landlocked, lots, depth) {
+        if (Delaunay.centroid(vertices).area > this.maxLotArea && depth < 16) {
+            const box = ParcelSubdivider.orientedBox(vertices);
+            // Cut across the long axis first; if that leaves a half without
+            // frontage, cut along it instead
+            for (const axis of box.axes) {
+                const offset = (rng.random() - 0.5) * this.jitter * axis.length;
+                const m = { x: box.center.x + axis.x * offset, y: box.center.y + axis.y * offset };
+                const p = { x: m.x - axis.x, y: m.y - axis.y };
+                const q = { x: m.x + axis.x, y: m.y + axis.y };
+                const halves = [Delaunay.clipToward(vertices, p, q, false), Delaunay.clipToward(vertices, q, p, false)];
+                const valid = halves.every(half => half.length >= 3
+                    && (landlocked || ParcelSubdivider.frontage(half) >= this.minFrontage));
+                if (valid) {
+                    halves.forEach(half => this.splitLot(half, rng, landlocked, lots, depth + 1));
+                    return;
+                }
+            }
+        }
+        lots.push(vertices);
+    }
+
+    /**
+     * The largest axis-aligned footprint (over a few proportions) inside a
+     * lot's setbacks, moved up to its front setback.
+     * @param {{polygon:Array<{x:number, y:number}>, street:boolean[]}} lot
+     * @returns {{x:number, y:number, width:number, height:number}|null} null when the lot is too small
+     */
+    footprint(lot) {
+        const vertices = ParcelSubdivider.toVertices(lot);
+        const normals = ParcelSubdivider.outwardNormals(vertices);
+
+        // The longest street edge is the front; edges facing away from it are the rear
+        let front = null;
+        let frontLength = 0;
+        vertices.forEach((v, k) => {
+            if (v.edge && normals[k].length > frontLength) {
+                front = normals[k];
+                frontLength = front.length;
+            }
+        });
+        const distances = vertices.map((v, k) => {
+            if (v.edge) return this.setbacks.front;
+            if (front && normals[k].x * front.x + normals[k].y * front.y < -0.7) return this.setbacks.rear;
+            return this.setbacks.side;
+        });
+        // The buildable area is the lot with every edge moved in by its setback
+        const edges = normals
+            .map((n, k) => ({ ...n, offset: n.x * vertices[k].x + n.y * vertices[k].y - distances[k] }))
+            .filter(n => n.length);
+        const slack = (n, x, y) => n.offset - n.x * x - n.y * y;
+        // How far a rectangle's corners reach past its centre towards an edge
+        const reach = (n, width, height) => (Math.abs(n.x) * width + Math.abs(n.y) * height) / 2;
+
+        // Grow a rectangle of each proportion from the lot's centre until a
+        // corner meets a setback, and keep the largest
+        const center = Delaunay.centroid(vertices);
+        let best = null;
+        ParcelSubdivider.ASPECTS.forEach(aspect => {
+            const ratio = Math.sqrt(aspect);
+            const size = Math.min(...edges.map(n => slack(n, center.x, center.y) / reach(n, ratio, 1 / ratio)));
+            const width = size * ratio;
+            const height = size / ratio;
+            if (size > 0 && (!best || width * height > best.width * best.height)) {
+                best = { x: center.x - width / 2, y: center.y - height / 2, width, height };
+            }
+        });
+        if (!best || Math.min(best.width, best.height) < this.minFootprint) return null;
+        if (!front) return best;
+
+        // Slide it towards the street until a corner meets the front setback
+        const cx = best.x + best.width / 2;
+        const cy = best.y + best.height / 2;
+        const shift = Math.max(0, Math.min(...edges.map(n => {
+            const toward = n.x * front.x + n.y * front.y;
+            return toward > 1e-9 ? (slack(n, cx, cy) - reach(n, best.width, best.height)) / toward : Infinity;
+        })));
+        return Number.isFinite(shift) ? { ...best, x: best.x + front.x * shift, y: best.y + front.y * shift } : best;
+    }
+
+    /**
+     * Move each edge of a convex block inwards by its own distance; new edges
+     * keep the street flag of the edge they replace.
+     * @param {{polygon:Array<{x:number, y:number}>, street:boolean[]}} block
+     * @param {number[]} distances per edge (px)
+     * @returns {{polygon:Array<{x:number, y:number}>, street:boolean[]}} empty when nothing is left
+     */
+    static inset(block, distances) {
+        const vertices = ParcelSubdivider.toVertices(block);
+        const normals = ParcelSubdivider.outwardNormals(vertices);
+        let result = vertices;
+        vertices.forEach((v, k) => {
+            const distance = distances[k];
+            const n = normals[k];
+            if (!distance || !n.length || result.length < 3) return;
+            // Keep the side of the moved edge facing the inside
+            const m = { x: v.x - n.x * distance, y: v.y - n.y * distance };
+            const inside = { x: m.x - n.x, y: m.y - n.y };
+            const outside = { x: m.x + n.x, y: m.y + n.y };
+            result = Delaunay.clipToward(result, inside, outside, v.edge);
+        });
+        return ParcelSubdivider.fromVertices(result.length >= 3 ? result : []);
+    }
+
+    /**
+     * Whether a rectangle lies inside a convex polygon, at least `margin` px
+     * from every edge.
+     */
+    static fits(rect, polygon, margin = 0) {
+        // Winding sign, so "inside" is the same side of every edge
+        const winding = ParcelSubdivider.winding(polygon);
+        const corners = [
+            { x: rect.x, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y + rect.height },
+            { x: rect.x, y: rect.y + rect.height }
+        ];
+        return polygon.every((p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            const length = Math.hypot(q.x - p.x, q.y - p.y);
+            if (!length) return true;
+            return corners.every(c => winding * ((q.x - p.x) * (c.y - p.y) - (q.y - p.y) * (c.x - p.x)) / length >= margin - 1e-9);
+        });
+    }
+
+    /**
+     * Minimum-area bounding box of a convex polygon, which has a side along
+     * one of the polygon's edges.
+     * @returns {{center:{x:number, y:number}, axes:Array<{x:number, y:number, length:number}>}}
+     *          unit axes, longest first, with the box's extent along each
+     */
+    static orientedBox(polygon) {
+        let best = null;
+        polygon.forEach((p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            const length = Math.hypot(q.x - p.x, q.y - p.y);
+            if (length < 1e-9) return;
+            const u = { x: (q.x - p.x) / length, y: (q.y - p.y) / length };
+            // Extents along the edge (u) and across it (v = u turned a quarter)
+            let minU = Infinity;
+            let maxU = -Infinity;
+            let minV = Infinity;
+            let maxV = -Infinity;
+            polygon.forEach(c => {
+                const along = c.x * u.x + c.y * u.y;
+                const across = c.y * u.x - c.x * u.y;
+                minU = Math.min(minU, along);
+                maxU = Math.max(maxU, along);
+                minV = Math.min(minV, across);
+                maxV = Math.max(maxV, across);
+            });
+            const area = (maxU - minU) * (maxV - minV);
+            if (best && area >= best.area) return;
+            const midU = (minU + maxU) / 2;
+            const midV = (minV + maxV) / 2;
+            best = {
+                area,
+                center: { x: u.x * midU - u.y * midV, y: u.y * midU + u.x * midV },
+                axes: [
+                    { ...u, length: maxU - minU },
+                    { x: -u.y, y: u.x, length: maxV - minV }
+                ].sort((a, b) => b.length - a.length)
+            };
+        });
+        return best || { center: polygon[0], axes: [] };
+    }
+
+    /**
+     * Unit outward normal of every edge, with the edge's length.
+     * @returns {Array<{x:number, y:number, length:number}>}
+     */
+    static outwardNormals(polygon) {
+        const winding = ParcelSubdivider.winding(polygon);
+        return polygon.map((p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            const length = Math.hypot(q.x - p.x, q.y - p.y);
+            if (!length) return { x: 0, y: 0, length: 0 };
+            return { x: winding * (q.y - p.y) / length, y: -winding * (q.x - p.x) / length, length };
+        });
+    }
+
+    static winding(polygon) {
+        return Math.sign(polygon.reduce((sum, p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            return sum + p.x * q.y - q.x * p.y;
+        }, 0));
+    }
+
+    // Total length of the street edges of labelled vertices
+    static frontage(vertices) {
+        return vertices.reduce((sum, v, i) => {
+            if (!v.edge) return sum;
+            const next = vertices[(i + 1) % vertices.length];
+            return sum + Math.hypot(next.x - v.x, next.y - v.y);
+        }, 0);
+    }
+
+    // Corners labelled with their outgoing edge's street flag, as Delaunay.clipToward expects
+    static toVertices({ polygon, street }) {
+        return polygon.map(({ x, y }, k) => ({ x, y, edge: Boolean(street[k]) }));
+    }
+
+    static fromVertices(vertices) {
+        return { polygon: vertices.map(({ x, y }) => ({ x, y })), street: vertices.map(v => v.edge) };
+    }
+}
+
+// Export for browser global usage
+window.ParcelSubdivider = ParcelSubdivider;
@@ -0,0 +1,54 @@
+/**
+ * Polygon - Point-in-polygon and area of closed point loops
+ * A loop is an array of {x, y} points whose last point joins back to the
+ * first (a repeated closing point is harmless). Shared by the renderer's
+ * water hit-testing, pinned regions and the GeoJSON exporter.
+ */
+
+class Polygon {
+    /**
+     * Even-odd test, so a self-crossing loop (a lasso) still has a sensible
+     * inside and islands inside a coastline loop count as outside.
+     * @param {Array<{x:number, y:number}>} loop
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    static contains(loop, x, y) {
+        let inside = false;
+        for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+            const a = loop[i];
+            const b = loop[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * Whether a value is a list of at least minLength {x, y} points with
+     * finite coordinates, as configs from links and files must hold.
+     * @param {*} points
+     * @param {number} [minLength=1]
+     * @returns {boolean}
+     */
+    static isPointList(points, minLength = 1) {
+        return Array.isArray(points) && points.length >= minLength
+            && points.every(p => Number.isFinite(p?.x) && Number.isFinite(p?.y));
+    }
+
+    /**
+     * Shoelace area. With y pointing down, as on the map, it is positive
+     * for loops running clockwise on screen.
+     * @param {Array<{x:number, y:number}>} loop
+     * @returns {number} signed area (px²)
+     */
+    static signedArea(loop) {
+        return loop.reduce((sum, p, i) => {
+            const q = loop[(i + 1) % loop.length];
+            return sum + (p.x * q.y - q.x * p.y);
+        }, 0) / 2;
+    }
+}
+
+// Export for browser global usage
+window.Polygon = Polygon;
@@ -0,0 +1,95 @@
+/**
+ * City Presets - Named starting configs such as "Manhattan Grid"
+ * Presets live in data/presets.json as {presets: [{id, name, description,
+ * config}]}, where config is a partial generator config. Every preset is
+ * checked against the algorithm parameter schemas when loaded, so a typo or
+ * an out-of-range value fails loudly instead of being clamped away.
+ */
+
+class CityPresets {
+    static get URL() {
+        return './data/presets.json';
+    }
+
+    /**
+     * Fetch and validate the preset file.
+     * @param {string} [url]
+     * @returns {Promise<Array<{id:string, name:string, description:string, config:Object}>>}
+     */
+    static async load(url = CityPresets.URL) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load presets from ${url}`);
+        }
+        return CityPresets.parse(await response.json());
+    }
+
+    /**
+     * Validate a preset document.
+     * @param {Object} data parsed presets.json
+     * @returns {Array<{id:string, name:string, description:string, config:Object}>}
+     * @throws {Error} listing every problem, by preset id
+     */
+    static parse(data) {
+        if (!data || !Array.isArray(data.presets)) {
+            throw new Error('Preset file has no "presets" list');
+        }
+        const errors = [];
+        const ids = new Set();
+        data.presets.forEach((preset, index) => {
+            const label = typeof preset?.id === 'string' ? preset.id : `#${index + 1}`;
+            CityPresets.validate(preset).forEach(error => errors.push(`${label}: ${error}`));
+            if (ids.has(preset?.id)) errors.push(`${label}: duplicate id`);
+            ids.add(preset?.id);
+        });
+        if (errors.length) {
+            throw new Error(`Invalid presets:\n  ${errors.join('\n  ')}`);
+        }
+        return data.presets.map(preset => ({ description: '', ...preset }));
+    }
+
+    /**
+     * @param {Object} preset
+     * @returns {string[]} one message per problem, empty when the preset is valid
+     */
+    static validate(preset) {
+        if (!preset || typeof preset !== 'object') return ['not an object'];
+        const errors = [];
+        if (typeof preset.id !== 'string' || !/^[a-z0-9-]+$/.test(preset.id)) {
+            errors.push('id must be lowercase letters, digits and dashes');
+        }
+        if (typeof preset.name !== 'string' || !preset.name) errors.push('name is missing');
+        if (preset.description !== undefined && typeof preset.description !== 'string') {
+            errors.push('description must be text');
+        }
+        const { config } = preset;
+        if (!config || typeof config !== 'object') {
+            errors.push('config is missing');
+        } else if (!Array.isArray(config.algorithms) || !config.algorithms.length) {
+            errors.push('config needs at least one algorithm');
+        } else {
+            errors.push(...CityGenerator.validateConfig(config));
+        }
+        return errors;
+    }
+
+    /**
+     * Lay a preset over a config. The preset's settings win, topography and
+     * blend key by key; whatever it leaves out (usually size, seed,
+     * georeference, pins and edits) stays as it was.
+     * @param {Object} config
+     * @param {{config:Object}} preset
+     * @returns {Object}
+     */
+    static apply(config, preset) {
+        return {
+            ...config,
+            ...preset.config,
+            topography: { ...config.topography, ...preset.config.topography },
+            blend: { ...config.blend, ...preset.config.blend }
+        };
+    }
+}
+
+// Export for browser global usage
+window.CityPresets = CityPresets;
@@ -0,0 +1,48 @@
+/**
+ * Seeded Random - Scoped pseudo-random number generator
+ * Park-Miller minimal standard generator with named sub-streams, so every
+ * generation step draws from its own deterministic sequence.
+ */
+
+class SeededRandom {
+    constructor(seed = 12345) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    static normalizeSeed(seed) {
+        let value = Math.floor(Number(seed) || 0) % 2147483647;
+        if (value <= 0) value += 2147483646;
+        return value;
+    }
+
+    /**
+     * Next value in [0, 1).
+     * @returns {number}
+     */
+    random() {
+        this.state = this.state * 16807 % 2147483647;
+        return (this.state - 1) / 2147483646;
+    }
+
+    /**
+     * Independent sub-stream derived from this generator's seed and a name.
+     * Forking never advances the parent, so a stream's output does not depend
+     * on what other streams have drawn.
+     * @param {string} name
+     * @returns {SeededRandom}
+     */
+    fork(name) {
+        // FNV-1a hash of the name, mixed with the parent seed
+        let hash = 2166136261;
+        const key = `${this.seed}:${name}`;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 16777619) >>> 0;
+        }
+        return new SeededRandom(hash);
+    }
+}
+
+// Export for browser global usage
+window.SeededRandom = SeededRandom;
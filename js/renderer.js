@@ -10,6 +10,33 @@ class CityRenderer {
         this.scale = 1;
         this.offsetX = 0;
         this.offsetY = 0;
+        // Ground distance of one map pixel, for the scale bar
+        this.metresPerPixel = 1;
+        // 'flat' (top-down), 'oblique' or 'isometric'; the 2.5D modes extrude buildings by floors
+        this.renderMode = 'flat';
+        // Storey height in metres for extruded buildings
+        this.floorHeight = 3;
+        // Painter's order per buildings array, reused while panning
+        this.paintOrders = new WeakMap();
+        // Source for decorative detail (trees, shimmer); forked per frame so redraws match
+        this.rng = new SeededRandom();
+        // Painted blend mask shown while the user is editing it
+        this.blendMask = null;
+        // Road edges outlined over the map, e.g. disconnected fragments
+        this.roadHighlight = null;
+        // Planned route drawn above the roads: {from, to, points}
+        this.route = null;
+        // Inspector outlines, as returned by hitTest
+        this.hover = null;
+        this.selection = null;
+        // Shape being drawn or dragged by an edit tool
+        this.editPreview = null;
+        // Outlines of pinned regions (CityPins)
+        this.pinnedRegions = null;
+        // Whether to outline the city's districts (city.districts)
+        this.showDistricts = false;
+        // Spatial indexes for hit-testing, keyed by feature array
+        this.hitIndexes = new WeakMap();
         
         this.colors = {
             buildings: {
@@ -21,32 +48,160 @@ class CityRenderer {
             roads: '#888',
             parks: '#2d7a2d',
             water: '#4c9aff',
-            background: '#2a2a2a'
+            background: '#2a2a2a',
+            highlight: '#ff4d6d',
+            route: '#ffd60a',
+            hover: '#ffffff',
+            selection: '#00e5ff',
+            edit: '#ff9f1c',
+            pin: '#7bd389'
         };
     }
 
+    static get RENDER_MODES() {
+        return ['flat', 'oblique', 'isometric'];
+    }
+
+    /**
+     * Use a generation's random stream for decorative details.
+     * @param {SeededRandom} rng
+     */
+    setRandom(rng) {
+        this.rng = rng;
+    }
+
+    /**
+     * Switch between the flat top-down view and the 2.5D views, which draw
+     * buildings as prisms as tall as their floor count.
+     * @param {'flat'|'oblique'|'isometric'} mode
+     */
+    setRenderMode(mode) {
+        if (!CityRenderer.RENDER_MODES.includes(mode)) {
+            throw new Error(`Unknown render mode: ${mode}`);
+        }
+        this.renderMode = mode;
+    }
+
+    /**
+     * Overlay a painted blend mask on the map; pass null to hide it.
+     * @param {Object|null} mask mask created by CityBlender.createMask
+     */
+    setBlendMask(mask) {
+        this.blendMask = mask;
+    }
+
+    /**
+     * Outline road edges over the map; pass null to hide them.
+     * @param {Array<Object>|null} edges RoadGraph edges
+     */
+    setRoadHighlight(edges) {
+        this.roadHighlight = edges;
+    }
+
+    /**
+     * Show a route over the road layer; pass null to hide it.
+     * @param {{from:{x:number, y:number}, to:{x:number, y:number}|null,
+     *          points:Array<{x:number, y:number}>|null}|null} route
+     *        the clicked ends and, once found, the route's centre line
+     */
+    setRoute(route) {
+        this.route = route;
+    }
+
+    /**
+     * Outline the feature under the pointer; pass null to clear.
+     * @param {{layer:string, feature:Object}|null} hit from hitTest
+     */
+    setHover(hit) {
+        this.hover = hit;
+    }
+
+    /**
+     * Outline the inspected feature; pass null to clear.
+     * @param {{layer:string, feature:Object}|null} hit from hitTest
+     */
+    setSelection(hit) {
+        this.selection = hit;
+    }
+
+    /**
+     * Show the shape an edit tool is drawing; pass null to clear.
+     * @param {{rect:{x:number, y:number, width:number, height:number}}|
+     *         {points:Array<{x:number, y:number}>, width:number}|null} preview
+     *        a footprint, or a stroke such as a road or eraser path
+     */
+    setEditPreview(preview) {
+        this.editPreview = preview;
+    }
+
+    /**
+     * Outline the district polygons a city carries, coloured by district type.
+     * @param {boolean} enabled
+     */
+    setDistrictOutlines(enabled) {
+        this.showDistricts = enabled;
+    }
+
+    /**
+     * Outline pinned regions; pass null to hide them.
+     * @param {Array<Array<{x:number, y:number}>>|null} regions polygons
+     */
+    setPinnedRegions(regions) {
+        this.pinnedRegions = regions;
+    }
+
     render(city) {
         if (!city) return;
+        const rng = this.rng.fork('details');
         
         this.clearCanvas();
-        this.drawBackground();
+        this.drawLayer('background', () => this.drawBackground());
         
         // Apply pan & zoom transform (scale first, then translate). Translation
         // offsets are in screen pixels, unaffected by zoom level.
         this.ctx.save();
         this.ctx.scale(this.scale, this.scale);
         this.ctx.translate(this.offsetX, this.offsetY);
+        const ground = this.groundMatrix();
+        if (ground) this.ctx.transform(...ground);
 
         // Render in layers for proper z-ordering
-        this.drawWater(city.water || []);
-        this.drawParks(city.parks || []);
-        this.drawRoads(city.roads || []);
-        this.drawBuildings(city.buildings || []);
-        this.drawGrid();
+        this.drawLayer('water', () => this.drawWater(city.water || [], rng));
+        this.drawLayer('parks', () => this.drawParks(city.parks || [], rng));
+        this.drawLayer('roads', () => this.drawRoads(RoadGraph.from(city.roads)));
+        if (this.showDistricts && city.districts?.length) this.drawLayer('districts', () => this.drawDistricts(city.districts));
+        if (this.route) this.drawLayer('route', () => this.drawRoute(this.route));
+        this.drawLayer('buildings', () => this.drawBuildings(city.buildings || []));
+        if (this.roadHighlight) this.drawLayer('road-highlight', () => this.drawRoadHighlight(this.roadHighlight));
+        if (this.hover || this.selection) {
+            this.drawLayer('inspector', () => {
+                if (this.hover && this.hover.feature !== this.selection?.feature) {
+                    this.drawOutline(this.hover, this.colors.hover);
+                }
+                if (this.selection) this.drawOutline(this.selection, this.colors.selection);
+            });
+        }
+        if (this.pinnedRegions) this.drawLayer('pins', () => this.drawPinnedRegions(this.pinnedRegions));
+        if (this.editPreview) this.drawLayer('edit-preview', () => this.drawEditPreview(this.editPreview));
+        if (this.blendMask) this.drawLayer('blend-mask', () => this.drawBlendMask(this.blendMask));
+        this.drawLayer('grid', () => this.drawGrid());
 
         this.ctx.restore();
 
-        this.drawScaleBar();
+        // Isometric foreshortening differs per axis, so no single bar length is right
+        if (!ground) this.drawLayer('scale-bar', () => this.drawScaleBar());
+    }
+
+    /**
+     * Draw one layer. Contexts that support groups (SvgContext) wrap it in a
+     * named group; a canvas context just draws.
+     * @param {string} name
+     * @param {function(): void} draw
+     */
+    drawLayer(name, draw) {
+        if (this.ctx.beginGroup) this.ctx.beginGroup(name);
+        draw();
+        if (this.ctx.endGroup) this.ctx.endGroup();
     }
 
     clearCanvas() {
@@ -59,9 +214,185 @@ class CityRenderer {
     }
 
     drawBuildings(buildings) {
-        buildings.forEach(building => {
-            this.drawBuilding(building);
+        if (this.renderMode === 'flat') {
+            buildings.forEach(building => {
+                this.drawBuilding(building);
+            });
+            return;
+        }
+
+        const lift = this.extrusionVector();
+        this.getPaintOrder(buildings, lift).forEach(building => {
+            this.drawPrism(building, lift);
+        });
+    }
+
+    /**
+     * Ground-space displacement of a point raised by one pixel of height.
+     * Isometric raises straight up the screen once the ground matrix is
+     * applied; oblique leans roofs up and slightly right over a flat map.
+     * @returns {{x:number, y:number}}
+     */
+    extrusionVector() {
+        return this.renderMode === 'isometric' ? { x: -1, y: -1 } : { x: 0.3, y: -0.8 };
+    }
+
+    /**
+     * Extruded height of a building in map pixels.
+     */
+    buildingHeight(building) {
+        return Math.max(1, building.floors || 1) * this.floorHeight / this.metresPerPixel;
+    }
+
+    /**
+     * Affine matrix from map to view space for the isometric mode, fitted and
+     * centred in the canvas; null for views that keep the map top-down.
+     * @returns {number[]|null} [a, b, c, d, e, f] as for ctx.transform
+     */
+    groundMatrix() {
+        if (this.renderMode !== 'isometric') return null;
+        const { width, height } = this.canvas;
+        const cos = Math.cos(Math.PI / 6);
+        const sin = 0.5;
+        const fit = Math.min(width / (cos * (width + height)), height / (sin * (width + height)));
+        return [
+            cos * fit, sin * fit,
+            -cos * fit, sin * fit,
+            cos * fit * height + (width - cos * fit * (width + height)) / 2,
+            (height - sin * fit * (width + height)) / 2
+        ];
+    }
+
+    /**
+     * Back-to-front draw order for extruded buildings. Only buildings whose
+     * extrusions can overlap on screen are compared: one is behind another
+     * when their footprints are separated along an axis facing the viewer.
+     * Those constraints are topologically sorted, visiting buildings from
+     * far to near so unconstrained ones keep a depth order.
+     * @param {Array<Object>} buildings
+     * @param {{x:number, y:number}} lift see extrusionVector
+     * @returns {Array<Object>}
+     */
+    getPaintOrder(buildings, lift) {
+        const cacheKey = `${this.renderMode}:${this.floorHeight / this.metresPerPixel}`;
+        const cached = this.paintOrders.get(buildings);
+        if (cached && cached.key === cacheKey) return cached.order;
+
+        // The viewer looks against the extrusion direction
+        const view = { x: -lift.x, y: -lift.y };
+        const depth = b => (b.x + b.width / 2) * view.x + (b.y + b.height / 2) * view.y;
+        const isBehind = (a, b) =>
+            (view.x > 0 && a.x + a.width <= b.x) || (view.x < 0 && a.x >= b.x + b.width) ||
+            (view.y > 0 && a.y + a.height <= b.y) || (view.y < 0 && a.y >= b.y + b.height);
+
+        // Footprint swept along the extrusion: everything the prism can cover
+        const swept = buildings.map((building, index) => {
+            const h = this.buildingHeight(building);
+            const dx = lift.x * h;
+            const dy = lift.y * h;
+            return {
+                x: building.x + Math.min(0, dx),
+                y: building.y + Math.min(0, dy),
+                width: building.width + Math.abs(dx),
+                height: building.height + Math.abs(dy),
+                index
+            };
+        });
+        const index = SpatialGrid.from(swept, 32);
+        const drawnBefore = buildings.map(() => []);
+        swept.forEach(rect => {
+            const a = buildings[rect.index];
+            index.query(rect).forEach(other => {
+                if (other.index <= rect.index) return;
+                const b = buildings[other.index];
+                if (isBehind(a, b)) {
+                    drawnBefore[other.index].push(rect.index);
+                } else if (isBehind(b, a)) {
+                    drawnBefore[rect.index].push(other.index);
+                } else if (depth(a) <= depth(b)) {
+                    // Overlapping footprints: fall back to depth
+                    drawnBefore[other.index].push(rect.index);
+                } else {
+                    drawnBefore[rect.index].push(other.index);
+                }
+            });
+        });
+
+        // Iterative depth-first topological sort; cycles (only possible for
+        // overlapping footprints) are broken where they are found
+        const byDepth = buildings.map((building, i) => i).sort((i, j) => depth(buildings[i]) - depth(buildings[j]));
+        const state = new Uint8Array(buildings.length);
+        const order = [];
+        byDepth.forEach(start => {
+            if (state[start]) return;
+            state[start] = 1;
+            const stack = [[start, 0]];
+            while (stack.length) {
+                const top = stack[stack.length - 1];
+                const predecessors = drawnBefore[top[0]];
+                if (top[1] < predecessors.length) {
+                    const next = predecessors[top[1]++];
+                    if (!state[next]) {
+                        state[next] = 1;
+                        stack.push([next, 0]);
+                    }
+                } else {
+                    state[top[0]] = 2;
+                    order.push(buildings[top[0]]);
+                    stack.pop();
+                }
+            }
+        });
+
+        this.paintOrders.set(buildings, { key: cacheKey, order });
+        return order;
+    }
+
+    /**
+     * Draw a building as a prism: the walls facing the viewer, shaded by
+     * orientation, then a lighter roof. Both shades derive from the type colour.
+     * @param {Object} building
+     * @param {{x:number, y:number}} lift see extrusionVector
+     */
+    drawPrism(building, lift) {
+        const { x, y, width, height, type, opacity } = building;
+        const color = this.colors.buildings[type] || this.colors.buildings.residential;
+        const h = this.buildingHeight(building);
+        const dx = lift.x * h;
+        const dy = lift.y * h;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = opacity || 1;
+        this.ctx.strokeStyle = this.darkenColor(color, 0.5);
+        this.ctx.lineWidth = 0.5;
+
+        // Walls as [start, end, outward normal]; a wall faces the viewer when
+        // its normal points against the extrusion
+        const walls = [
+            [[x, y + height], [x + width, y + height], [0, 1]],
+            [[x + width, y], [x, y], [0, -1]],
+            [[x + width, y + height], [x + width, y], [1, 0]],
+            [[x, y], [x, y + height], [-1, 0]]
+        ];
+        walls.forEach(([[x0, y0], [x1, y1], [nx, ny]]) => {
+            if (nx * lift.x + ny * lift.y >= 0) return;
+            // Walls facing along y catch more light than those facing along x
+            this.ctx.fillStyle = this.darkenColor(color, ny !== 0 ? 0.25 : 0.45);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x0, y0);
+            this.ctx.lineTo(x1, y1);
+            this.ctx.lineTo(x1 + dx, y1 + dy);
+            this.ctx.lineTo(x0 + dx, y0 + dy);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
         });
+
+        this.ctx.fillStyle = this.lightenColor(color, 0.15);
+        this.ctx.fillRect(x + dx, y + dy, width, height);
+        this.ctx.strokeRect(x + dx, y + dy, width, height);
+
+        this.ctx.restore();
     }
 
     drawBuilding(building) {
@@ -145,82 +476,67 @@ class CityRenderer {
     }
 
     drawRoads(roads) {
-        this.ctx.strokeStyle = this.colors.roads;
-        this.ctx.lineWidth = 4;
-        this.ctx.lineCap = 'round';
-        
-        roads.forEach(road => {
-            this.drawRoad(road);
+        // Minor roads first, so arterials run over the junctions they cross
+        const order = RoadGraph.CLASSES.slice().reverse();
+        const edges = roads.edges.slice().sort((p, q) => order.indexOf(p.class) - order.indexOf(q.class));
+
+        edges.forEach(edge => {
+            this.drawRoad(edge);
         });
         
         // Draw road markings
         this.ctx.strokeStyle = '#FFFFFF';
         this.ctx.lineWidth = 1;
+        this.ctx.lineCap = 'butt';
         this.ctx.setLineDash([5, 5]);
         
-        roads.forEach(road => {
-            this.drawRoadMarkings(road);
+        this.drawLayer('road-markings', () => {
+            edges.forEach(edge => {
+                this.drawRoadMarkings(edge);
+            });
         });
         
         this.ctx.setLineDash([]);
     }
 
-    drawRoad(road) {
-        const { x, y, width, height, opacity, direction } = road;
-        
+    // Trace an edge's centre line as the current path
+    traceRoad(edge) {
+        this.ctx.beginPath();
+        edge.points.forEach((point, i) => {
+            if (i === 0) this.ctx.moveTo(point.x, point.y);
+            else this.ctx.lineTo(point.x, point.y);
+        });
+    }
+
+    drawRoad(edge) {
         this.ctx.save();
-        this.ctx.globalAlpha = opacity || 1;
+        this.ctx.globalAlpha = edge.opacity || 1;
         
-        const lineWidth = direction === 'horizontal' ? height : width;
         this.ctx.strokeStyle = this.colors.roads;
-        this.ctx.lineWidth = lineWidth;
+        this.ctx.lineWidth = edge.width;
         this.ctx.lineCap = 'round';
-
-        if (direction === 'horizontal') {
-            const centerY = y + height / 2;
-            this.ctx.beginPath();
-            this.ctx.moveTo(x, centerY);
-            this.ctx.lineTo(x + width, centerY);
-            this.ctx.stroke();
-        } else if (direction === 'vertical') {
-            const centerX = x + width / 2;
-            this.ctx.beginPath();
-            this.ctx.moveTo(centerX, y);
-            this.ctx.lineTo(centerX, y + height);
-            this.ctx.stroke();
-        } else {
-            // Fallback rectangle
-            this.ctx.fillStyle = this.colors.roads;
-            this.ctx.fillRect(x, y, width, height);
-        }
+        this.ctx.lineJoin = 'round';
+        this.traceRoad(edge);
+        this.ctx.stroke();
         
         this.ctx.restore();
     }
 
-    drawRoadMarkings(road) {
-        const { x, y, width, height, direction } = road;
-        
+    drawRoadMarkings(edge) {
         // Only draw markings for roads wider than 8px
-        if (direction === 'horizontal' && height > 8) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(x, y + height / 2);
-            this.ctx.lineTo(x + width, y + height / 2);
-            this.ctx.stroke();
-        } else if (direction === 'vertical' && width > 8) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(x + width / 2, y);
-            this.ctx.lineTo(x + width / 2, y + height);
+        if (edge.width > 8) {
+            this.traceRoad(edge);
             this.ctx.stroke();
         }
     }
 
-    drawParks(parks) {
+    drawParks(parks, rng) {
         parks.forEach(park => {
-            this.drawPark(park);
+            this.drawPark(park, rng);
         });
     }
 
-    drawPark(park) {
+    drawPark(park, rng) {
         const { x, y, width, height, opacity } = park;
         
         this.ctx.save();
@@ -231,19 +547,19 @@ class CityRenderer {
         this.ctx.fillRect(x, y, width, height);
         
         // Add park details (trees, paths)
-        this.drawParkDetails(x, y, width, height);
+        this.drawParkDetails(x, y, width, height, rng);
         
         this.ctx.restore();
     }
 
-    drawParkDetails(x, y, width, height) {
+    drawParkDetails(x, y, width, height, rng) {
         // Draw trees
         const treeCount = Math.floor((width * height) / 200);
         this.ctx.fillStyle = '#006400';
         
         for (let i = 0; i < treeCount; i++) {
-            const treeX = x + Math.random() * (width - 4) + 2;
-            const treeY = y + Math.random() * (height - 4) + 2;
+            const treeX = x + rng.random() * (width - 4) + 2;
+            const treeY = y + rng.random() * (height - 4) + 2;
             
             // Tree canopy
             this.ctx.beginPath();
@@ -267,7 +583,7 @@ class CityRenderer {
         }
     }
 
-    drawWater(waterFeatures) {
+    drawWater(waterFeatures, rng) {
         if (waterFeatures.length > 0 && Array.isArray(waterFeatures[0])) {
             // Polygonal coastlines
             this.ctx.save();
@@ -283,12 +599,12 @@ class CityRenderer {
             this.ctx.restore();
         } else {
             waterFeatures.forEach(water => {
-                this.drawWaterFeature(water);
+                this.drawWaterFeature(water, rng);
             });
         }
     }
 
-    drawWaterFeature(water) {
+    drawWaterFeature(water, rng) {
         const { x, y, width, height, opacity } = water;
         
         this.ctx.save();
@@ -301,14 +617,164 @@ class CityRenderer {
         // Water shimmer effect
         this.ctx.fillStyle = this.lightenColor(this.colors.water, 0.2);
         for (let i = 0; i < 5; i++) {
-            const shimmerX = x + Math.random() * width;
-            const shimmerY = y + Math.random() * height;
+            const shimmerX = x + rng.random() * width;
+            const shimmerY = y + rng.random() * height;
             this.ctx.fillRect(shimmerX, shimmerY, 2, 1);
         }
         
         this.ctx.restore();
     }
 
+    drawRoadHighlight(edges) {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.highlight;
+        this.ctx.globalAlpha = 0.85;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        edges.forEach(edge => {
+            // Stay visible on thin roads and when zoomed out
+            this.ctx.lineWidth = Math.max(edge.width, 3 / this.scale);
+            this.traceRoad(edge);
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    drawRoute(route) {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.route;
+        this.ctx.fillStyle = this.colors.route;
+        this.ctx.lineWidth = 4 / this.scale;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        if (route.points) {
+            this.traceRoad({ points: route.points });
+            this.ctx.stroke();
+        }
+        // End markers keep the same screen size at any zoom
+        [route.from, route.to].filter(Boolean).forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 6 / this.scale, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Outline a hit-tested feature: footprints (or the whole prism in 2.5D),
+     * road centre lines at their full width, and water loops.
+     * @param {{layer:string, feature:Object}} hit
+     * @param {string} color
+     */
+    drawOutline({ layer, feature }, color) {
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2 / this.scale;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+
+        if (layer === 'roads') {
+            this.ctx.globalAlpha = 0.6;
+            this.ctx.lineWidth = Math.max(feature.width, 4 / this.scale);
+            this.traceRoad(feature);
+            this.ctx.stroke();
+        } else if (Array.isArray(feature)) {
+            this.traceRoad({ points: [...feature, feature[0]] });
+            this.ctx.stroke();
+        } else {
+            const { x, y, width, height } = feature;
+            this.ctx.strokeRect(x, y, width, height);
+            if (layer === 'buildings' && this.renderMode !== 'flat') {
+                // Roof and vertical edges of the prism
+                const lift = this.extrusionVector();
+                const h = this.buildingHeight(feature);
+                const dx = lift.x * h;
+                const dy = lift.y * h;
+                this.ctx.strokeRect(x + dx, y + dy, width, height);
+                this.ctx.beginPath();
+                [[x, y], [x + width, y], [x + width, y + height], [x, y + height]].forEach(([cx, cy]) => {
+                    this.ctx.moveTo(cx, cy);
+                    this.ctx.lineTo(cx + dx, cy + dy);
+                });
+                this.ctx.stroke();
+            }
+        }
+        this.ctx.restore();
+    }
+
+    drawDistricts(districts) {
+        this.ctx.save();
+        this.ctx.lineWidth = 2 / this.scale;
+        this.ctx.lineJoin = 'round';
+        districts.forEach(({ type, polygon }) => {
+            this.ctx.strokeStyle = this.colors.buildings[type] || this.colors.buildings.mixed;
+            this.traceRoad({ points: [...polygon, polygon[0]] });
+            this.ctx.globalAlpha = 0.12;
+            this.ctx.fillStyle = this.ctx.strokeStyle;
+            this.ctx.fill();
+            this.ctx.globalAlpha = 0.9;
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    drawPinnedRegions(regions) {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.pin;
+        this.ctx.fillStyle = this.colors.pin;
+        this.ctx.lineWidth = 2 / this.scale;
+        this.ctx.lineJoin = 'round';
+        regions.forEach(region => {
+            this.traceRoad({ points: [...region, region[0]] });
+            this.ctx.globalAlpha = 0.1;
+            this.ctx.fill();
+            this.ctx.globalAlpha = 0.9;
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    drawEditPreview({ rect, points, width }) {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.edit;
+        this.ctx.fillStyle = this.colors.edit;
+        if (rect) {
+            this.ctx.globalAlpha = 0.3;
+            this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+            this.ctx.globalAlpha = 1;
+            this.ctx.lineWidth = 2 / this.scale;
+            this.ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        } else if (points.length === 1) {
+            // Zero-length strokes are not drawn, so a single dab is a disc
+            this.ctx.globalAlpha = 0.5;
+            this.ctx.beginPath();
+            this.ctx.arc(points[0].x, points[0].y, Math.max(width, 2 / this.scale) / 2, 0, 2 * Math.PI);
+            this.ctx.fill();
+        } else {
+            this.ctx.globalAlpha = 0.5;
+            this.ctx.lineWidth = Math.max(width, 2 / this.scale);
+            this.ctx.lineCap = 'round';
+            this.ctx.lineJoin = 'round';
+            this.traceRoad({ points });
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    drawBlendMask(mask) {
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.35;
+        for (let row = 0; row < mask.rows; row++) {
+            for (let col = 0; col < mask.cols; col++) {
+                const key = CityBlender.maskValueAt(mask, (col + 0.5) * mask.cellSize, (row + 0.5) * mask.cellSize);
+                if (!key) continue;
+                this.ctx.fillStyle = AlgorithmRegistry.color(key);
+                this.ctx.fillRect(col * mask.cellSize, row * mask.cellSize, mask.cellSize, mask.cellSize);
+            }
+        }
+        this.ctx.restore();
+    }
+
     drawGrid() {
         // Optional grid overlay for debugging
         const gridSize = 20;
@@ -353,7 +819,7 @@ class CityRenderer {
     drawScaleBar() {
         // Choose "nice" bar length 10-1000 m that falls between 80-150 px
         const candidateMetres = [10, 20, 50, 100, 200, 500, 1000];
-        const metresPerPixel = 1 / this.scale; // 1 px ≈ 1 m at scale 1
+        const metresPerPixel = this.metresPerPixel / this.scale;
         let barMetres = 100;
         for (const m of candidateMetres) {
             const px = m / metresPerPixel;
@@ -407,6 +873,131 @@ class CityRenderer {
         this.offsetY = offsetY;
     }
 
+    /**
+     * Inverse of the render transform: canvas pixel to map coordinates.
+     * @returns {{x:number, y:number}}
+     */
+    screenToWorld(screenX, screenY) {
+        const x = screenX / this.scale - this.offsetX;
+        const y = screenY / this.scale - this.offsetY;
+        const ground = this.groundMatrix();
+        if (!ground) return { x, y };
+
+        // Undo the isometric projection back onto the ground plane
+        const [a, b, c, d, e, f] = ground;
+        const det = a * d - b * c;
+        return {
+            x: (d * (x - e) - c * (y - f)) / det,
+            y: (a * (y - f) - b * (x - e)) / det
+        };
+    }
+
+    /**
+     * Topmost feature under a canvas pixel, in draw order: buildings over
+     * roads over parks over water. In the 2.5D modes buildings are hit
+     * anywhere on their extruded prism.
+     * @param {Object} city
+     * @param {number} screenX canvas pixel x
+     * @param {number} screenY canvas pixel y
+     * @returns {{layer:string, feature:Object}|null} roads hit as RoadGraph edges, water as
+     *          a coastline loop or water cell
+     */
+    hitTest(city, screenX, screenY) {
+        if (!city) return null;
+        const { x, y } = this.screenToWorld(screenX, screenY);
+        for (const layer of ['buildings', 'roads', 'parks', 'water']) {
+            let hit;
+            if (layer === 'roads') hit = this.hitTestRoads(city.roads, x, y);
+            else if (layer === 'water') hit = this.hitTestWater(city.water || [], x, y);
+            else if (layer === 'buildings' && this.renderMode !== 'flat') hit = this.hitTestPrisms(city.buildings || [], x, y);
+            else hit = this.hitTestRects(city[layer] || [], x, y);
+            if (hit) return { layer, feature: hit };
+        }
+        return null;
+    }
+
+    // Walk the painter's order backwards so the nearest prism wins
+    hitTestPrisms(buildings, x, y) {
+        const lift = this.extrusionVector();
+        const order = this.getPaintOrder(buildings, lift);
+        for (let i = order.length - 1; i >= 0; i--) {
+            if (this.prismContains(order[i], lift, x, y)) return order[i];
+        }
+        return null;
+    }
+
+    /**
+     * Whether a ground point lies on a building's footprint swept up to its
+     * roof, i.e. some height s in [0, h] has (x, y) - lift * s on the footprint.
+     */
+    prismContains(building, lift, x, y) {
+        let low = 0;
+        let high = this.buildingHeight(building);
+        const clamp = (p, start, size, step) => {
+            if (step === 0) return p >= start && p <= start + size;
+            const a = (p - start - size) / step;
+            const b = (p - start) / step;
+            low = Math.max(low, Math.min(a, b));
+            high = Math.min(high, Math.max(a, b));
+            return true;
+        };
+        return clamp(x, building.x, building.width, lift.x) &&
+            clamp(y, building.y, building.height, lift.y) &&
+            low <= high;
+    }
+
+    hitTestRects(features, x, y) {
+        if (!this.hitIndexes.has(features)) {
+            this.hitIndexes.set(features, SpatialGrid.from(features, 32));
+        }
+        const hits = this.hitIndexes.get(features).queryPoint(x, y);
+        // Later features are drawn on top
+        return hits.length ? hits[hits.length - 1] : null;
+    }
+
+    // Road edges are indexed by their bounds, then tested against the stroked centre line
+    hitTestRoads(roads, x, y) {
+        if (!roads) return null;
+        if (!this.hitIndexes.has(roads)) {
+            const bounds = RoadGraph.from(roads).edges.map(edge => ({ ...RoadGraph.edgeBounds(edge), edge }));
+            this.hitIndexes.set(roads, SpatialGrid.from(bounds, 32));
+        }
+        // Thin roads stay easy to point at when zoomed out
+        const tolerance = 3 / this.scale;
+        const hits = this.hitIndexes.get(roads).queryPoint(x, y)
+            .filter(({ edge }) => RoadGraph.distanceToEdge(edge, x, y) <= Math.max(edge.width / 2, tolerance))
+            .map(({ edge }) => edge);
+        if (!hits.length) return null;
+        // Arterials are drawn over minor roads
+        const order = RoadGraph.CLASSES;
+        return hits.reduce((top, edge) => order.indexOf(edge.class) <= order.indexOf(top.class) ? edge : top);
+    }
+
+    /**
+     * Water is either coastline loops or square water cells. A point is wet
+     * when it lies inside an odd number of loops (islands are loops in loops);
+     * the innermost loop around it is the water body.
+     */
+    hitTestWater(water, x, y) {
+        if (!this.hitIndexes.has(water)) {
+            this.hitIndexes.set(water, SpatialGrid.from(water.map(item => {
+                if (!Array.isArray(item)) return { ...item, item };
+                const xs = item.map(p => p.x);
+                const ys = item.map(p => p.y);
+                const minX = Math.min(...xs);
+                const minY = Math.min(...ys);
+                return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY, item };
+            }), 32));
+        }
+        const hits = this.hitIndexes.get(water).queryPoint(x, y)
+            .map(({ item }) => item)
+            .filter(item => !Array.isArray(item) || Polygon.contains(item, x, y));
+        const loops = hits.filter(Array.isArray);
+        if (loops.length % 2 === 0) return hits.find(item => !Array.isArray(item)) || null;
+        return loops.reduce((inner, loop) =>
+            Math.abs(Polygon.signedArea(loop)) < Math.abs(Polygon.signedArea(inner)) ? loop : inner);
+    }
+
     transformX(x) {
         return (x + this.offsetX) * this.scale;
     }
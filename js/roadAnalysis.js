@@ -0,0 +1,194 @@
+/**
+ * Road Network Analyzer - Metrics over a blended road graph
+ * Measures connectivity (components, dead ends), intersection density, the
+ * blocks enclosed by streets and how many buildings sit close to a road, so
+ * different algorithm blends can be compared by numbers rather than by eye.
+ */
+
+class RoadNetworkAnalyzer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.accessDistance=50] furthest a building may be from a road to count as served (m)
+     * @param {number} [options.minBlockArea=1] faces smaller than this (px²) are slivers, not blocks
+     * @param {number} [options.cellSize=32] spatial index bucket size (px)
+     */
+    constructor(options = {}) {
+        this.accessDistance = options.accessDistance ?? 50;
+        this.minBlockArea = options.minBlockArea ?? 1;
+        this.cellSize = options.cellSize ?? 32;
+    }
+
+    /**
+     * @param {{buildings:Array, roads:RoadGraph}} city
+     * @param {{width:number, height:number, metresPerPixel?:number}} bounds map size (px) and scale
+     * @returns {{components:number, largestComponentShare:number, deadEnds:number, intersections:number,
+     *            intersectionDensity:number, blocks:number, averageBlockArea:number,
+     *            buildingAccess:number|null, fragmentEdges:Array<Object>}}
+     *          lengths and areas in metres; density per km²; shares from 0 to 1
+     */
+    analyze(city, bounds) {
+        const graph = RoadGraph.from(city.roads);
+        const metresPerPixel = bounds.metresPerPixel ?? 1;
+        const degrees = graph.adjacency().map(edges => edges.length);
+        const { components, largest, totalLength, componentOf } = this.findComponents(graph);
+        const intersections = degrees.filter(degree => degree >= 3).length;
+        const areaKm2 = bounds.width * bounds.height * metresPerPixel * metresPerPixel / 1e6;
+        const blockAreas = this.findBlocks(graph).map(area => area * metresPerPixel * metresPerPixel);
+
+        return {
+            components: components.length,
+            largestComponentShare: totalLength ? largest.length / totalLength : 0,
+            deadEnds: degrees.filter(degree => degree === 1).length,
+            intersections,
+            intersectionDensity: areaKm2 ? intersections / areaKm2 : 0,
+            blocks: blockAreas.length,
+            averageBlockArea: blockAreas.length
+                ? blockAreas.reduce((sum, area) => sum + area, 0) / blockAreas.length
+                : 0,
+            buildingAccess: this.measureAccess(city.buildings || [], graph, this.accessDistance / metresPerPixel),
+            // Everything outside the largest component
+            fragmentEdges: graph.edges.filter(edge => componentOf[edge.from] !== largest.id)
+        };
+    }
+
+    /**
+     * Connected components by union-find over the nodes, sized by the total
+     * length of their edges.
+     * @returns {{components:Array<{id:number, length:number}>, largest:{id:number, length:number}|null,
+     *            totalLength:number, componentOf:Int32Array}}
+     */
+    findComponents(graph) {
+        const parent = new Int32Array(graph.nodes.length).map((_, i) => i);
+        const find = node => {
+            while (parent[node] !== node) {
+                parent[node] = parent[parent[node]];
+                node = parent[node];
+            }
+            return node;
+        };
+        graph.edges.forEach(edge => {
+            parent[find(edge.from)] = find(edge.to);
+        });
+
+        const componentOf = new Int32Array(graph.nodes.length).map((_, i) => find(i));
+        const lengths = new Map();
+        let totalLength = 0;
+        graph.edges.forEach(edge => {
+            const length = RoadGraph.edgeLength(edge);
+            const id = componentOf[edge.from];
+            lengths.set(id, (lengths.get(id) || 0) + length);
+            totalLength += length;
+        });
+
+        const components = [...lengths].map(([id, length]) => ({ id, length }));
+        const largest = components.reduce((best, c) => (!best || c.length > best.length ? c : best), null);
+        return { components, largest: largest || { id: -1, length: 0 }, totalLength, componentOf };
+    }
+
+    /**
+     * Areas (px²) of the blocks enclosed by the network: the bounded faces of
+     * the planar graph, traced by always taking the sharpest turn at each node.
+     * The streets must not cross without a node (RoadGraph.splitCrossings).
+     * @returns {number[]}
+     */
+    findBlocks(graph) {
+        // Half-edge 2e runs along edge e, 2e+1 runs back
+        const outgoing = graph.nodes.map(() => []);
+        graph.edges.forEach((edge, e) => {
+            const p = edge.points;
+            const n = p.length;
+            outgoing[edge.from].push({ half: 2 * e, angle: Math.atan2(p[1].y - p[0].y, p[1].x - p[0].x) });
+            outgoing[edge.to].push({ half: 2 * e + 1, angle: Math.atan2(p[n - 2].y - p[n - 1].y, p[n - 2].x - p[n - 1].x) });
+        });
+
+        const slot = new Int32Array(graph.edges.length * 2);
+        outgoing.forEach(list => {
+            list.sort((a, b) => a.angle - b.angle);
+            list.forEach((item, i) => { slot[item.half] = i; });
+        });
+
+        const points = half => {
+            const edge = graph.edges[half >> 1];
+            return half & 1 ? [...edge.points].reverse() : edge.points;
+        };
+        const head = half => (half & 1 ? graph.edges[half >> 1].from : graph.edges[half >> 1].to);
+        // Leave the node by the half-edge just before the reverse of the one we arrived on
+        const next = half => {
+            const list = outgoing[head(half)];
+            return list[(slot[half ^ 1] - 1 + list.length) % list.length].half;
+        };
+
+        const visited = new Uint8Array(graph.edges.length * 2);
+        const areas = [];
+        for (let start = 0; start < visited.length; start++) {
+            if (visited[start]) continue;
+            // Shoelace sum; bounded faces come out positive with y pointing down
+            let twiceArea = 0;
+            let half = start;
+            do {
+                visited[half] = 1;
+                const line = points(half);
+                for (let i = 1; i < line.length; i++) {
+                    twiceArea += line[i - 1].x * line[i].y - line[i].x * line[i - 1].y;
+                }
+                half = next(half);
+            } while (half !== start);
+            if (twiceArea / 2 >= this.minBlockArea) areas.push(twiceArea / 2);
+        }
+        return areas;
+    }
+
+    /**
+     * Share of buildings whose footprint comes within `reach` px of a road's edge.
+     * @returns {number|null} null when there are no buildings
+     */
+    measureAccess(buildings, graph, reach) {
+        if (!buildings.length) return null;
+        const index = SpatialGrid.from(graph.edges.map(edge => {
+            const bounds = RoadGraph.edgeBounds(edge);
+            return {
+                x: bounds.x - reach,
+                y: bounds.y - reach,
+                width: bounds.width + reach * 2,
+                height: bounds.height + reach * 2,
+                edge
+            };
+        }), this.cellSize);
+
+        const served = buildings.filter(building => index.query(building).some(({ edge }) =>
+            RoadNetworkAnalyzer.rectToEdgeDistance(building, edge) - edge.width / 2 <= reach));
+        return served.length / buildings.length;
+    }
+
+    /**
+     * @returns {number} distance (px) from a rectangle to an edge's centre line; 0 when they touch
+     */
+    static rectToEdgeDistance(rect, edge) {
+        const corners = [
+            { x: rect.x, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y + rect.height },
+            { x: rect.x, y: rect.y + rect.height }
+        ];
+        const toRect = p => Math.hypot(
+            Math.max(rect.x - p.x, 0, p.x - rect.x - rect.width),
+            Math.max(rect.y - p.y, 0, p.y - rect.y - rect.height)
+        );
+
+        let best = Infinity;
+        for (let i = 1; i < edge.points.length; i++) {
+            const a = edge.points[i - 1];
+            const b = edge.points[i];
+            // A segment passing through the rect touches one of its sides
+            const crosses = corners.some((c, j) => RoadGraph.intersect(a, b, c, corners[(j + 1) % 4]));
+            if (crosses || toRect(a) === 0) return 0;
+            const segment = { points: [a, b] };
+            best = Math.min(best, toRect(a), toRect(b),
+                ...corners.map(c => RoadGraph.distanceToEdge(segment, c.x, c.y)));
+        }
+        return best;
+    }
+}
+
+// Export for browser global usage
+window.RoadNetworkAnalyzer = RoadNetworkAnalyzer;
@@ -0,0 +1,522 @@
+/**
+ * Road Graph - Street network as nodes joined by polyline edges
+ * Every edge runs between two nodes and carries its centre line as a list of
+ * points, a width (px) and a class: arterial, collector or local. Edges that
+ * meet share a node, so the network can be drawn with proper joins, clipped
+ * against water or blend regions, and walked as a graph.
+ */
+
+class RoadGraph {
+    constructor() {
+        this.nodes = [];
+        this.edges = [];
+        // Node index by rounded position, so touching edges share a node
+        this.nodeLookup = new Map();
+    }
+
+    static get CLASSES() {
+        return ['arterial', 'collector', 'local'];
+    }
+
+    /**
+     * Wrap road data in a graph: graphs pass through, serialized graphs
+     * ({nodes, edges}) are rebuilt and legacy rectangle lists become centre lines.
+     * @param {RoadGraph|{nodes:Array, edges:Array}|Array<Object>|null} roads
+     * @returns {RoadGraph}
+     */
+    static from(roads) {
+        if (roads instanceof RoadGraph) return roads;
+        if (Array.isArray(roads)) return RoadGraph.fromRects(roads);
+        const graph = new RoadGraph();
+        (roads?.edges || []).forEach(edge => graph.addEdge(edge.points, RoadGraph.edgeProps(edge)));
+        return graph;
+    }
+
+    /**
+     * Convert axis-aligned road rectangles (the pre-graph format) into edges
+     * along their centre lines.
+     * @param {Array<{x:number, y:number, width:number, height:number, direction?:string}>} rects
+     * @returns {RoadGraph}
+     */
+    static fromRects(rects) {
+        const graph = new RoadGraph();
+        rects.forEach(({ x, y, width, height, direction, type, ...props }) => {
+            const horizontal = direction ? direction === 'horizontal' : width >= height;
+            const points = horizontal
+                ? [{ x, y: y + height / 2 }, { x: x + width, y: y + height / 2 }]
+                : [{ x: x + width / 2, y }, { x: x + width / 2, y: y + height }];
+            graph.addEdge(points, {
+                class: 'local',
+                ...props,
+                width: horizontal ? height : width
+            });
+        });
+        return graph;
+    }
+
+    /**
+     * Road graph over a grid of cells: every pair of 4-adjacent road cells is
+     * joined centre to centre, and a road cell with no road neighbours becomes
+     * a narrower stub across its cell. Roads stay inside their own cells. Straight runs are merged into single edges.
+     * @param {function(number, number): boolean} isRoad by column and row
+     * @param {number} cols
+     * @param {number} rows
+     * @param {number} cellSize
+     * @param {Object} props edge properties (width, class, ...)
+     * @param {function(number, number): string} [stubDirection] 'horizontal' or 'vertical' for isolated cells
+     * @returns {RoadGraph}
+     */
+    static fromCells(isRoad, cols, rows, cellSize, props, stubDirection = () => 'horizontal') {
+        const graph = new RoadGraph();
+        const centre = (col, row) => ({ x: (col + 0.5) * cellSize, y: (row + 0.5) * cellSize });
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (!isRoad(col, row)) continue;
+                const right = col + 1 < cols && isRoad(col + 1, row);
+                const down = row + 1 < rows && isRoad(col, row + 1);
+                if (right) graph.addEdge([centre(col, row), centre(col + 1, row)], props);
+                if (down) graph.addEdge([centre(col, row), centre(col, row + 1)], props);
+
+                const left = col > 0 && isRoad(col - 1, row);
+                const up = row > 0 && isRoad(col, row - 1);
+                if (!right && !down && !left && !up) {
+                    // Narrowed so the stub, caps included, stays inside its own cell
+                    const { x, y } = centre(col, row);
+                    const width = Math.min(props.width, cellSize / 2);
+                    const reach = (cellSize - width) / 2;
+                    graph.addEdge(stubDirection(col, row) === 'vertical'
+                        ? [{ x, y: y - reach }, { x, y: y + reach }]
+                        : [{ x: x - reach, y }, { x: x + reach, y }], { ...props, width });
+                }
+            }
+        }
+        return graph.mergeChains();
+    }
+
+    /**
+     * Combine several graphs into one; nodes at the same position are shared.
+     * @param {Array<RoadGraph>} graphs
+     * @returns {RoadGraph}
+     */
+    static merge(graphs) {
+        const merged = new RoadGraph();
+        graphs.forEach(graph => {
+            RoadGraph.from(graph).edges.forEach(edge => merged.addEdge(edge.points, RoadGraph.edgeProps(edge)));
+        });
+        return merged;
+    }
+
+    // Everything on an edge except its topology and geometry
+    static edgeProps(edge) {
+        const { from, to, points, ...props } = edge;
+        return props;
+    }
+
+    static nodeKey(x, y) {
+        return `${Math.round(x * 100)},${Math.round(y * 100)}`;
+    }
+
+    /**
+     * @returns {number} index of the node at (x, y), created if needed
+     */
+    addNode(x, y) {
+        const key = RoadGraph.nodeKey(x, y);
+        if (!this.nodeLookup.has(key)) {
+            this.nodeLookup.set(key, this.nodes.length);
+            this.nodes.push({ x, y });
+        }
+        return this.nodeLookup.get(key);
+    }
+
+    /**
+     * Add a polyline edge. Repeated points are dropped; polylines that
+     * collapse to a single point are ignored.
+     * @param {Array<{x:number, y:number}>} points centre line, start to end
+     * @param {{width:number, class:string}} props plus any extra properties (source, opacity, ...)
+     * @returns {Object|null} the new edge
+     */
+    addEdge(points, props) {
+        const line = [];
+        points.forEach(({ x, y }) => {
+            const last = line[line.length - 1];
+            if (!last || RoadGraph.nodeKey(x, y) !== RoadGraph.nodeKey(last.x, last.y)) line.push({ x, y });
+        });
+        if (line.length < 2) return null;
+
+        const edge = {
+            from: this.addNode(line[0].x, line[0].y),
+            to: this.addNode(line[line.length - 1].x, line[line.length - 1].y),
+            points: line,
+            ...props
+        };
+        this.edges.push(edge);
+        return edge;
+    }
+
+    /**
+     * @returns {Array<Array<number>>} indices of the edges at each node
+     */
+    adjacency() {
+        const adjacency = this.nodes.map(() => []);
+        this.edges.forEach((edge, index) => {
+            adjacency[edge.from].push(index);
+            adjacency[edge.to].push(index);
+        });
+        return adjacency;
+    }
+
+    /**
+     * Copy the graph with each edge's properties replaced.
+     * @param {function(Object): Object} props receives an edge's properties, returns its new ones
+     * @returns {RoadGraph}
+     */
+    mapEdges(props) {
+        const mapped = new RoadGraph();
+        this.edges.forEach(edge => mapped.addEdge(edge.points, props(RoadGraph.edgeProps(edge))));
+        return mapped;
+    }
+
+    /**
+     * Cut every edge into pieces of at most `step` px and keep the runs of
+     * pieces that pass the test, joined back into edges.
+     * @param {function(Object): boolean} keep receives a piece's bounding rect
+     * @param {number} step
+     * @returns {RoadGraph}
+     */
+    split(keep, step) {
+        const kept = new RoadGraph();
+        this.edges.forEach(edge => {
+            RoadGraph.splitEdge(edge, keep, step).forEach(run => kept.addEdge(run, RoadGraph.edgeProps(edge)));
+        });
+        return kept;
+    }
+
+    /**
+     * @param {Object} edge
+     * @param {function(Object): boolean} keep
+     * @param {number} step
+     * @returns {Array<Array<{x:number, y:number}>>} kept runs as polylines
+     */
+    static splitEdge(edge, keep, step) {
+        const runs = [];
+        let run = null;
+        // End of the last kept piece, until a corner or the end of the run adds it
+        let tail = null;
+        const close = () => {
+            if (!run) return;
+            if (tail) run.push(tail);
+            runs.push(run);
+            run = null;
+            tail = null;
+        };
+
+        RoadGraph.forEachPiece(edge, step, (piece, start, end, cornerEnd) => {
+            if (!keep(piece)) {
+                close();
+                return;
+            }
+            if (!run) run = [start];
+            // Only corners and run ends become points, so straight runs stay two-point lines
+            if (cornerEnd) {
+                run.push(end);
+                tail = null;
+            } else {
+                tail = end;
+            }
+        });
+        close();
+        return runs;
+    }
+
+    /**
+     * Visit an edge in sub-segments of at most `step` px.
+     * @param {Object} edge
+     * @param {number} step
+     * @param {function(Object, Object, Object, boolean): void} visit receives the
+     *        piece's bounding rect (padded by half the road width), its start
+     *        and end points, and whether the end is a polyline corner
+     */
+    static forEachPiece(edge, step, visit) {
+        const half = edge.width / 2;
+        const { points } = edge;
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const count = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / step));
+            let start = a;
+            for (let k = 1; k <= count; k++) {
+                const end = k === count
+                    ? b
+                    : { x: a.x + (b.x - a.x) * k / count, y: a.y + (b.y - a.y) * k / count };
+                visit({
+                    x: Math.min(start.x, end.x) - half,
+                    y: Math.min(start.y, end.y) - half,
+                    width: Math.abs(end.x - start.x) + half * 2,
+                    height: Math.abs(end.y - start.y) + half * 2
+                }, start, end, k === count);
+                start = end;
+            }
+        }
+    }
+
+    /**
+     * Rectangles covering the road surface, for overlap tests against
+     * buildings and parks.
+     * @param {number} step longest piece (px); defaults to each road's width
+     * @returns {Array<{x:number, y:number, width:number, height:number, edge:Object}>}
+     */
+    pieces(step = null) {
+        const pieces = [];
+        this.edges.forEach(edge => {
+            RoadGraph.forEachPiece(edge, step || Math.max(2, edge.width), piece => {
+                piece.edge = edge;
+                pieces.push(piece);
+            });
+        });
+        return pieces;
+    }
+
+    /**
+     * Split edges where they cross or where one ends on another, so every
+     * junction is a shared node. Overlapping collinear stretches are left as is.
+     * @returns {RoadGraph} this graph if nothing crosses, otherwise a new one
+     */
+    splitCrossings() {
+        const segments = [];
+        // SpatialGrid overlap is strict, so pad the boxes: axis-aligned streets
+        // have flat boxes, and roads that only touch them must still be found
+        const pad = 1e-6;
+        this.edges.forEach((edge, e) => {
+            for (let i = 1; i < edge.points.length; i++) {
+                const a = edge.points[i - 1];
+                const b = edge.points[i];
+                segments.push({
+                    id: segments.length, e, i: i - 1, a, b,
+                    x: Math.min(a.x, b.x) - pad, y: Math.min(a.y, b.y) - pad,
+                    width: Math.abs(b.x - a.x) + 2 * pad, height: Math.abs(b.y - a.y) + 2 * pad
+                });
+            }
+        });
+
+        const index = SpatialGrid.from(segments, 32);
+        const cuts = this.edges.map(() => []);
+        segments.forEach(s => {
+            index.query(s).forEach(o => {
+                if (o.id <= s.id) return;
+                // Neighbouring segments of one polyline already share their corner
+                if (o.e === s.e && Math.abs(o.i - s.i) <= 1) return;
+                const hit = RoadGraph.intersect(s.a, s.b, o.a, o.b);
+                if (!hit) return;
+                cuts[s.e].push({ i: s.i, t: hit.t, point: hit.point });
+                cuts[o.e].push({ i: o.i, t: hit.u, point: hit.point });
+            });
+        });
+
+        const eps = 1e-9;
+        let changed = false;
+        const interior = cuts.map((list, e) => {
+            const last = this.edges[e].points.length - 2;
+            const kept = list
+                .filter(cut => !(cut.i === 0 && cut.t <= eps) && !(cut.i === last && cut.t >= 1 - eps))
+                .sort((p, q) => p.i - q.i || p.t - q.t);
+            if (kept.length) changed = true;
+            return kept;
+        });
+        if (!changed) return this;
+
+        const split = new RoadGraph();
+        this.edges.forEach((edge, e) => {
+            const props = RoadGraph.edgeProps(edge);
+            let current = [edge.points[0]];
+            let segment = 0;
+            interior[e].forEach(cut => {
+                while (segment < cut.i) current.push(edge.points[++segment]);
+                current.push(cut.point);
+                split.addEdge(current, props);
+                current = [cut.point];
+            });
+            while (segment < edge.points.length - 1) current.push(edge.points[++segment]);
+            split.addEdge(current, props);
+        });
+        return split;
+    }
+
+    /**
+     * Split every edge passing within `tolerance` px of a point at exactly
+     * that point, so a road ending there joins the network at a node. A
+     * point snapped onto a street can sit a rounding error off its centre
+     * line, where splitCrossings would miss it.
+     * @param {{x:number, y:number}} point
+     * @param {number} [tolerance=0.01]
+     * @returns {RoadGraph} this graph when no edge needed splitting
+     */
+    splitAt(point, tolerance = 0.01) {
+        const key = RoadGraph.nodeKey(point.x, point.y);
+        const cuts = this.edges.map(edge => {
+            const ends = [this.nodes[edge.from], this.nodes[edge.to]];
+            if (ends.some(node => RoadGraph.nodeKey(node.x, node.y) === key)) return -1;
+            for (let i = 1; i < edge.points.length; i++) {
+                const segment = { points: [edge.points[i - 1], edge.points[i]] };
+                if (RoadGraph.distanceToEdge(segment, point.x, point.y) <= tolerance) return i;
+            }
+            return -1;
+        });
+        if (cuts.every(i => i < 0)) return this;
+
+        const split = new RoadGraph();
+        this.edges.forEach((edge, e) => {
+            const props = RoadGraph.edgeProps(edge);
+            const i = cuts[e];
+            if (i < 0) {
+                split.addEdge(edge.points, props);
+                return;
+            }
+            split.addEdge([...edge.points.slice(0, i), point], props);
+            split.addEdge([point, ...edge.points.slice(i)], props);
+        });
+        return split;
+    }
+
+    /**
+     * Intersection of segments ab and cd, touching ends included. The point
+     * is snapped to a segment end when it lies on one, so T-junctions land
+     * exactly on the joining road's node.
+     * @returns {{t:number, u:number, point:{x:number, y:number}}|null}
+     */
+    static intersect(a, b, c, d) {
+        const rx = b.x - a.x;
+        const ry = b.y - a.y;
+        const sx = d.x - c.x;
+        const sy = d.y - c.y;
+        const denom = rx * sy - ry * sx;
+        if (Math.abs(denom) < 1e-12) return null;
+
+        const qx = c.x - a.x;
+        const qy = c.y - a.y;
+        const t = (qx * sy - qy * sx) / denom;
+        const u = (qx * ry - qy * rx) / denom;
+        const eps = 1e-9;
+        if (t < -eps || t > 1 + eps || u < -eps || u > 1 + eps) return null;
+
+        const clampedT = Math.min(1, Math.max(0, t));
+        const clampedU = Math.min(1, Math.max(0, u));
+        let point;
+        if (clampedT <= eps) point = a;
+        else if (clampedT >= 1 - eps) point = b;
+        else if (clampedU <= eps) point = c;
+        else if (clampedU >= 1 - eps) point = d;
+        else point = { x: a.x + rx * t, y: a.y + ry * t };
+        return { t: clampedT, u: clampedU, point };
+    }
+
+    /**
+     * Join chains of edges through nodes where exactly two edges of the same
+     * kind meet, dropping points that lie on a straight line.
+     * @returns {RoadGraph}
+     */
+    mergeChains() {
+        const adjacency = this.adjacency();
+        const sameKind = (p, q) => p.width === q.width && p.class === q.class &&
+            p.source === q.source && p.opacity === q.opacity;
+        const isThrough = node => {
+            const [p, q] = adjacency[node];
+            return adjacency[node].length === 2 && p !== q && sameKind(this.edges[p], this.edges[q]);
+        };
+        const used = new Uint8Array(this.edges.length);
+        const merged = new RoadGraph();
+
+        const walk = (startEdge, startNode) => {
+            const points = [this.nodes[startNode]];
+            let node = startNode;
+            let index = startEdge;
+            while (true) {
+                used[index] = 1;
+                const edge = this.edges[index];
+                const forward = edge.from === node;
+                const line = forward ? edge.points : [...edge.points].reverse();
+                line.slice(1).forEach(point => RoadGraph.appendPoint(points, point));
+                node = forward ? edge.to : edge.from;
+                if (!isThrough(node)) break;
+                index = adjacency[node][0] === index ? adjacency[node][1] : adjacency[node][0];
+                if (used[index]) break;
+            }
+            merged.addEdge(points, RoadGraph.edgeProps(this.edges[startEdge]));
+        };
+
+        this.edges.forEach((edge, index) => {
+            if (used[index]) return;
+            if (!isThrough(edge.from)) walk(index, edge.from);
+            else if (!isThrough(edge.to)) walk(index, edge.to);
+        });
+        // Whatever is left forms closed loops
+        this.edges.forEach((edge, index) => {
+            if (!used[index]) walk(index, edge.from);
+        });
+        return merged;
+    }
+
+    // Append a point, replacing the previous one when the three are collinear and heading the same way
+    static appendPoint(points, point) {
+        const n = points.length;
+        if (n >= 2) {
+            const a = points[n - 2];
+            const b = points[n - 1];
+            const cross = (b.x - a.x) * (point.y - b.y) - (b.y - a.y) * (point.x - b.x);
+            const dot = (b.x - a.x) * (point.x - b.x) + (b.y - a.y) * (point.y - b.y);
+            if (Math.abs(cross) < 1e-9 && dot > 0) {
+                points[n - 1] = point;
+                return;
+            }
+        }
+        points.push(point);
+    }
+
+    /**
+     * @returns {number} length of an edge's centre line (px)
+     */
+    static edgeLength(edge) {
+        let length = 0;
+        for (let i = 1; i < edge.points.length; i++) {
+            length += Math.hypot(edge.points[i].x - edge.points[i - 1].x, edge.points[i].y - edge.points[i - 1].y);
+        }
+        return length;
+    }
+
+    /**
+     * @returns {{x:number, y:number, width:number, height:number}} an edge's
+     *          bounding rect, padded by half its width
+     */
+    static edgeBounds(edge) {
+        const half = edge.width / 2;
+        const xs = edge.points.map(p => p.x);
+        const ys = edge.points.map(p => p.y);
+        const x = Math.min(...xs) - half;
+        const y = Math.min(...ys) - half;
+        return { x, y, width: Math.max(...xs) + half - x, height: Math.max(...ys) + half - y };
+    }
+
+    /**
+     * @returns {number} distance from (x, y) to an edge's centre line
+     */
+    static distanceToEdge(edge, x, y) {
+        let best = Infinity;
+        for (let i = 1; i < edge.points.length; i++) {
+            const a = edge.points[i - 1];
+            const b = edge.points[i];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSq = dx * dx + dy * dy;
+            const t = lengthSq ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+            best = Math.min(best, Math.hypot(x - (a.x + dx * t), y - (a.y + dy * t)));
+        }
+        return best;
+    }
+
+    toJSON() {
+        return { nodes: this.nodes, edges: this.edges };
+    }
+}
+
+// Export for browser global usage
+window.RoadGraph = RoadGraph;
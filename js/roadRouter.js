@@ -0,0 +1,239 @@
+/**
+ * Road Router - Shortest paths across a road graph
+ * Both ends of a route are snapped to the nearest point on a road, so a
+ * route can start and finish part-way along an edge. Roads are two-way and
+ * cost their centre-line length.
+ */
+
+class RoadRouter {
+    /**
+     * @param {RoadGraph|Object} roads
+     * @param {Object} [options]
+     * @param {number} [options.cellSize=32] spatial index bucket size (px)
+     */
+    constructor(roads, options = {}) {
+        this.graph = RoadGraph.from(roads);
+        this.cellSize = options.cellSize ?? 32;
+        this.adjacency = this.graph.adjacency();
+        this.lengths = this.graph.edges.map(edge => RoadGraph.edgeLength(edge));
+        this.index = SpatialGrid.from(this.graph.edges.map((edge, e) => ({ ...RoadGraph.edgeBounds(edge), e })), this.cellSize);
+    }
+
+    /**
+     * Closest point on any road to (x, y).
+     * @returns {{edge:number, along:number, point:{x:number, y:number}, distance:number}|null}
+     *          the edge index and distance (px) along its centre line; null without roads
+     */
+    snap(x, y) {
+        if (!this.graph.edges.length) return null;
+        // Look nearby first, then fall back to every edge for clicks far from the network
+        const reach = this.cellSize * 2;
+        const nearby = this.index.query({ x: x - reach, y: y - reach, width: reach * 2, height: reach * 2 });
+        const candidates = nearby.length ? nearby.map(item => item.e) : this.graph.edges.map((_, e) => e);
+
+        let best = null;
+        candidates.forEach(e => {
+            const hit = RoadRouter.projectOnEdge(this.graph.edges[e], x, y);
+            if (!best || hit.distance < best.distance) best = { edge: e, ...hit };
+        });
+        // A nearby box can hide a closer edge outside it
+        if (nearby.length && best.distance > reach) {
+            this.graph.edges.forEach((edge, e) => {
+                const hit = RoadRouter.projectOnEdge(edge, x, y);
+                if (hit.distance < best.distance) best = { edge: e, ...hit };
+            });
+        }
+        return best;
+    }
+
+    /**
+     * Shortest route between two map points, each snapped to its nearest road.
+     * @param {{x:number, y:number}} from
+     * @param {{x:number, y:number}} to
+     * @returns {{points:Array<{x:number, y:number}>, length:number, edges:Array<number>}|null}
+     *          the route's centre line and length (px), or null when no road joins the two points
+     */
+    route(from, to) {
+        const start = this.snap(from.x, from.y);
+        const end = this.snap(to.x, to.y);
+        if (!start || !end) return null;
+
+        const startEdge = this.graph.edges[start.edge];
+        const endEdge = this.graph.edges[end.edge];
+        const { dist, prev } = this.shortestPaths([
+            { node: startEdge.from, cost: start.along },
+            { node: startEdge.to, cost: this.lengths[start.edge] - start.along }
+        ]);
+
+        // Leave the end edge through whichever node is cheaper, or stay on one edge
+        const options = [
+            { node: endEdge.from, cost: dist[endEdge.from] + end.along },
+            { node: endEdge.to, cost: dist[endEdge.to] + this.lengths[end.edge] - end.along }
+        ];
+        if (start.edge === end.edge) options.push({ node: null, cost: Math.abs(end.along - start.along) });
+        const best = options.reduce((a, b) => (b.cost < a.cost ? b : a));
+        if (!Number.isFinite(best.cost)) return null;
+
+        if (best.node === null) {
+            return {
+                points: RoadRouter.slice(startEdge, start.along, end.along),
+                length: best.cost,
+                edges: [start.edge]
+            };
+        }
+
+        // Walk back from the node where the route joins the end edge
+        const path = [];
+        for (let node = best.node; prev[node] !== -1; ) {
+            const e = prev[node];
+            const edge = this.graph.edges[e];
+            path.push({ e, forward: edge.to === node });
+            node = edge.to === node ? edge.from : edge.to;
+            if (path.length > this.graph.edges.length) break;
+        }
+        path.reverse();
+        // The node the walk ended on is where the route leaves the start edge
+        const firstNode = path.length
+            ? (path[0].forward ? this.graph.edges[path[0].e].from : this.graph.edges[path[0].e].to)
+            : best.node;
+
+        const points = RoadRouter.slice(startEdge, start.along,
+            firstNode === startEdge.from ? 0 : this.lengths[start.edge]);
+        path.forEach(({ e, forward }) => {
+            const line = forward ? this.graph.edges[e].points : [...this.graph.edges[e].points].reverse();
+            line.slice(1).forEach(p => points.push(p));
+        });
+        RoadRouter.slice(endEdge, best.node === endEdge.from ? 0 : this.lengths[end.edge], end.along)
+            .slice(1).forEach(p => points.push(p));
+
+        return {
+            points,
+            length: best.cost,
+            edges: [start.edge, ...path.map(step => step.e), end.edge]
+        };
+    }
+
+    /**
+     * Dijkstra from several seeded nodes over the whole graph.
+     * @param {Array<{node:number, cost:number}>} sources
+     * @returns {{dist:Float64Array, prev:Int32Array}} cost per node and the edge it was reached by (-1 at sources)
+     */
+    shortestPaths(sources) {
+        const dist = new Float64Array(this.graph.nodes.length).fill(Infinity);
+        const prev = new Int32Array(this.graph.nodes.length).fill(-1);
+        // Binary min-heap of [cost, node]; stale entries are skipped when popped
+        const heap = [];
+        const push = item => {
+            heap.push(item);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent][0] <= heap[i][0]) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length) {
+                heap[0] = last;
+                let i = 0;
+                while (true) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+                    if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+                    if (smallest === i) break;
+                    [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        };
+
+        sources.forEach(({ node, cost }) => {
+            if (cost < dist[node]) {
+                dist[node] = cost;
+                push([cost, node]);
+            }
+        });
+        while (heap.length) {
+            const [cost, node] = pop();
+            if (cost > dist[node]) continue;
+            this.adjacency[node].forEach(e => {
+                const edge = this.graph.edges[e];
+                const other = edge.from === node ? edge.to : edge.from;
+                const next = cost + this.lengths[e];
+                if (next < dist[other]) {
+                    dist[other] = next;
+                    prev[other] = e;
+                    push([next, other]);
+                }
+            });
+        }
+        return { dist, prev };
+    }
+
+    /**
+     * @returns {{along:number, point:{x:number, y:number}, distance:number}} closest point on an
+     *          edge's centre line, its distance along the edge and its distance from (x, y)
+     */
+    static projectOnEdge(edge, x, y) {
+        let best = null;
+        let travelled = 0;
+        for (let i = 1; i < edge.points.length; i++) {
+            const a = edge.points[i - 1];
+            const b = edge.points[i];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSq = dx * dx + dy * dy;
+            const t = lengthSq ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+            const point = { x: a.x + dx * t, y: a.y + dy * t };
+            const distance = Math.hypot(x - point.x, y - point.y);
+            if (!best || distance < best.distance) {
+                best = { along: travelled + Math.sqrt(lengthSq) * t, point, distance };
+            }
+            travelled += Math.sqrt(lengthSq);
+        }
+        return best;
+    }
+
+    /**
+     * Part of an edge's centre line between two distances along it, in the
+     * order given (reversed when `to` < `from`).
+     * @returns {Array<{x:number, y:number}>}
+     */
+    static slice(edge, from, to) {
+        const reverse = to < from;
+        const lo = Math.min(from, to);
+        const hi = Math.max(from, to);
+        const pointAt = along => {
+            let travelled = 0;
+            for (let i = 1; i < edge.points.length; i++) {
+                const a = edge.points[i - 1];
+                const b = edge.points[i];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (travelled + length >= along || i === edge.points.length - 1) {
+                    const t = length ? Math.max(0, Math.min(1, (along - travelled) / length)) : 0;
+                    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+                }
+                travelled += length;
+            }
+            return { ...edge.points[0] };
+        };
+
+        const points = [pointAt(lo)];
+        let travelled = 0;
+        for (let i = 1; i < edge.points.length - 1; i++) {
+            travelled += Math.hypot(edge.points[i].x - edge.points[i - 1].x, edge.points[i].y - edge.points[i - 1].y);
+            if (travelled > lo && travelled < hi) points.push(edge.points[i]);
+        }
+        points.push(pointAt(hi));
+        return reverse ? points.reverse() : points;
+    }
+}
+
+// Export for browser global usage
+window.RoadRouter = RoadRouter;
@@ -0,0 +1,160 @@
+/**
+ * Spatial Grid - Uniform-grid spatial index for axis-aligned rectangles
+ * Items are bucketed into every grid cell their bounds touch, so overlap and
+ * point queries only look at nearby items instead of scanning everything.
+ * Shared by topography, blending, collision resolution and hit-testing.
+ */
+
+class SpatialGrid {
+    /**
+     * @param {number} [cellSize=10] bucket size in px; the topography cell size
+     *        is a good choice for water, larger cells suit large features
+     */
+    constructor(cellSize = 10) {
+        this.cellSize = cellSize;
+        this.buckets = new Map();
+        // Insertion sequence per item, so multi-bucket queries keep a stable order
+        this.sequence = new Map();
+    }
+
+    get size() {
+        return this.sequence.size;
+    }
+
+    // Bucket key for a column/row pair; columns stay unique for |col| < 2^19
+    static key(col, row) {
+        return row * 1048576 + col;
+    }
+
+    /**
+     * Build an index over a list of rectangles.
+     * @param {Array<{x:number, y:number, width:number, height:number}>} items
+     * @param {number} [cellSize]
+     * @returns {SpatialGrid}
+     */
+    static from(items, cellSize) {
+        const grid = new SpatialGrid(cellSize);
+        items.forEach(item => grid.insert(item));
+        return grid;
+    }
+
+    /**
+     * Range of bucket columns and rows covered by a rectangle.
+     * @param {{x:number, y:number, width:number, height:number}} rect
+     * @returns {{c0:number, c1:number, r0:number, r1:number}}
+     */
+    cellRange(rect) {
+        const size = this.cellSize;
+        const c0 = Math.floor(rect.x / size);
+        const r0 = Math.floor(rect.y / size);
+        // Edges that land exactly on a cell boundary do not reach into the next cell
+        return {
+            c0,
+            r0,
+            c1: Math.max(c0, Math.ceil((rect.x + rect.width) / size) - 1),
+            r1: Math.max(r0, Math.ceil((rect.y + rect.height) / size) - 1)
+        };
+    }
+
+    /**
+     * @param {{x:number, y:number, width:number, height:number}} item
+     */
+    insert(item) {
+        if (this.sequence.has(item)) return;
+        this.sequence.set(item, this.sequence.size);
+        const { c0, c1, r0, r1 } = this.cellRange(item);
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const key = SpatialGrid.key(col, row);
+                const bucket = this.buckets.get(key);
+                if (bucket) {
+                    bucket.push(item);
+                } else {
+                    this.buckets.set(key, [item]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Items whose bounds overlap the rectangle (shared edges do not count),
+     * in insertion order.
+     * @param {{x:number, y:number, width:number, height:number}} rect
+     * @returns {Array<Object>}
+     */
+    query(rect) {
+        const found = new Set();
+        const { c0, c1, r0, r1 } = this.cellRange(rect);
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const bucket = this.buckets.get(SpatialGrid.key(col, row));
+                if (!bucket) continue;
+                for (const item of bucket) {
+                    if (SpatialGrid.overlaps(rect, item)) found.add(item);
+                }
+            }
+        }
+        return Array.from(found).sort((a, b) => this.sequence.get(a) - this.sequence.get(b));
+    }
+
+    /**
+     * First overlapping item in insertion order, or null.
+     * @param {{x:number, y:number, width:number, height:number}} rect
+     * @param {function(Object): boolean} [accept] skips items it returns false for
+     * @returns {Object|null}
+     */
+    first(rect, accept = null) {
+        let best = null;
+        let bestSequence = Infinity;
+        const { c0, c1, r0, r1 } = this.cellRange(rect);
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const bucket = this.buckets.get(SpatialGrid.key(col, row));
+                if (!bucket) continue;
+                for (const item of bucket) {
+                    if (item !== best && SpatialGrid.overlaps(rect, item) && (!accept || accept(item))) {
+                        const sequence = this.sequence.get(item);
+                        if (sequence < bestSequence) {
+                            best = item;
+                            bestSequence = sequence;
+                        }
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Whether any item overlaps the rectangle. Cheaper than query().
+     * @param {{x:number, y:number, width:number, height:number}} rect
+     * @returns {boolean}
+     */
+    any(rect) {
+        const { c0, c1, r0, r1 } = this.cellRange(rect);
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const bucket = this.buckets.get(SpatialGrid.key(col, row));
+                if (bucket && bucket.some(item => SpatialGrid.overlaps(rect, item))) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Items containing a point, in insertion order.
+     * @returns {Array<Object>}
+     */
+    queryPoint(x, y) {
+        const bucket = this.buckets.get(SpatialGrid.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize)));
+        if (!bucket) return [];
+        return bucket.filter(item => x >= item.x && x < item.x + item.width && y >= item.y && y < item.y + item.height);
+    }
+
+    static overlaps(a, b) {
+        return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+    }
+}
+
+// Export for browser global usage
+window.SpatialGrid = SpatialGrid;
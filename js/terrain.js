@@ -0,0 +1,117 @@
+/**
+ * Terrain - Read-only view of the topography handed to every algorithm
+ * Wraps the elevation grid, water cells and coastlines from
+ * TopographyGenerator with the queries algorithms need to place features:
+ * water tests, elevation and slope lookups, and road clipping.
+ */
+
+class Terrain {
+    /**
+     * @param {Object} options
+     * @param {number} options.width map width (px)
+     * @param {number} options.height map height (px)
+     * @param {number} [options.cellSize=10] topography cell size (px)
+     * @param {{rows:number, cols:number, data:number[][]}} [options.elevation] elevation samples at cell corners
+     * @param {Array<Object>} [options.waterCells] water cell rectangles
+     * @param {SpatialGrid} [options.water] prebuilt index over waterCells
+     * @param {Array<Array<{x:number, y:number}>>} [options.coastPolygons]
+     * @param {number} [options.maxSlope=Infinity] steepest ground buildings may stand on,
+     *        as elevation change per topography cell
+     */
+    constructor(options) {
+        this.width = options.width;
+        this.height = options.height;
+        this.cellSize = options.cellSize ?? 10;
+        this.elevation = options.elevation || null;
+        this.waterCells = options.waterCells || [];
+        this.coastPolygons = options.coastPolygons || [];
+        this.water = options.water || SpatialGrid.from(this.waterCells, this.cellSize);
+        this.maxSlope = options.maxSlope ?? Infinity;
+        // Road clipping step (px)
+        this.roadStep = 8;
+    }
+
+    /**
+     * Dry, level ground everywhere. Used when an algorithm runs without topography.
+     * @param {number} width
+     * @param {number} height
+     * @returns {Terrain}
+     */
+    static flat(width, height) {
+        return new Terrain({ width, height });
+    }
+
+    isWater(x, y) {
+        return this.water.queryPoint(x, y).length > 0;
+    }
+
+    overlapsWater(rect) {
+        return this.water.any(rect);
+    }
+
+    /**
+     * Elevation (0-1) at a point, bilinearly interpolated between grid samples.
+     * @returns {number}
+     */
+    elevationAt(x, y) {
+        if (!this.elevation) return 0;
+        const { rows, cols, data } = this.elevation;
+        const fx = Math.min(cols - 1, Math.max(0, x / this.cellSize));
+        const fy = Math.min(rows - 1, Math.max(0, y / this.cellSize));
+        const i = Math.min(cols - 2, Math.floor(fx));
+        const j = Math.min(rows - 2, Math.floor(fy));
+        if (i < 0 || j < 0) return data[0][0];
+        const tx = fx - i;
+        const ty = fy - j;
+        const top = data[j][i] + (data[j][i + 1] - data[j][i]) * tx;
+        const bottom = data[j + 1][i] + (data[j + 1][i + 1] - data[j + 1][i]) * tx;
+        return top + (bottom - top) * ty;
+    }
+
+    /**
+     * Gradient magnitude at a point, in elevation change per topography cell.
+     * @returns {number}
+     */
+    slopeAt(x, y) {
+        if (!this.elevation) return 0;
+        const h = this.cellSize;
+        const dx = (this.elevationAt(x + h, y) - this.elevationAt(x - h, y)) / 2;
+        const dy = (this.elevationAt(x, y + h) - this.elevationAt(x, y - h)) / 2;
+        return Math.hypot(dx, dy);
+    }
+
+    isSteep(x, y) {
+        return this.slopeAt(x, y) > this.maxSlope;
+    }
+
+    /**
+     * Whether a point is dry and level enough to build on.
+     * @returns {boolean}
+     */
+    isOpen(x, y) {
+        return !this.isWater(x, y) && !this.isSteep(x, y);
+    }
+
+    /**
+     * Whether a footprint stays clear of water and its centre is not too steep.
+     * @param {{x:number, y:number, width:number, height:number}} rect
+     * @returns {boolean}
+     */
+    isBuildable(rect) {
+        return !this.overlapsWater(rect) && !this.isSteep(rect.x + rect.width / 2, rect.y + rect.height / 2);
+    }
+
+    /**
+     * Cut the stretches of the road network that run through water. Roads ignore slope.
+     * @param {RoadGraph|Array<Object>} roads
+     * @returns {RoadGraph} the dry network
+     */
+    clipRoads(roads) {
+        const graph = RoadGraph.from(roads);
+        if (!this.water.size) return graph;
+        return graph.split(piece => !this.overlapsWater(piece), this.roadStep);
+    }
+}
+
+// Export for browser global usage
+window.Terrain = Terrain;
@@ -148,14 +148,17 @@ class TopographyGenerator {
         const path = this.getFlowPath(start[0], start[1]);
         // Carve river width around path
         const waterCells = [];
+        const carved = new SpatialGrid(this.cellSize);
         path.forEach(pt => {
             for (let dx = -riverWidth; dx <= riverWidth; dx++) {
                 for (let dy = -riverWidth; dy <= riverWidth; dy++) {
                     const x = Math.floor((pt.x + dx) / this.cellSize) * this.cellSize;
                     const y = Math.floor((pt.y + dy) / this.cellSize) * this.cellSize;
                     if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-                        if (!waterCells.some(w => w.x === x && w.y === y)) {
-                            waterCells.push({ x, y, width: this.cellSize, height: this.cellSize });
+                        if (!carved.queryPoint(x, y).length) {
+                            const cell = { x, y, width: this.cellSize, height: this.cellSize };
+                            carved.insert(cell);
+                            waterCells.push(cell);
                         }
                     }
                 }
@@ -239,18 +242,20 @@ class TopographyGenerator {
 
         // Extract polygons for each blob
         blobs.forEach(blob => {
-            const polyLoops = this.marchingSquaresOnMask(blob.mask);
+            const polyLoops = this.marchingSquaresOnMask(blob.mask, blob.originCol, blob.originRow);
             loops.push(...polyLoops);
         });
         return loops;
     }
 
     /**
-     * Compute connected water blobs from a boolean mask.
+     * Compute connected water blobs from a boolean mask. Each blob's mask is
+     * cropped to its bounding box plus one cell, so large maps with many small
+     * lakes don't allocate a full-size mask per blob.
      * @param {boolean[][]} mask
      * @param {number} rows
      * @param {number} cols
-     * @returns {{mask:boolean[][], type:string}[]}
+     * @returns {{mask:boolean[][], type:string, originRow:number, originCol:number}[]}
      */
     computeWaterBlobs(mask, rows, cols) {
         const visited = Array.from({ length: rows }, () => Array(cols).fill(false));
@@ -259,13 +264,16 @@ class TopographyGenerator {
             for (let i = 0; i < cols; i++) {
                 if (!mask[j][i] || visited[j][i]) continue;
                 const stack = [[j, i]];
-                const blobMask = Array.from({ length: rows }, () => Array(cols).fill(false));
+                const cells = [];
                 let touchesBoundary = false;
+                let minRow = j, maxRow = j, minCol = i, maxCol = i;
                 while (stack.length) {
                     const [y, x] = stack.pop();
                     if (visited[y][x]) continue;
                     visited[y][x] = true;
-                    blobMask[y][x] = true;
+                    cells.push([y, x]);
+                    minRow = Math.min(minRow, y); maxRow = Math.max(maxRow, y);
+                    minCol = Math.min(minCol, x); maxCol = Math.max(maxCol, x);
                     if (y === 0 || x === 0 || y === rows - 1 || x === cols - 1) touchesBoundary = true;
                     // 4-neighbor flood-fill
                     [[y-1,x],[y+1,x],[y,x-1],[y,x+1]].forEach(([ny,nx]) => {
@@ -275,7 +283,13 @@ class TopographyGenerator {
                         }
                     });
                 }
-                blobs.push({ mask: blobMask, type: touchesBoundary ? 'ocean' : 'lake' });
+                const originRow = Math.max(0, minRow - 1);
+                const originCol = Math.max(0, minCol - 1);
+                const endRow = Math.min(rows - 1, maxRow + 1);
+                const endCol = Math.min(cols - 1, maxCol + 1);
+                const blobMask = Array.from({ length: endRow - originRow + 1 }, () => Array(endCol - originCol + 1).fill(false));
+                cells.forEach(([y, x]) => { blobMask[y - originRow][x - originCol] = true; });
+                blobs.push({ mask: blobMask, type: touchesBoundary ? 'ocean' : 'lake', originRow, originCol });
             }
         }
         return blobs;
@@ -284,9 +298,11 @@ class TopographyGenerator {
     /**
      * Apply Marching Squares on a boolean mask to extract polygon loops.
      * @param {boolean[][]} mask
+     * @param {number} [originCol=0] grid column of mask[0][0]
+     * @param {number} [originRow=0] grid row of mask[0][0]
      * @returns {Array<Array<{x:number,y:number}>>}
      */
-    marchingSquaresOnMask(mask) {
+    marchingSquaresOnMask(mask, originCol = 0, originRow = 0) {
         const rows = mask.length;
         const cols = mask[0].length;
         const cell = this.cellSize;
@@ -301,10 +317,12 @@ class TopographyGenerator {
                 const d = mask[j+1][i] ? 1 : 0;
                 const idx = (a<<3)|(b<<2)|(c<<1)|d;
                 if (idx === 0 || idx === 15) continue;
-                const top    = { x: i*cell + cell/2, y: j*cell };
-                const right  = { x: i*cell + cell,   y: j*cell + cell/2 };
-                const bottom = { x: i*cell + cell/2, y: j*cell + cell };
-                const left   = { x: i*cell,           y: j*cell + cell/2 };
+                const gx = (originCol + i) * cell;
+                const gy = (originRow + j) * cell;
+                const top    = { x: gx + cell/2, y: gy };
+                const right  = { x: gx + cell,   y: gy + cell/2 };
+                const bottom = { x: gx + cell/2, y: gy + cell };
+                const left   = { x: gx,          y: gy + cell/2 };
                 switch(idx) {
                     case 1:  segments.push([left,  bottom]); break;
                     case 2:  segments.push([bottom,right]); break;
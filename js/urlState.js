@@ -0,0 +1,39 @@
+/**
+ * URL State - Encodes generator configs in the location hash
+ * The hash holds the full config as base64url JSON so a pasted link
+ * reproduces the exact city.
+ */
+
+class UrlState {
+    static get PREFIX() {
+        return '#config=';
+    }
+
+    /**
+     * @param {Object} config generator config
+     * @returns {string} hash fragment including the leading '#'
+     */
+    static encode(config) {
+        const json = JSON.stringify(config);
+        const bytes = new TextEncoder().encode(json);
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        const base64url = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return UrlState.PREFIX + base64url;
+    }
+
+    /**
+     * @param {string} hash location.hash
+     * @returns {Object|null} the decoded config, or null if the hash holds none
+     */
+    static decode(hash) {
+        if (!hash || !hash.startsWith(UrlState.PREFIX)) return null;
+        const base64 = hash.slice(UrlState.PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+}
+
+// Export for browser global usage
+window.UrlState = UrlState;
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+const CLI = path.resolve(__dirname, '..', 'bin', 'city-gen.js');
+
+function run(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+test('--help prints the usage', () => {
+    const output = execFileSync(process.execPath, [CLI, '--help'], { encoding: 'utf8' });
+    assert.match(output, /^Usage: city-gen/);
+});
+
+test('out-of-range values are rejected', () => {
+    for (const args of [['--count', '0'], ['--scale', '5'], ['--water', '2'], ['--size', '0x100'], ['--topo', 'volcano']]) {
+        const result = run(args);
+        assert.strictEqual(result.status, 1, args.join(' '));
+        assert.match(result.stderr, /^city-gen: /);
+    }
+});
+
+test('writes the export JSON', () => {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'city-gen-'));
+    try {
+        const result = run(['--seed', '3', '--size', '300x200', '--format', 'json', '--out', out]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        const exported = JSON.parse(fs.readFileSync(path.join(out, 'city-3.json'), 'utf8'));
+        assert.strictEqual(exported.parameters.config.width, 300);
+        assert.ok(exported.city.buildings.length > 0);
+    } finally {
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/node/core');
+
+const { CityGenerator, AlgorithmRegistry, RoadGraph, SpatialGrid } = loadCore();
+
+function generate(algorithms, options = {}) {
+    return new CityGenerator().generate({
+        width: 800,
+        height: 600,
+        algorithms: algorithms.map(name => ({ name, weight: 1, enabled: true })),
+        ...options
+    });
+}
+
+// Buildings on a road and overlapping building pairs, tested the way the resolver tests them
+function overlaps(city) {
+    const roads = SpatialGrid.from(RoadGraph.from(city.roads).pieces(), 32);
+    const placed = new SpatialGrid(32);
+    let onRoads = 0;
+    let pairs = 0;
+    city.buildings.forEach(building => {
+        if (roads.any(building)) onRoads++;
+        pairs += placed.query(building).filter(other => SpatialGrid.overlaps(other, building)).length;
+        placed.insert(building);
+    });
+    return { onRoads, pairs };
+}
+
+test('a mixed-algorithm overlay city has no overlapping buildings once resolved', async () => {
+    const city = await generate(['poissonDisk', 'cellularAutomata'], {
+        seed: 9,
+        resolveCollisions: true,
+        blend: { mode: 'overlay' }
+    });
+    assert.ok(city.buildings.length > 0);
+    assert.deepStrictEqual(overlaps(city), { onRoads: 0, pairs: 0 });
+});
+
+test('every algorithm keeps its buildings off its own roads', async () => {
+    for (const name of AlgorithmRegistry.keys()) {
+        const city = await generate([name], {
+            seed: 4,
+            randomness: 0,
+            resolveCollisions: false,
+            topography: { mode: 'lake', waterCoverage: 0 }
+        });
+        assert.ok(city.buildings.length > 0, name);
+        assert.deepStrictEqual(overlaps(city), { onRoads: 0, pairs: 0 }, name);
+    }
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/node/core');
+
+const { CityGenerator } = loadCore();
+
+const CONFIG = { width: 400, height: 300, seed: 3, topography: { mode: 'lake', waterCoverage: 0.3 } };
+
+test('a city without algorithms shows the same water as one with them', async () => {
+    const generator = new CityGenerator();
+    const empty = await generator.generate({ ...CONFIG, algorithms: [] });
+    const built = await generator.generate({ ...CONFIG, algorithms: [{ name: 'gridLayout', weight: 1, enabled: true }] });
+    assert.ok(empty.water.length > 0);
+    assert.ok(Array.isArray(empty.water[0]), 'water should be coastline polygons');
+    assert.deepStrictEqual(empty.water, built.water);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/node/core');
+
+const { CityGenerator, CityPins } = loadCore();
+
+const BASE = {
+    width: 400,
+    height: 300,
+    seed: 7,
+    algorithms: [{ name: 'gridLayout', weight: 1, enabled: true }, { name: 'voronoi', weight: 0.5, enabled: true }]
+};
+
+// Pin a region of the city generated from config, as the Pin tools do
+async function pinRegion(generator, config, region) {
+    const city = await generator.generate({ ...config, edits: [] });
+    const pins = [...config.pins, CityPins.create(region, config)];
+    generator.rememberPin(pins, CityPins.capture(city, region));
+    return { ...config, pins };
+}
+
+test('pins leave nested pins and edits out of their config', () => {
+    const region = CityPins.rectRegion({ x: 0, y: 0 }, { x: 50, y: 50 });
+    const config = { ...CityGenerator.normalizeConfig(BASE), pins: [CityPins.create(region, BASE)] };
+    const pin = CityPins.create(region, config);
+    assert.strictEqual(pin.config.pins.length, 0);
+    assert.strictEqual(pin.config.edits.length, 0);
+});
+
+test('the serialized config grows linearly with the number of pins', () => {
+    let config = CityGenerator.normalizeConfig(BASE);
+    const sizes = [JSON.stringify(config).length];
+    for (let i = 0; i < 8; i++) {
+        const region = CityPins.rectRegion({ x: i * 40, y: 0 }, { x: i * 40 + 30, y: 100 });
+        config = { ...config, pins: [...config.pins, CityPins.create(region, config)] };
+        sizes.push(JSON.stringify(config).length);
+    }
+    const steps = sizes.slice(1).map((size, i) => size - sizes[i]);
+    // Only the digits of the region coordinates differ from pin to pin
+    assert.ok(Math.max(...steps) < Math.min(...steps) * 1.05, `per-pin growth varies: ${steps.join(', ')}`);
+});
+
+test('overlapping pins generate the same features as when they were pinned', async () => {
+    const generator = new CityGenerator();
+    let config = CityGenerator.normalizeConfig(BASE);
+    config = await pinRegion(generator, config, CityPins.rectRegion({ x: 0, y: 0 }, { x: 200, y: 300 }));
+    config = await pinRegion(generator, { ...config, seed: 8 }, CityPins.rectRegion({ x: 150, y: 50 }, { x: 300, y: 250 }));
+
+    const reseeded = { ...config, seed: 9 };
+    const fromCache = await generator.generate(reseeded);
+    const fromConfig = await new CityGenerator().generate(reseeded);
+    assert.deepStrictEqual(fromConfig.buildings, fromCache.buildings);
+    assert.deepStrictEqual(fromConfig.parks, fromCache.parks);
+    assert.deepStrictEqual(fromConfig.roads.edges, fromCache.roads.edges);
+});
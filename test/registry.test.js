@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/node/core');
+
+const { AlgorithmRegistry } = loadCore();
+
+test('random parameter values reach both ends of the range on whole steps', () => {
+    const spec = { min: 0.1, max: 0.9, step: 0.1 };
+    assert.strictEqual(AlgorithmRegistry.randomValue(spec, () => 0), 0.1);
+    assert.strictEqual(AlgorithmRegistry.randomValue(spec, () => 0.9999), 0.9);
+
+    const seen = new Set();
+    for (let i = 0; i < 90; i++) seen.add(AlgorithmRegistry.randomValue(spec, () => i / 90));
+    assert.deepStrictEqual([...seen].sort(), [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9]);
+});
+
+test('every schema parameter randomizes to a valid value', () => {
+    for (const key of AlgorithmRegistry.keys()) {
+        for (const [param, spec] of Object.entries(AlgorithmRegistry.params(key))) {
+            for (const r of [0, 0.5, 0.9999]) {
+                const value = AlgorithmRegistry.randomValue(spec, () => r);
+                const { errors } = AlgorithmRegistry.validateParams(key, { [param]: value });
+                assert.strictEqual(errors.length, 0, `${key}.${param} = ${value}: ${errors}`);
+                const steps = (value - spec.min) / spec.step;
+                assert.ok(Math.abs(steps - Math.round(steps)) < 1e-9, `${key}.${param} = ${value} is off the step grid`);
+            }
+        }
+    }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCore } = require('../js/node/core');
+
+const { CityGenerator, CityBlender, CityEdits, CityPins } = loadCore();
+
+const SQUARE = CityPins.rectRegion({ x: 0, y: 0 }, { x: 50, y: 50 });
+
+// validateConfig's messages for a config, as a plain array
+function problems(config) {
+    return [...CityGenerator.validateConfig(config)];
+}
+
+function assertRejected(config, pattern) {
+    const errors = problems(config);
+    assert.ok(errors.some(error => pattern.test(error)), `expected ${pattern} in ${JSON.stringify(errors)}`);
+}
+
+test('configs the tools write are valid', () => {
+    const mask = CityBlender.paintMask(CityBlender.createMask(800, 600), 100, 100, 'gridLayout', 60);
+    const edits = [
+        CityEdits.addRect([], 'buildings', { x: 10, y: 10, width: 20, height: 20 }),
+        CityEdits.addRoad([], [{ x: 0, y: 0 }, { x: 40, y: 0 }]),
+        { op: 'erase', points: [{ x: 5, y: 5 }], radius: 10 },
+        { op: 'move', layer: 'buildings', key: '10,10,20,20', dx: 3, dy: -2 }
+    ];
+    const config = CityGenerator.normalizeConfig({ blend: { mode: 'mask', field: 'painted', mask }, edits });
+    const pinned = { ...config, pins: [CityPins.create(SQUARE, config)] };
+    assert.deepStrictEqual(problems(pinned), []);
+});
+
+test('pins must be a list of regions with configs', () => {
+    assertRejected({ pins: {} }, /^pins must be a list/);
+    assertRejected({ pins: [null] }, /^pins\[0\] must be an object/);
+    assertRejected({ pins: [{}] }, /^pins\[0\]\.region must be a list of at least 3 points/);
+    assertRejected({ pins: [{ region: SQUARE }] }, /^pins\[0\]\.config must be an object/);
+    assertRejected({ pins: [{ region: [{ x: 0, y: 0 }, { x: 1, y: 'a' }, { x: 2, y: 2 }], config: {} }] }, /^pins\[0\]\.region/);
+    assertRejected({ pins: [{ region: SQUARE, config: { scale: 9 } }] }, /^pins\[0\]\.config: scale must be between/);
+    assertRejected({ pins: [{ region: SQUARE, buildings: [], roads: 3, parks: [] }] }, /^pins\[0\]\.roads must be a list/);
+});
+
+test('edits must be a list of known edit shapes', () => {
+    assertRejected({ edits: 5 }, /^edits must be a list/);
+    assertRejected({ edits: [null] }, /^edits\[0\] op must be one of/);
+    assertRejected({ edits: [{ op: 'paint' }] }, /^edits\[0\] op must be one of add, erase, move, got "paint"/);
+    assertRejected({ edits: [{ op: 'add', layer: 'water', feature: {} }] }, /^edits\[0\] layer must be one of/);
+    assertRejected({ edits: [{ op: 'add', layer: 'buildings' }] }, /^edits\[0\] feature must be an object/);
+    assertRejected({ edits: [{ op: 'add', layer: 'parks', feature: { x: 0, y: 0, width: 5, height: 5 } }] }, /editId/);
+    assertRejected({ edits: [{ op: 'add', layer: 'buildings', feature: { editId: 0, x: 0, y: 0, width: -5, height: 5 } }] },
+        /^edits\[0\] feature must have numeric x and y/);
+    assertRejected({ edits: [{ op: 'add', layer: 'roads', feature: { editId: 0, points: [{ x: 0, y: 0 }], width: 4 } }] },
+        /^edits\[0\] feature\.points/);
+    assertRejected({ edits: [{ op: 'erase', points: [], radius: 5 }] }, /^edits\[0\] points/);
+    assertRejected({ edits: [{ op: 'erase', points: [{ x: 0, y: 0 }], radius: 0 }] }, /^edits\[0\] radius/);
+    assertRejected({ edits: [{ op: 'move', layer: 'parks', key: 7, dx: 1, dy: 1 }] }, /^edits\[0\] key must be a string/);
+    assertRejected({ edits: [{ op: 'move', layer: 'parks', key: 'k', dx: 1 }] }, /^edits\[0\] dx and dy/);
+});
+
+test('a painted mask must be well formed', () => {
+    const mask = CityBlender.createMask(80, 80);
+    const withMask = changes => ({ blend: { mode: 'mask', field: 'painted', mask: { ...mask, ...changes } } });
+    assertRejected({ blend: { mask: 'painted' } }, /^blend\.mask must be an object or null/);
+    assertRejected(withMask({ cellSize: 0 }), /^blend\.mask\.cellSize/);
+    assertRejected(withMask({ cols: 1.5 }), /^blend\.mask\.cols and rows/);
+    assertRejected(withMask({ keys: [1] }), /^blend\.mask\.keys/);
+    assertRejected(withMask({ data: null }), /^blend\.mask\.data must be a string/);
+    assertRejected(withMask({ data: '..' }), /^blend\.mask\.data must have cols × rows = 4 cells, got 2/);
+    assertRejected(withMask({ data: '.0..' }), /^blend\.mask\.data has a cell "0"/);
+});
+
+test('exported configs are checked as stored, before normalizing', () => {
+    for (const config of [{ pins: [{}] }, { edits: 5 }, { pins: 3 }, { algorithms: [null] }]) {
+        assert.notStrictEqual(problems(config).length, 0, JSON.stringify(config));
+        const exported = { parameters: { config } };
+        assert.notStrictEqual(problems(CityGenerator.configFromExport(exported)).length, 0);
+    }
+});